@@ -0,0 +1,162 @@
+// audioGate.js
+// Index Betty – local noise gate / energy VAD on the caller's audio, before input_audio_buffer.append
+// Twilio media frames (G.711 μ-law, 8 kHz, 20 ms) are decoded to linear PCM and the frame energy (dBFS) is
+// compared with an adaptive per-call noise floor. Frames below max(floor + margin, NOISE_GATE_MIN_DB) – outside
+// the hangover after speech – are replaced by μ-law silence (mode gate) or turned down (mode attenuate), so
+// background noise never reaches OpenAI's server VAD. Frames are replaced, not dropped: the timeline stays intact.
+// Per tenant SETTINGS (env MB_NOISE_GATE_* / MB_VAD_* are the defaults):
+//   NOISE_GATE                on / off
+//   NOISE_GATE_MODE           gate | attenuate
+//   NOISE_GATE_MARGIN_DB      speech = this much above the noise floor (default 10)
+//   NOISE_GATE_MIN_DB         speech is at least this loud, dBFS, however quiet the line (default -50)
+//   NOISE_GATE_ATTENUATION_DB attenuate mode gain cut (default 20)
+//   NOISE_GATE_HANGOVER_MS    keep open after the last speech frame (default 300)
+//   VAD_THRESHOLD / VAD_SILENCE_MS / VAD_PREFIX_MS   OpenAI server_vad turn detection
+
+const FRAME_MS = 20;
+const ULAW_SILENCE = 0xff;
+const FLOOR_START_DB = -60;
+// Noise floor = quietest frame of the last FLOOR_BLOCKS x FLOOR_BLOCK_FRAMES (~3 s): pauses between words
+// keep it at the noise level while the caller talks, a louder room raises it within a few seconds
+const FLOOR_BLOCK_FRAMES = 25;
+const FLOOR_BLOCKS = 6;
+
+// μ-law byte -> 16-bit linear sample
+const ULAW_TO_PCM = new Int16Array(256);
+for (let i = 0; i < 256; i += 1) {
+  const u = ~i & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const sample = ((((u & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+  ULAW_TO_PCM[i] = u & 0x80 ? -sample : sample;
+}
+
+function linearToUlaw(sample) {
+  let s = Math.max(-32635, Math.min(32635, Math.round(sample)));
+  const sign = s < 0 ? 0x80 : 0;
+  if (sign) s = -s;
+  s += 0x84;
+  let exponent = 7;
+  for (let mask = 0x4000; (s & mask) === 0 && exponent > 0; mask >>= 1) exponent -= 1;
+  const mantissa = (s >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+function numSetting(v, def, { min = -Infinity, max = Infinity } = {}) {
+  if (safeStr(v) === "") return def;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : def;
+}
+
+function boolSetting(v, def) {
+  const s = safeStr(v).toLowerCase();
+  if (!s) return def;
+  return !["false", "0", "no", "off", "לא"].includes(s);
+}
+
+// SETTINGS + env defaults -> { gate, vad }
+function parseAudioSettings(settings = {}, defaults = {}) {
+  const mode = safeStr(settings.NOISE_GATE_MODE || defaults.mode).toLowerCase();
+  return {
+    gate: {
+      enabled: boolSetting(settings.NOISE_GATE, !!defaults.enabled),
+      mode: mode === "attenuate" ? "attenuate" : "gate",
+      margin_db: numSetting(settings.NOISE_GATE_MARGIN_DB, defaults.margin_db ?? 10, { min: 0, max: 40 }),
+      min_db: numSetting(settings.NOISE_GATE_MIN_DB, defaults.min_db ?? -50, { min: -90, max: 0 }),
+      attenuation_db: numSetting(settings.NOISE_GATE_ATTENUATION_DB, defaults.attenuation_db ?? 20, {
+        min: 0,
+        max: 60,
+      }),
+      hangover_ms: numSetting(settings.NOISE_GATE_HANGOVER_MS, defaults.hangover_ms ?? 300, { min: 0, max: 3000 }),
+    },
+    vad: {
+      threshold: numSetting(settings.VAD_THRESHOLD, defaults.vad_threshold, { min: 0, max: 1 }),
+      silence_duration_ms: numSetting(settings.VAD_SILENCE_MS, defaults.vad_silence_ms, { min: 100, max: 5000 }),
+      prefix_padding_ms: numSetting(settings.VAD_PREFIX_MS, defaults.vad_prefix_ms, { min: 0, max: 2000 }),
+    },
+  };
+}
+
+function frameDb(bytes) {
+  if (!bytes.length) return -100;
+  let sum = 0;
+  for (let i = 0; i < bytes.length; i += 1) {
+    const s = ULAW_TO_PCM[bytes[i]];
+    sum += s * s;
+  }
+  const ms = sum / bytes.length / (32768 * 32768);
+  return ms > 0 ? Math.max(-100, 10 * Math.log10(ms)) : -100;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// cfg = parseAudioSettings(...).gate
+function createAudioGate(cfg) {
+  const hangoverFrames = Math.ceil(cfg.hangover_ms / FRAME_MS);
+  const gain = Math.pow(10, -cfg.attenuation_db / 20);
+  const attenuated = cfg.mode === "attenuate" ? new Uint8Array(256) : null;
+  if (attenuated) for (let i = 0; i < 256; i += 1) attenuated[i] = linearToUlaw(ULAW_TO_PCM[i] * gain);
+
+  let floorDb = FLOOR_START_DB;
+  const blockMins = [];
+  let blockMin = Infinity;
+  let blockFrames = 0;
+  let openFrames = 0; // hangover countdown
+  const stats = { frames: 0, speech_frames: 0, gated_frames: 0, peak_db: -100, speech_db_sum: 0 };
+
+  // base64 μ-law frame -> { payload (possibly replaced), speech, db }
+  function process(payload) {
+    const bytes = Buffer.from(payload, "base64");
+    const db = frameDb(bytes);
+    const loud = db >= Math.max(floorDb + cfg.margin_db, cfg.min_db);
+
+    stats.frames += 1;
+    stats.peak_db = Math.max(stats.peak_db, db);
+    if (loud) {
+      openFrames = hangoverFrames;
+      stats.speech_frames += 1;
+      stats.speech_db_sum += db;
+    }
+    blockMin = Math.min(blockMin, db);
+    blockFrames += 1;
+    if (blockFrames === FLOOR_BLOCK_FRAMES) {
+      blockMins.push(blockMin);
+      if (blockMins.length > FLOOR_BLOCKS) blockMins.shift();
+      floorDb = Math.min(...blockMins);
+      blockMin = Infinity;
+      blockFrames = 0;
+    }
+
+    const speech = loud || openFrames > 0;
+    if (!loud && openFrames > 0) openFrames -= 1;
+    if (speech || !cfg.enabled) return { payload, speech, db };
+
+    stats.gated_frames += 1;
+    const out = Buffer.alloc(bytes.length, ULAW_SILENCE);
+    if (attenuated) for (let i = 0; i < bytes.length; i += 1) out[i] = attenuated[bytes[i]];
+    return { payload: out.toString("base64"), speech, db };
+  }
+
+  function summarize() {
+    return {
+      enabled: cfg.enabled,
+      mode: cfg.mode,
+      frames: stats.frames,
+      speech_frames: stats.speech_frames,
+      gated_frames: stats.gated_frames,
+      speech_ratio: stats.frames ? Math.round((stats.speech_frames / stats.frames) * 100) / 100 : null,
+      noise_floor_db: round1(floorDb),
+      speech_avg_db: stats.speech_frames ? round1(stats.speech_db_sum / stats.speech_frames) : null,
+      peak_db: round1(stats.peak_db),
+    };
+  }
+
+  return { process, summarize, noiseFloorDb: () => floorDb };
+}
+
+module.exports = { parseAudioSettings, createAudioGate, frameDb, linearToUlaw, ULAW_TO_PCM };
@@ -0,0 +1,448 @@
+// businessHours.js
+// Index Betty – business-hours engine (SSOT HOURS + HOLIDAYS tabs)
+// Evaluated at call start: is the office open now, when does it next open, and is today a holiday.
+// - HOURS: day | open | close (several rows per day = split shift; day ranges like "א-ה" / "sun-thu")
+//   days: ראשון..שבת / א..ש / sun..sat / 1..7 (1 = ראשון)
+// - HOLIDAYS: date | name_he | closed | open | close | greeting_he
+//   date = YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD; overrides the grid and the built-in calendar for that day
+// - Built-in (SETTINGS HOURS_JEWISH_HOLIDAYS / HOURS_OBSERVE_SHABBAT, default on):
+//   Israeli yom tov days + Yom Ha'atzmaut are closed, erev chag closes at HOURS_EREV_CHAG_CLOSE,
+//   Shabbat / yom tov run from candle lighting to havdalah (sunset at HOURS_LATITUDE / HOURS_LONGITUDE).
+// Hebrew dates come from Intl's hebrew calendar (full ICU, Node default).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_NAMES_HE = ["ראשון", "שני", "שלישי", "רביעי", "חמישי", "שישי", "שבת"];
+const DAY_ALIASES = [
+  ["ראשון", "א", "sun", "sunday", "1"],
+  ["שני", "ב", "mon", "monday", "2"],
+  ["שלישי", "ג", "tue", "tuesday", "3"],
+  ["רביעי", "ד", "wed", "wednesday", "4"],
+  ["חמישי", "ה", "thu", "thursday", "5"],
+  ["שישי", "ו", "fri", "friday", "6"],
+  ["שבת", "ש", "sat", "saturday", "7"],
+];
+
+const DEFAULTS = {
+  latitude: 32.0853, // Tel Aviv
+  longitude: 34.7818,
+  candleLightingMin: 18,
+  havdalahMin: 42,
+  erevChagClose: "13:00",
+};
+
+/* ================== small helpers ================== */
+function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+function isYes(v) {
+  return /^(1|true|yes|y|on|x|כן|v|✓)$/i.test(safeStr(v));
+}
+
+function settingBool(v, def) {
+  const s = safeStr(v);
+  if (!s) return def;
+  if (isYes(s)) return true;
+  if (/^(0|false|no|n|off|לא)$/i.test(s)) return false;
+  return def;
+}
+
+function settingNum(v, def) {
+  const n = Number(safeStr(v));
+  return safeStr(v) && Number.isFinite(n) ? n : def;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function parseHHMM(s) {
+  const m = /^(\d{1,2})[:.](\d{2})$/.exec(safeStr(s));
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 24 || min > 59 || (h === 24 && min > 0)) return null;
+  return h * 60 + min;
+}
+
+function fmtMinutes(m) {
+  return `${pad2(Math.floor(m / 60) % 24)}:${pad2(m % 60)}`;
+}
+
+function dayKey(y, m, d) {
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+function parseDayKey(k) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(safeStr(k));
+  if (!m) return null;
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  if (dt.getUTCMonth() !== mo - 1) return null;
+  return { y, m: mo, d };
+}
+
+function addDays(key, n) {
+  const p = parseDayKey(key);
+  const dt = new Date(Date.UTC(p.y, p.m - 1, p.d + n));
+  return dayKey(dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate());
+}
+
+function weekday(key) {
+  const p = parseDayKey(key);
+  return new Date(Date.UTC(p.y, p.m - 1, p.d)).getUTCDay(); // 0 = Sunday
+}
+
+/* ================== time zone ================== */
+const zonedFormatters = new Map();
+
+function zonedParts(ms, timeZone) {
+  let f = zonedFormatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    zonedFormatters.set(timeZone, f);
+  }
+  const p = {};
+  for (const part of f.formatToParts(new Date(ms))) p[part.type] = part.value;
+  return { y: Number(p.year), m: Number(p.month), d: Number(p.day), hh: Number(p.hour), mm: Number(p.minute) };
+}
+
+// Local wall-clock (day key + minutes since midnight) -> UTC ms. Two passes handle DST edges.
+function zonedToUtcMs(key, minutes, timeZone) {
+  const p = parseDayKey(key);
+  const guess = Date.UTC(p.y, p.m - 1, p.d) + minutes * 60_000;
+  const offsetAt = (ms) => {
+    const z = zonedParts(ms, timeZone);
+    return Date.UTC(z.y, z.m - 1, z.d, z.hh, z.mm) - Math.floor(ms / 60_000) * 60_000;
+  };
+  let ts = guess - offsetAt(guess);
+  const off2 = offsetAt(ts);
+  if (guess - off2 !== ts) ts = guess - off2;
+  return ts;
+}
+
+/* ================== sunset (NOAA approximation, ±2 min) ================== */
+function sunsetUtcMs(key, lat, lon) {
+  const p = parseDayKey(key);
+  const rad = Math.PI / 180;
+  const n = Math.floor((Date.UTC(p.y, p.m - 1, p.d) - Date.UTC(p.y, 0, 0)) / DAY_MS);
+  const lngHour = lon / 15;
+  const t = n + (18 - lngHour) / 24;
+  const M = 0.9856 * t - 3.289;
+  let L = M + 1.916 * Math.sin(M * rad) + 0.02 * Math.sin(2 * M * rad) + 282.634;
+  L = ((L % 360) + 360) % 360;
+  let RA = Math.atan(0.91764 * Math.tan(L * rad)) / rad;
+  RA = ((RA % 360) + 360) % 360;
+  RA = (RA + Math.floor(L / 90) * 90 - Math.floor(RA / 90) * 90) / 15;
+  const sinDec = 0.39782 * Math.sin(L * rad);
+  const cosDec = Math.cos(Math.asin(sinDec));
+  const cosH = (Math.cos(90.833 * rad) - sinDec * Math.sin(lat * rad)) / (cosDec * Math.cos(lat * rad));
+  if (cosH < -1 || cosH > 1) return null;
+  const H = Math.acos(cosH) / rad / 15;
+  const T = H + RA - 0.06571 * t - 6.622;
+  const UT = (((T - lngHour) % 24) + 24) % 24;
+  return Date.UTC(p.y, p.m - 1, p.d) + UT * 3_600_000;
+}
+
+/* ================== Jewish calendar (Israel) ================== */
+const hebrewFormatter = new Intl.DateTimeFormat("en-u-ca-hebrew", {
+  timeZone: "UTC",
+  year: "numeric",
+  month: "long",
+  day: "numeric",
+});
+
+function hebrewDate(key) {
+  const p = parseDayKey(key);
+  const out = {};
+  for (const part of hebrewFormatter.formatToParts(new Date(Date.UTC(p.y, p.m - 1, p.d, 12)))) out[part.type] = part.value;
+  return { day: Number(out.day), month: String(out.month || "") };
+}
+
+// kind: yom_tov (closed, sunset to nightfall) | national (closed, civil day) | festive (open, greeting only)
+function builtInHoliday(key) {
+  const { day, month } = hebrewDate(key);
+  const dow = weekday(key);
+
+  if (month === "Tishri") {
+    if (day === 1 || day === 2) return { name_he: "ראש השנה", kind: "yom_tov", greeting_he: "שנה טובה" };
+    if (day === 10) return { name_he: "יום כיפור", kind: "yom_tov", greeting_he: "גמר חתימה טובה" };
+    if (day === 15) return { name_he: "סוכות", kind: "yom_tov", greeting_he: "חג שמח" };
+    if (day >= 16 && day <= 21) return { name_he: "חול המועד סוכות", kind: "festive", greeting_he: "מועדים לשמחה" };
+    if (day === 22) return { name_he: "שמחת תורה", kind: "yom_tov", greeting_he: "חג שמח" };
+  }
+  if (month === "Nisan") {
+    if (day === 15) return { name_he: "פסח", kind: "yom_tov", greeting_he: "חג שמח" };
+    if (day >= 16 && day <= 20) return { name_he: "חול המועד פסח", kind: "festive", greeting_he: "מועדים לשמחה" };
+    if (day === 21) return { name_he: "שביעי של פסח", kind: "yom_tov", greeting_he: "חג שמח" };
+  }
+  if (month === "Sivan" && day === 6) return { name_he: "שבועות", kind: "yom_tov", greeting_he: "חג שמח" };
+
+  // Yom Ha'atzmaut (5 Iyar, moved off Fri/Sat to Thursday and off Monday to Tuesday)
+  if (
+    month === "Iyar" &&
+    ((day === 5 && dow === 3) || ((day === 3 || day === 4) && dow === 4) || (day === 6 && dow === 2))
+  ) {
+    return { name_he: "יום העצמאות", kind: "national", greeting_he: "חג עצמאות שמח" };
+  }
+
+  if ((month === "Adar" || month === "Adar II") && day === 14) {
+    return { name_he: "פורים", kind: "festive", greeting_he: "פורים שמח" };
+  }
+
+  // Hanukkah: 8 days from 25 Kislev
+  for (let k = 0; k < 8; k += 1) {
+    const h = k === 0 ? { day, month } : hebrewDate(addDays(key, -k));
+    if (h.month === "Kislev" && h.day === 25) return { name_he: "חנוכה", kind: "festive", greeting_he: "חנוכה שמח" };
+  }
+
+  return null;
+}
+
+/* ================== SSOT rows ================== */
+function parseDaySpec(spec) {
+  const s = safeStr(spec).toLowerCase().replace(/[׳'"״]/g, "");
+  const idx = (tok) => DAY_ALIASES.findIndex((aliases) => aliases.includes(safeStr(tok)));
+
+  const range = s.split(/\s*[-–]\s*/);
+  if (range.length === 2) {
+    const a = idx(range[0]);
+    const b = idx(range[1]);
+    if (a < 0 || b < 0) return null;
+    const out = [];
+    for (let i = a; ; i = (i + 1) % 7) {
+      out.push(i);
+      if (i === b) break;
+    }
+    return out;
+  }
+
+  const days = s.split(/[,\s]+/).filter(Boolean).map(idx);
+  return days.length && days.every((d) => d >= 0) ? days : null;
+}
+
+function parseHoursRows(rows, errors) {
+  const grid = [[], [], [], [], [], [], []]; // dow -> [{ open, close }] minutes
+  (rows || []).forEach((r, i) => {
+    if (!safeStr(r?.day) && !safeStr(r?.open)) return;
+    const days = parseDaySpec(r.day);
+    if (!days) return errors.push({ tab: "HOURS", row: i + 2, error: `unknown day "${r.day}"` });
+    if (!safeStr(r.open) && !safeStr(r.close)) return; // explicit closed day
+    const open = parseHHMM(r.open);
+    const close = parseHHMM(r.close);
+    if (open === null || close === null || close <= open) {
+      return errors.push({ tab: "HOURS", row: i + 2, error: `bad hours "${r.open}"-"${r.close}"` });
+    }
+    days.forEach((d) => grid[d].push({ open, close }));
+  });
+  grid.forEach((intervals) => intervals.sort((a, b) => a.open - b.open));
+  return grid;
+}
+
+function parseHolidayRows(rows, errors) {
+  const byDay = new Map();
+  (rows || []).forEach((r, i) => {
+    const rawDate = safeStr(r?.date);
+    if (!rawDate) return;
+    const [fromRaw, toRaw] = rawDate.split(/\s*\.\.\s*/);
+    const from = parseDayKey(fromRaw);
+    const to = parseDayKey(toRaw || fromRaw);
+    if (!from || !to) return errors.push({ tab: "HOLIDAYS", row: i + 2, error: `bad date "${rawDate}"` });
+
+    const entry = {
+      name_he: safeStr(r.name_he) || null,
+      closed: isYes(r.closed),
+      intervals: null,
+      greeting_he: safeStr(r.greeting_he) || null,
+      kind: "custom",
+    };
+    if (!entry.closed && (safeStr(r.open) || safeStr(r.close))) {
+      const open = parseHHMM(r.open);
+      const close = parseHHMM(r.close);
+      if (open === null || close === null || close <= open) {
+        return errors.push({ tab: "HOLIDAYS", row: i + 2, error: `bad hours "${r.open}"-"${r.close}"` });
+      }
+      entry.intervals = [{ open, close }];
+    }
+
+    const last = dayKey(to.y, to.m, to.d);
+    let k = dayKey(from.y, from.m, from.d);
+    for (let n = 0; n <= 366 && k <= last; n += 1, k = addDays(k, 1)) byDay.set(k, entry);
+  });
+  return byDay;
+}
+
+/* ================== engine ================== */
+function createBusinessHours({ hours, holidays, settings, timeZone = "Asia/Jerusalem" }) {
+  const errors = [];
+  const grid = parseHoursRows(hours, errors);
+  const overrides = parseHolidayRows(holidays, errors);
+  const s = settings || {};
+
+  const opts = {
+    jewishHolidays: settingBool(s.HOURS_JEWISH_HOLIDAYS, true),
+    observeShabbat: settingBool(s.HOURS_OBSERVE_SHABBAT, true),
+    latitude: settingNum(s.HOURS_LATITUDE, DEFAULTS.latitude),
+    longitude: settingNum(s.HOURS_LONGITUDE, DEFAULTS.longitude),
+    candleLightingMin: settingNum(s.HOURS_CANDLE_LIGHTING_MIN, DEFAULTS.candleLightingMin),
+    havdalahMin: settingNum(s.HOURS_HAVDALAH_MIN, DEFAULTS.havdalahMin),
+    erevChagClose: parseHHMM(s.HOURS_EREV_CHAG_CLOSE || DEFAULTS.erevChagClose),
+  };
+
+  const enabled = grid.some((d) => d.length > 0);
+
+  // Day info (holiday, holy-day flags) in local civil days
+  function holidayOf(key) {
+    if (overrides.has(key)) return overrides.get(key);
+    return opts.jewishHolidays ? builtInHoliday(key) : null;
+  }
+
+  function isHolyDay(key) {
+    if (opts.observeShabbat && weekday(key) === 6) return true;
+    const h = overrides.has(key) ? null : holidayOf(key);
+    return !!(h && h.kind === "yom_tov");
+  }
+
+  function minutesOfDay(key, utcMs) {
+    return Math.round((utcMs - zonedToUtcMs(key, 0, timeZone)) / 60_000);
+  }
+
+  // Candle lighting (day before a holy day) / havdalah (end of a holy day) as local minutes
+  function holyBounds(key) {
+    const sunset = sunsetUtcMs(key, opts.latitude, opts.longitude);
+    const sunsetMin = sunset === null ? 18 * 60 : minutesOfDay(key, sunset);
+    return { candle: sunsetMin - opts.candleLightingMin, havdalah: sunsetMin + opts.havdalahMin };
+  }
+
+  function dayPlan(key) {
+    const holiday = holidayOf(key);
+    const holyToday = isHolyDay(key);
+    const holyTomorrow = isHolyDay(addDays(key, 1));
+    const erevChag =
+      !holyToday &&
+      (!holiday || holiday.kind === "festive") &&
+      opts.jewishHolidays &&
+      holidayOf(addDays(key, 1))?.kind === "yom_tov";
+
+    let intervals;
+    if (holiday && holiday.kind === "custom") intervals = holiday.closed ? [] : holiday.intervals || grid[weekday(key)];
+    else if (holiday && (holiday.kind === "yom_tov" || holiday.kind === "national")) intervals = [];
+    else intervals = grid[weekday(key)];
+
+    // Clip to the allowed window: after havdalah of a holy day, before candle lighting of the next one
+    const bounds = holyToday || holyTomorrow ? holyBounds(key) : null;
+    let from = holyToday ? bounds.havdalah : 0;
+    let to = holyTomorrow ? bounds.candle : 24 * 60;
+    if (erevChag && opts.erevChagClose !== null) to = Math.min(to, opts.erevChagClose);
+
+    const clipped = intervals
+      .map((iv) => ({ open: Math.max(iv.open, from), close: Math.min(iv.close, to) }))
+      .filter((iv) => iv.close > iv.open);
+
+    const nextHoliday = erevChag ? holidayOf(addDays(key, 1)) : null;
+    return { key, holiday, erevChag, nextHoliday, holyToday, holyTomorrow, bounds, intervals: clipped };
+  }
+
+  function describeDay(key, todayKey) {
+    if (key === todayKey) return "היום";
+    if (key === addDays(todayKey, 1)) return "מחר";
+    return `ביום ${DAY_NAMES_HE[weekday(key)]}`;
+  }
+
+  function greetingFor(plan, nowMin) {
+    const h = plan.holiday;
+    if (h && h.greeting_he) return h.greeting_he;
+    if (plan.nextHoliday && plan.nextHoliday.greeting_he) return plan.nextHoliday.greeting_he;
+    if (!opts.observeShabbat) return null;
+    const dow = weekday(plan.key);
+    if (dow === 5 && nowMin >= 12 * 60) return "שבת שלום";
+    if (dow === 6) return plan.bounds && nowMin >= plan.bounds.havdalah ? "שבוע טוב" : "שבת שלום";
+    return null;
+  }
+
+  function evaluate(now = new Date()) {
+    const nowMs = now instanceof Date ? now.getTime() : Number(now);
+    const z = zonedParts(nowMs, timeZone);
+    const todayKey = dayKey(z.y, z.m, z.d);
+    const nowMin = z.hh * 60 + z.mm;
+    const plan = dayPlan(todayKey);
+
+    const current = plan.intervals.find((iv) => nowMin >= iv.open && nowMin < iv.close) || null;
+    const isOpen = enabled && !!current;
+
+    // Which holy day (if any) covers this moment: today until havdalah, tomorrow from candle lighting
+    let holyKey = null;
+    if (plan.holyToday && nowMin < plan.bounds.havdalah) holyKey = todayKey;
+    else if (plan.holyTomorrow && nowMin >= plan.bounds.candle) holyKey = addDays(todayKey, 1);
+    const holyHoliday = holyKey ? holidayOf(holyKey) : null;
+
+    let status = "open";
+    if (!isOpen) {
+      if (holyKey) status = holyHoliday && holyHoliday.kind === "yom_tov" ? "holiday" : "shabbat";
+      else if (plan.holiday && (plan.holiday.closed || plan.holiday.kind === "national" || plan.holiday.kind === "yom_tov")) {
+        status = "holiday";
+      } else status = "after_hours";
+    }
+
+    // Next opening: first interval start after now, within two weeks
+    let next = null;
+    if (enabled && !isOpen) {
+      for (let i = 0; i < 14 && !next; i += 1) {
+        const key = addDays(todayKey, i);
+        const p = i === 0 ? plan : dayPlan(key);
+        const iv = p.intervals.find((x) => i > 0 || x.open > nowMin);
+        if (iv) next = { key, minutes: iv.open };
+      }
+    }
+
+    let activeHoliday = plan.holiday;
+    if (holyKey) activeHoliday = holyHoliday && holyHoliday.kind === "yom_tov" ? holyHoliday : { name_he: "שבת", kind: "shabbat" };
+
+    const todayHours = plan.intervals.map((iv) => `${fmtMinutes(iv.open)}-${fmtMinutes(iv.close)}`).join(", ");
+    const nextOpening = next
+      ? {
+          at: new Date(zonedToUtcMs(next.key, next.minutes, timeZone)).toISOString(),
+          text: `${describeDay(next.key, todayKey)} ב-${fmtMinutes(next.minutes)}`,
+        }
+      : null;
+
+    return {
+      enabled,
+      is_open: isOpen,
+      status, // open | after_hours | holiday | shabbat
+      local_time: `${todayKey} ${fmtMinutes(nowMin)}`,
+      today_hours: todayHours || null,
+      closes_at: current ? fmtMinutes(current.close) : null,
+      holiday: activeHoliday ? { name_he: activeHoliday.name_he, kind: activeHoliday.kind } : null,
+      erev_chag: plan.erevChag ? plan.nextHoliday?.name_he || true : false,
+      greeting_he: greetingFor(plan, nowMin),
+      next_opening: nextOpening,
+      // Injected into SETTINGS_CONTEXT so the bot never guesses
+      facts: enabled
+        ? {
+            IS_OPEN_NOW: isOpen ? "כן" : "לא",
+            NEXT_OPENING: isOpen ? "" : nextOpening ? nextOpening.text : "",
+            TODAY_HOURS: todayHours || "סגור",
+            CLOSES_AT: current ? fmtMinutes(current.close) : "",
+            HOLIDAY_NAME: activeHoliday?.name_he || "",
+          }
+        : {},
+    };
+  }
+
+  return { enabled, errors, evaluate };
+}
+
+// Keys of evaluate().facts (template variables available when HOURS is configured)
+const HOURS_FACT_KEYS = ["IS_OPEN_NOW", "NEXT_OPENING", "TODAY_HOURS", "CLOSES_AT", "HOLIDAY_NAME"];
+
+module.exports = { createBusinessHours, builtInHoliday, sunsetUtcMs, HOURS_FACT_KEYS };
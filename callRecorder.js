@@ -0,0 +1,101 @@
+// callRecorder.js
+// Index Betty – server-side dual-channel call recording from the media stream
+// Left channel = caller (inbound Twilio frames, placed by media.timestamp), right channel = Betty (every payload
+// forwarded to Twilio, placed on the same playback timeline estimate as playback.js). A Twilio "clear" drops the
+// bot audio that was queued but never played. finish() -> stereo G.711 μ-law WAV (8 kHz, 16 KB/s).
+
+const BYTES_PER_MS = 8;
+const ULAW_SILENCE = 0xff;
+
+function createCallRecorder({ maxSec = 3600, now = Date.now } = {}) {
+  const maxBytes = maxSec * 1000 * BYTES_PER_MS;
+  const startedAt = now();
+  const caller = []; // { pos, buf } in arrival order
+  let callerEnd = 0;
+  let bot = []; // { pos, buf } in playback order
+  let botEnd = 0;
+  let truncated = false;
+
+  function positionNow() {
+    return Math.round((now() - startedAt) * BYTES_PER_MS);
+  }
+
+  // Inbound frame; timestampMs = Twilio media.timestamp (ms since the stream started), sequential when missing
+  function onCaller(payload, timestampMs) {
+    const buf = Buffer.from(String(payload || ""), "base64");
+    const ts = Number(timestampMs);
+    const pos = Number.isFinite(ts) && ts >= 0 ? Math.round(ts * BYTES_PER_MS) : callerEnd;
+    if (!buf.length || pos + buf.length > maxBytes) {
+      truncated = truncated || !!buf.length;
+      return;
+    }
+    caller.push({ pos, buf });
+    callerEnd = Math.max(callerEnd, pos + buf.length);
+  }
+
+  // Outbound payload as sent to Twilio: plays right away or after what is still queued
+  function onBot(payload) {
+    const buf = Buffer.from(String(payload || ""), "base64");
+    const pos = Math.max(positionNow(), botEnd);
+    if (!buf.length || pos + buf.length > maxBytes) {
+      truncated = truncated || !!buf.length;
+      return;
+    }
+    bot.push({ pos, buf });
+    botEnd = pos + buf.length;
+  }
+
+  // Twilio "clear": queued bot audio after this moment was never heard
+  function clear() {
+    const cut = positionNow();
+    bot = bot.filter((c) => c.pos < cut);
+    const last = bot[bot.length - 1];
+    if (last && last.pos + last.buf.length > cut) last.buf = last.buf.subarray(0, cut - last.pos);
+    botEnd = Math.min(botEnd, cut);
+  }
+
+  function finish() {
+    const frames = Math.max(callerEnd, botEnd);
+    const data = Buffer.alloc(frames * 2, ULAW_SILENCE);
+    for (const c of caller) for (let i = 0; i < c.buf.length; i += 1) data[(c.pos + i) * 2] = c.buf[i];
+    for (const c of bot) for (let i = 0; i < c.buf.length; i += 1) data[(c.pos + i) * 2 + 1] = c.buf[i];
+    return {
+      wav: Buffer.concat([wavHeader(data.length, frames), data]),
+      duration_ms: Math.round(frames / BYTES_PER_MS),
+      truncated,
+    };
+  }
+
+  return {
+    onCaller,
+    onBot,
+    clear,
+    finish,
+    hasAudio: () => callerEnd > 0 || botEnd > 0,
+  };
+}
+
+// RIFF header for 2-channel 8-bit μ-law (WAVE_FORMAT_MULAW = 7; non-PCM needs cbSize and a fact chunk)
+function wavHeader(dataBytes, frames) {
+  const h = Buffer.alloc(58);
+  h.write("RIFF", 0, "ascii");
+  h.writeUInt32LE(50 + dataBytes, 4);
+  h.write("WAVE", 8, "ascii");
+  h.write("fmt ", 12, "ascii");
+  h.writeUInt32LE(18, 16);
+  h.writeUInt16LE(7, 20); // μ-law
+  h.writeUInt16LE(2, 22); // channels
+  h.writeUInt32LE(8000, 24); // sample rate
+  h.writeUInt32LE(16000, 28); // byte rate
+  h.writeUInt16LE(2, 32); // block align
+  h.writeUInt16LE(8, 34); // bits per sample
+  h.writeUInt16LE(0, 36); // cbSize
+  h.write("fact", 38, "ascii");
+  h.writeUInt32LE(4, 42);
+  h.writeUInt32LE(frames, 46);
+  h.write("data", 50, "ascii");
+  h.writeUInt32LE(dataBytes, 54);
+  return h;
+}
+
+module.exports = { createCallRecorder };
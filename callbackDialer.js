@@ -0,0 +1,634 @@
+// callbackDialer.js
+// Index Betty – outbound callback dialer
+// Leads that end with callback_requested + a confirmed callback_to_number are queued (callback_queue, next to
+// caller_memory through the memory DB pool; in-process when there is no DB). A scheduler tick dials due entries
+// through the Twilio Calls API (injected client, so tests can mock it) with answering machine detection; the
+// answered call is connected to the same media stream with customParameter mode=outbound.
+// Per tenant SETTINGS:
+//   CALLBACK_DIALER            on / off (default off)
+//   CALLBACK_MAX_ATTEMPTS      default 3
+//   CALLBACK_DELAY_MINUTES     first attempt after the call ended (default 2)
+//   CALLBACK_RETRY_MINUTES     wait before each further attempt, "10,30,120" (last value repeats)
+//   CALLBACK_QUIET_HOURS       no dialing in this local window, default "20:00-09:00"; Shabbat / yom tov always quiet
+//   CALLBACK_CALLER_ID         From number (default: the number the lead called)
+//   CALLBACK_VOICEMAIL_SCRIPT  left after the beep on an answering machine (empty = hang up and retry)
+//   OUTBOUND_OPENING_SCRIPT    first line of the outbound call (server.js)
+// Every attempt is a callback_attempts row: call_sid, answered_by, call_status, result.
+// Queue status: pending -> dialing -> in_call (answered) -> done / pending (retry) / exhausted / failed / canceled.
+
+const crypto = require("crypto");
+
+const FALSE_WORDS = new Set(["", "false", "0", "no", "off", "לא"]);
+const OPEN_STATUSES = ["pending", "dialing", "in_call"];
+const ACTIVE_STATUSES = ["dialing", "in_call"]; // hold a concurrency slot
+// Attempt results that close the entry; everything else is retried while attempts remain
+const FINAL_RESULTS = new Set(["connected", "voicemail_left", "fax"]);
+
+function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function toIso(v) {
+  if (!v) return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return Number.isFinite(d.getTime()) ? d.toISOString() : null;
+}
+
+function parseHHMM(s) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(safeStr(s));
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function positiveNum(v, def) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+function parseCallbackSettings(settings = {}) {
+  const quiet = safeStr(settings.CALLBACK_QUIET_HOURS || "20:00-09:00").split("-");
+  const retry = safeStr(settings.CALLBACK_RETRY_MINUTES || "10,30,120")
+    .split(",")
+    .map((s) => Number(s.trim()))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return {
+    enabled: !FALSE_WORDS.has(safeStr(settings.CALLBACK_DIALER).toLowerCase()),
+    max_attempts: Math.min(10, Math.floor(positiveNum(settings.CALLBACK_MAX_ATTEMPTS, 3))),
+    delay_minutes: Number(settings.CALLBACK_DELAY_MINUTES) >= 0 && safeStr(settings.CALLBACK_DELAY_MINUTES) !== ""
+      ? Number(settings.CALLBACK_DELAY_MINUTES)
+      : 2,
+    retry_minutes: retry.length ? retry : [10, 30, 120],
+    quiet_from: quiet.length === 2 ? parseHHMM(quiet[0]) : null,
+    quiet_to: quiet.length === 2 ? parseHHMM(quiet[1]) : null,
+    caller_id: safeStr(settings.CALLBACK_CALLER_ID).replace(/[^\d+]/g, "") || null,
+    voicemail_script: safeStr(settings.CALLBACK_VOICEMAIL_SCRIPT),
+  };
+}
+
+function localMinutes(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+    .formatToParts(new Date(ms))
+    .reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+  return Number(parts.hour) * 60 + Number(parts.minute);
+}
+
+// -> null (may dial now) or the reason not to: quiet_hours / shabbat / holiday
+function quietReason(policy, { hours, nowMs, timeZone }) {
+  const { quiet_from: from, quiet_to: to } = policy;
+  if (from !== null && to !== null && from !== to) {
+    const m = localMinutes(nowMs, timeZone);
+    const inWindow = from < to ? m >= from && m < to : m >= from || m < to;
+    if (inWindow) return "quiet_hours";
+  }
+  const status = hours ? hours.evaluate(new Date(nowMs)).status : null;
+  if (status === "shabbat" || status === "holiday") return status;
+  return null;
+}
+
+// Earliest time worth re-checking a quiet entry: the end of the quiet window, or the next opening on Shabbat / holidays
+function quietUntil(reason, policy, { hours, nowMs, timeZone }) {
+  if (reason === "quiet_hours") {
+    const m = localMinutes(nowMs, timeZone);
+    const minutes = (policy.quiet_to - m + 24 * 60) % (24 * 60) || 24 * 60;
+    return Math.floor(nowMs / 60000) * 60000 + minutes * 60000;
+  }
+  const at = hours ? Date.parse(hours.evaluate(new Date(nowMs)).next_opening?.at || "") : NaN;
+  return Number.isFinite(at) && at > nowMs ? at : nowMs + 30 * 60 * 1000;
+}
+
+// Twilio CallStatus (+ AnsweredBy) of a finished attempt -> result
+function attemptResult({ callStatus, answeredBy, voicemailLeft }) {
+  const status = safeStr(callStatus).toLowerCase();
+  const by = safeStr(answeredBy).toLowerCase();
+  if (status !== "completed") return status || "unknown"; // busy / no-answer / failed / canceled
+  if (by === "fax") return "fax";
+  if (by.startsWith("machine")) return voicemailLeft ? "voicemail_left" : "machine";
+  return "connected";
+}
+
+/* ================== Store (Postgres via the memory DB pool, in-process fallback) ================== */
+const QUEUE_COLUMNS = [
+  "status",
+  "attempts",
+  "next_attempt_at",
+  "last_result",
+  "last_call_sid",
+  "last_attempt_at",
+  "from_e164",
+];
+const ATTEMPT_COLUMNS = ["answered_by", "call_status", "result", "duration_sec", "ended_at"];
+
+function createCallbackStore({ memory, usePg = true, debug }) {
+  const state = { pg: !!(usePg && memory), backend: null, last_error: null };
+  let tablesReady = false;
+
+  const queue = new Map(); // in-process: id -> row
+  const attempts = []; // in-process attempt rows
+
+  async function pgReady() {
+    if (!state.pg) return false;
+    if (tablesReady) return true;
+    try {
+      const res = await memory.exec(`
+        CREATE TABLE IF NOT EXISTS callback_queue (
+          id TEXT PRIMARY KEY,
+          tenant_id TEXT NOT NULL,
+          caller_key TEXT,
+          to_e164 TEXT NOT NULL,
+          from_e164 TEXT,
+          name TEXT,
+          source_call_sid TEXT,
+          status TEXT NOT NULL,
+          attempts INTEGER DEFAULT 0,
+          next_attempt_at TIMESTAMPTZ,
+          last_result TEXT,
+          last_call_sid TEXT,
+          last_attempt_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        );
+      `);
+      if (!res) return false;
+      await memory.exec(`
+        CREATE TABLE IF NOT EXISTS callback_attempts (
+          call_sid TEXT PRIMARY KEY,
+          callback_id TEXT NOT NULL,
+          attempt INTEGER NOT NULL,
+          answered_by TEXT,
+          call_status TEXT,
+          result TEXT,
+          duration_sec INTEGER,
+          started_at TIMESTAMPTZ DEFAULT NOW(),
+          ended_at TIMESTAMPTZ
+        );
+      `);
+      await memory.exec(
+        `CREATE INDEX IF NOT EXISTS idx_callback_queue_due ON callback_queue (status, next_attempt_at);`
+      );
+      await memory.exec(`CREATE INDEX IF NOT EXISTS idx_callback_attempts_cb ON callback_attempts (callback_id);`);
+      tablesReady = true;
+      state.backend = "pg";
+      return true;
+    } catch (e) {
+      state.last_error = e && (e.message || String(e));
+      console.error("[CALLBACK] table setup failed", state.last_error);
+      return false;
+    }
+  }
+
+  function rowOut(r) {
+    if (!r) return null;
+    return {
+      ...r,
+      attempts: Number(r.attempts) || 0,
+      next_attempt_at: toIso(r.next_attempt_at),
+      last_attempt_at: toIso(r.last_attempt_at),
+      created_at: toIso(r.created_at),
+      updated_at: toIso(r.updated_at),
+    };
+  }
+
+  // -> the new row, or null when an open entry for this tenant + number already exists
+  async function enqueue(entry) {
+    if (await pgReady()) {
+      const open = await memory.exec(
+        `SELECT id FROM callback_queue WHERE tenant_id = $1 AND to_e164 = $2 AND status = ANY($3) LIMIT 1`,
+        [entry.tenant_id, entry.to_e164, OPEN_STATUSES]
+      );
+      if (open?.rows?.length) return null;
+      const res = await memory.exec(
+        `
+        INSERT INTO callback_queue
+          (id, tenant_id, caller_key, to_e164, from_e164, name, source_call_sid, status, attempts, next_attempt_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', 0, $8)
+        RETURNING *
+        `,
+        [
+          entry.id,
+          entry.tenant_id,
+          entry.caller_key,
+          entry.to_e164,
+          entry.from_e164,
+          entry.name,
+          entry.source_call_sid,
+          entry.next_attempt_at,
+        ]
+      );
+      return rowOut(res?.rows?.[0]);
+    }
+    state.backend = "memory";
+    for (const r of queue.values()) {
+      if (r.tenant_id === entry.tenant_id && r.to_e164 === entry.to_e164 && OPEN_STATUSES.includes(r.status)) {
+        return null;
+      }
+    }
+    const row = { ...entry, status: "pending", attempts: 0, created_at: nowIso(), updated_at: nowIso() };
+    queue.set(row.id, row);
+    return { ...row };
+  }
+
+  async function get(id) {
+    if (await pgReady()) {
+      const res = await memory.exec(`SELECT * FROM callback_queue WHERE id = $1 LIMIT 1`, [id]);
+      return rowOut(res?.rows?.[0]);
+    }
+    const r = queue.get(id);
+    return r ? { ...r } : null;
+  }
+
+  async function due(nowMs, limit = 20) {
+    const at = new Date(nowMs).toISOString();
+    if (await pgReady()) {
+      const res = await memory.exec(
+        `
+        SELECT * FROM callback_queue
+        WHERE status = 'pending' AND next_attempt_at <= $1
+        ORDER BY next_attempt_at
+        LIMIT $2
+        `,
+        [at, limit]
+      );
+      return (res?.rows || []).map(rowOut);
+    }
+    return Array.from(queue.values())
+      .filter((r) => r.status === "pending" && r.next_attempt_at <= at)
+      .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at))
+      .slice(0, limit)
+      .map((r) => ({ ...r }));
+  }
+
+  // pending -> dialing; false when another tick / instance got it first
+  async function claim(id) {
+    if (await pgReady()) {
+      const res = await memory.exec(
+        `
+        UPDATE callback_queue SET status = 'dialing', updated_at = NOW()
+        WHERE id = $1 AND status = 'pending'
+        RETURNING id
+        `,
+        [id]
+      );
+      return !!res?.rows?.length;
+    }
+    const r = queue.get(id);
+    if (!r || r.status !== "pending") return false;
+    Object.assign(r, { status: "dialing", updated_at: nowIso() });
+    return true;
+  }
+
+  async function update(id, patch) {
+    const keys = Object.keys(patch).filter((k) => QUEUE_COLUMNS.includes(k));
+    if (!keys.length) return;
+    if (await pgReady()) {
+      const sets = keys.map((k, i) => `${k} = $${i + 2}`).join(", ");
+      await memory.exec(`UPDATE callback_queue SET ${sets}, updated_at = NOW() WHERE id = $1`, [
+        id,
+        ...keys.map((k) => patch[k]),
+      ]);
+      return;
+    }
+    const r = queue.get(id);
+    if (r) Object.assign(r, patch, { updated_at: nowIso() });
+  }
+
+  async function countDialing() {
+    if (await pgReady()) {
+      const res = await memory.exec(`SELECT COUNT(*)::int AS n FROM callback_queue WHERE status = ANY($1)`, [
+        ACTIVE_STATUSES,
+      ]);
+      return Number(res?.rows?.[0]?.n) || 0;
+    }
+    return Array.from(queue.values()).filter((r) => ACTIVE_STATUSES.includes(r.status)).length;
+  }
+
+  // Dialing entries whose status callback never came back are retried. Answered ones (in_call) are left alone:
+  // the customer may still be on the line, and the call's own status callback settles them
+  async function releaseStale(cutoffMs) {
+    const cutoff = new Date(cutoffMs).toISOString();
+    if (await pgReady()) {
+      const res = await memory.exec(
+        `
+        UPDATE callback_queue
+        SET status = 'pending', last_result = 'no_status_callback', next_attempt_at = NOW(), updated_at = NOW()
+        WHERE status = 'dialing' AND updated_at < $1
+        RETURNING id
+        `,
+        [cutoff]
+      );
+      return (res?.rows || []).map((r) => r.id);
+    }
+    const ids = [];
+    for (const r of queue.values()) {
+      if (r.status === "dialing" && r.updated_at < cutoff) {
+        Object.assign(r, { status: "pending", last_result: "no_status_callback", next_attempt_at: nowIso() });
+        r.updated_at = nowIso();
+        ids.push(r.id);
+      }
+    }
+    return ids;
+  }
+
+  async function addAttempt({ call_sid, callback_id, attempt }) {
+    if (await pgReady()) {
+      await memory.exec(
+        `INSERT INTO callback_attempts (call_sid, callback_id, attempt) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+        [call_sid, callback_id, attempt]
+      );
+      return;
+    }
+    attempts.push({ call_sid, callback_id, attempt, started_at: nowIso() });
+  }
+
+  async function updateAttempt(callSid, patch) {
+    const keys = Object.keys(patch).filter((k) => ATTEMPT_COLUMNS.includes(k) && patch[k] !== undefined);
+    if (!callSid || !keys.length) return;
+    if (await pgReady()) {
+      const sets = keys.map((k, i) => `${k} = $${i + 2}`).join(", ");
+      await memory.exec(`UPDATE callback_attempts SET ${sets} WHERE call_sid = $1`, [
+        callSid,
+        ...keys.map((k) => patch[k]),
+      ]);
+      return;
+    }
+    const a = attempts.find((x) => x.call_sid === callSid);
+    if (a) Object.assign(a, patch);
+  }
+
+  async function getAttempt(callSid) {
+    if (await pgReady()) {
+      const res = await memory.exec(`SELECT * FROM callback_attempts WHERE call_sid = $1 LIMIT 1`, [callSid]);
+      return res?.rows?.[0] || null;
+    }
+    return attempts.find((x) => x.call_sid === callSid) || null;
+  }
+
+  // Recent entries with their attempts (admin)
+  async function list({ tenantId, limit = 50 } = {}) {
+    if (await pgReady()) {
+      const res = await memory.exec(
+        `
+        SELECT q.*, COALESCE(
+          (SELECT json_agg(a ORDER BY a.attempt) FROM callback_attempts a WHERE a.callback_id = q.id), '[]'
+        ) AS attempt_rows
+        FROM callback_queue q
+        WHERE ($1::text IS NULL OR q.tenant_id = $1)
+        ORDER BY q.created_at DESC
+        LIMIT $2
+        `,
+        [tenantId || null, limit]
+      );
+      return (res?.rows || []).map(rowOut);
+    }
+    return Array.from(queue.values())
+      .filter((r) => !tenantId || r.tenant_id === tenantId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit)
+      .map((r) => ({ ...r, attempt_rows: attempts.filter((a) => a.callback_id === r.id) }));
+  }
+
+  if (debug && !state.pg) console.log("[CALLBACK] no memory DB: queue is in-process only");
+
+  return {
+    state,
+    enqueue,
+    get,
+    due,
+    claim,
+    update,
+    countDialing,
+    releaseStale,
+    addAttempt,
+    updateAttempt,
+    getAttempt,
+    list,
+  };
+}
+
+/* ================== Dialer ================== */
+// twilio: { configured, createCall(params) -> { ok, status, sid, error } } (Twilio Calls API form fields)
+// getTenant(tenantId) -> { settings, hours } (SSOT of that tenant)
+// urls: { answer(qs), status(qs) } -> absolute callback URLs
+function createCallbackDialer({
+  store,
+  twilio,
+  getTenant,
+  urls,
+  enabled = true,
+  tickMs = 30_000,
+  maxConcurrent = 2,
+  ringTimeoutSec = 25,
+  staleMs = 10 * 60 * 1000,
+  timeZone = "Asia/Jerusalem",
+  now = Date.now,
+  debug,
+}) {
+  const state = {
+    enabled,
+    running: false,
+    last_tick_at: null,
+    last_error: null,
+    dialed: 0,
+    skipped_quiet: 0,
+  };
+  let timer = null;
+  let ticking = false;
+
+  function policyFor(tenantId) {
+    const t = getTenant(tenantId);
+    return { tenant: t, policy: parseCallbackSettings(t?.settings || {}) };
+  }
+
+  function retryDelayMs(policy, attemptsDone) {
+    const list = policy.retry_minutes;
+    return list[Math.min(Math.max(0, attemptsDone - 1), list.length - 1)] * 60_000;
+  }
+
+  // -> { queued, reason, entry }
+  async function enqueue({ tenantId, toE164, fromE164, name, callerKey, sourceCallSid }) {
+    const { policy } = policyFor(tenantId);
+    if (!enabled) return { queued: false, reason: "dialer_disabled" };
+    if (!policy.enabled) return { queued: false, reason: "tenant_disabled" };
+    if (!safeStr(toE164)) return { queued: false, reason: "no_number" };
+    const entry = await store.enqueue({
+      id: `cb_${crypto.randomBytes(8).toString("hex")}`,
+      tenant_id: tenantId,
+      caller_key: callerKey || null,
+      to_e164: toE164,
+      from_e164: fromE164 || null,
+      name: safeStr(name) || null,
+      source_call_sid: sourceCallSid || null,
+      next_attempt_at: new Date(now() + policy.delay_minutes * 60_000).toISOString(),
+    });
+    if (!entry) return { queued: false, reason: "already_queued" };
+    if (debug) console.log("[CALLBACK] queued", { id: entry.id, tenant: tenantId, at: entry.next_attempt_at });
+    return { queued: true, reason: null, entry };
+  }
+
+  async function dial(entry, tenant, policy) {
+    const attempt = entry.attempts + 1;
+    const from = policy.caller_id || entry.from_e164;
+    const qs = new URLSearchParams({ cb: entry.id, attempt: String(attempt) }).toString();
+    const res = await twilio.createCall({
+      To: entry.to_e164,
+      From: from,
+      Url: urls.answer(qs),
+      Method: "POST",
+      StatusCallback: urls.status(qs),
+      StatusCallbackMethod: "POST",
+      // Wait for the beep only when there is a message to leave
+      MachineDetection: policy.voicemail_script ? "DetectMessageEnd" : "Enable",
+      Timeout: String(ringTimeoutSec),
+    });
+    await store.update(entry.id, { attempts: attempt, last_attempt_at: nowIso(), from_e164: from });
+    if (res.ok && res.sid) {
+      state.dialed += 1;
+      await store.update(entry.id, { last_call_sid: res.sid });
+      await store.addAttempt({ call_sid: res.sid, callback_id: entry.id, attempt });
+      if (debug) console.log("[CALLBACK] dialing", { id: entry.id, attempt, callSid: res.sid });
+      return;
+    }
+    console.error("[CALLBACK] create call failed", { id: entry.id, status: res.status, error: res.error });
+    await settle({ ...entry, attempts: attempt }, policy, `create_failed${res.status ? `_${res.status}` : ""}`);
+  }
+
+  // Attempt finished -> done / next attempt / exhausted
+  async function settle(entry, policy, result) {
+    let status = "done";
+    let next = null;
+    if (!FINAL_RESULTS.has(result)) {
+      if (entry.attempts >= policy.max_attempts) status = "exhausted";
+      else {
+        status = "pending";
+        next = new Date(now() + retryDelayMs(policy, entry.attempts)).toISOString();
+      }
+    }
+    if (result === "fax") status = "failed";
+    await store.update(entry.id, {
+      status,
+      last_result: result,
+      ...(next ? { next_attempt_at: next } : {}),
+    });
+    if (debug) {
+      console.log("[CALLBACK] attempt result", { id: entry.id, attempt: entry.attempts, result, status, next });
+    }
+    return { status, next_attempt_at: next };
+  }
+
+  async function tick() {
+    if (ticking || !enabled || !twilio.configured) return;
+    ticking = true;
+    state.last_tick_at = nowIso();
+    try {
+      await store.releaseStale(now() - staleMs);
+      let slots = Math.max(0, maxConcurrent - (await store.countDialing()));
+      for (const entry of await store.due(now())) {
+        if (slots <= 0) break;
+        const { tenant, policy } = policyFor(entry.tenant_id);
+        if (!policy.enabled) {
+          await store.update(entry.id, { status: "canceled", last_result: "tenant_disabled" });
+          continue;
+        }
+        if (entry.attempts >= policy.max_attempts) {
+          await store.update(entry.id, { status: "exhausted" });
+          continue;
+        }
+        const quiet = quietReason(policy, { hours: tenant?.hours, nowMs: now(), timeZone });
+        if (quiet) {
+          state.skipped_quiet += 1;
+          // Move it past the window so quiet entries don't fill every due() batch and starve other tenants
+          const until = new Date(quietUntil(quiet, policy, { hours: tenant?.hours, nowMs: now(), timeZone }));
+          await store.update(entry.id, { next_attempt_at: until.toISOString() });
+          if (debug) console.log("[CALLBACK] quiet", { id: entry.id, reason: quiet, until: until.toISOString() });
+          continue;
+        }
+        if (!(await store.claim(entry.id))) continue;
+        slots -= 1;
+        await dial(entry, tenant, policy);
+      }
+      state.last_error = null;
+    } catch (e) {
+      state.last_error = e && (e.message || String(e));
+      console.error("[CALLBACK] tick failed", state.last_error);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  // Answer URL (after AMD) -> { entry, policy, machine }
+  async function onAnswered({ callbackId, callSid, answeredBy }) {
+    const entry = await store.get(callbackId);
+    if (!entry) return null;
+    const { policy } = policyFor(entry.tenant_id);
+    await store.updateAttempt(callSid, { answered_by: safeStr(answeredBy) || null });
+    if (entry.status === "dialing" && (!entry.last_call_sid || entry.last_call_sid === callSid)) {
+      await store.update(entry.id, { status: "in_call" });
+    }
+    const by = safeStr(answeredBy).toLowerCase();
+    return { entry, policy, machine: by.startsWith("machine") || by === "fax" };
+  }
+
+  // Answered, but the call could not be served (e.g. realtime down): the attempt counts as failed
+  async function abortAttempt(callSid, result) {
+    await store.updateAttempt(callSid, { result });
+  }
+
+  // Status callback (call completed / busy / no-answer / failed / canceled)
+  async function onStatus({ callbackId, callSid, callStatus, answeredBy, durationSec }) {
+    const entry = await store.get(callbackId);
+    if (!entry) return null;
+    if (entry.last_call_sid && callSid && entry.last_call_sid !== callSid) return null; // stale attempt
+    const { policy } = policyFor(entry.tenant_id);
+    const prior = await store.getAttempt(callSid);
+    const by = safeStr(answeredBy) || prior?.answered_by || null;
+    const result =
+      prior?.result || attemptResult({ callStatus, answeredBy: by, voicemailLeft: !!policy.voicemail_script });
+    await store.updateAttempt(callSid, {
+      answered_by: by,
+      call_status: safeStr(callStatus) || null,
+      result,
+      duration_sec: Number.isFinite(Number(durationSec)) ? Number(durationSec) : null,
+      ended_at: nowIso(),
+    });
+    if (!ACTIVE_STATUSES.includes(entry.status)) return { result, status: entry.status };
+    return { result, ...(await settle(entry, policy, result)) };
+  }
+
+  function start() {
+    if (!enabled || timer) return;
+    state.running = true;
+    timer = setInterval(() => tick().catch(() => {}), Math.max(1000, tickMs));
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    state.running = false;
+  }
+
+  return {
+    state,
+    enqueue,
+    tick,
+    onAnswered,
+    abortAttempt,
+    onStatus,
+    list: (opts) => store.list(opts),
+    start,
+    stop,
+    summarize: () => ({ ...state, store: store.state, twilio_configured: !!twilio.configured }),
+  };
+}
+
+module.exports = {
+  createCallbackStore,
+  createCallbackDialer,
+  parseCallbackSettings,
+  quietReason,
+  quietUntil,
+  attemptResult,
+};
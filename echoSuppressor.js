@@ -0,0 +1,202 @@
+// echoSuppressor.js
+// Index Betty – echo suppression for full-duplex barge-in (MB_HALF_DUPLEX=false)
+// On speakerphone Betty's own voice comes back on the caller's track and OpenAI's server VAD takes it for the
+// caller talking. Outbound response.audio.delta audio is kept as a short reference on a playback timeline (the
+// same wall-clock estimate as playback.js); each inbound frame is decoded and the last WINDOW_MS of caller audio
+// is cross-correlated (normalized, PCM decimated to 2 kHz) with the reference up to maxDelayMs: around the last
+// echo delay first, else on a coarse grid refined around its peak. A peak at or above the threshold = echo.
+// The caller talking over Betty breaks the correlation (double talk), so real barge-in still gets through.
+// Nothing is correlated once Betty's audio (plus maxDelayMs of echo tail) has finished playing.
+
+const { ULAW_TO_PCM } = require("./audioGate");
+
+const DECIMATE = 4; // 8 kHz -> 2 kHz
+const SAMPLES_PER_MS = 8 / DECIMATE;
+const WINDOW_MS = 100;
+const WINDOW = WINDOW_MS * SAMPLES_PER_MS;
+const LOCK_SLACK = 20; // samples around the last echo delay tried before a full search
+const COARSE_STEP = 4; // full search grid (2 ms); the best coarse delay is refined +/- one step
+const MIN_RMS = 60; // quieter caller audio is not worth classifying (linear 16-bit)
+const HISTORY_MS = 2000;
+
+function decode(payload) {
+  const bytes = Buffer.from(String(payload || ""), "base64");
+  const out = new Float32Array(Math.floor(bytes.length / DECIMATE));
+  for (let i = 0; i < out.length; i += 1) {
+    let sum = 0;
+    for (let k = 0; k < DECIMATE; k += 1) sum += ULAW_TO_PCM[bytes[i * DECIMATE + k]];
+    out[i] = sum / DECIMATE;
+  }
+  return out;
+}
+
+function createEchoSuppressor({ threshold = 0.5, maxDelayMs = 600, now = Date.now } = {}) {
+  const maxLag = Math.round(maxDelayMs * SAMPLES_PER_MS);
+  const keepMs = maxDelayMs + WINDOW_MS + 500;
+  let chunks = []; // { start_at, samples } outbound audio on the playback timeline
+  let queueEndsAt = 0;
+  const mic = new Float32Array(WINDOW); // last WINDOW_MS of caller audio
+  let micFill = 0;
+  let lockedLag = null;
+  const history = []; // { at, echo } per classified frame
+  const stats = { frames: 0, checked: 0, echo_frames: 0, peak_score: 0, suppressed_bargeins: 0 };
+
+  function onOutbound(payload) {
+    const t = now();
+    const samples = decode(payload);
+    if (!samples.length) return;
+    const startAt = Math.max(t, queueEndsAt);
+    chunks.push({ start_at: startAt, samples });
+    queueEndsAt = startAt + samples.length / SAMPLES_PER_MS;
+    chunks = chunks.filter((c) => c.start_at + c.samples.length / SAMPLES_PER_MS > t - keepMs);
+  }
+
+  // Twilio "clear": whatever was still queued is never played
+  function clear() {
+    const t = now();
+    chunks = chunks.filter((c) => c.start_at < t);
+    const last = chunks[chunks.length - 1];
+    if (last) {
+      const played = Math.max(0, Math.floor((t - last.start_at) * SAMPLES_PER_MS));
+      if (played < last.samples.length) last.samples = last.samples.subarray(0, played);
+    }
+    queueEndsAt = Math.min(queueEndsAt, t);
+  }
+
+  // Reference audio played in [from, to) ms, silence where nothing was playing
+  function reference(from, to) {
+    const out = new Float32Array(Math.max(0, Math.round((to - from) * SAMPLES_PER_MS)));
+    let any = false;
+    for (const c of chunks) {
+      const offset = Math.round((c.start_at - from) * SAMPLES_PER_MS);
+      for (let i = Math.max(0, -offset); i < c.samples.length && offset + i < out.length; i += 1) {
+        out[offset + i] = c.samples[i];
+        any = true;
+      }
+    }
+    return any ? out : null;
+  }
+
+  // Normalized cross-correlation of the mic window with ref ending `lag` samples before ref's end
+  function score(ref, x, xEnergy, lag) {
+    const end = ref.length - lag;
+    const start = end - WINDOW;
+    if (start < 0) return 0;
+    let dot = 0;
+    let energy = 0;
+    for (let i = 0; i < WINDOW; i += 1) {
+      const y = ref[start + i];
+      dot += x[i] * y;
+      energy += y * y;
+    }
+    return energy > 0 ? Math.abs(dot) / Math.sqrt(xEnergy * energy) : 0;
+  }
+
+  function bestLag(ref, x, xEnergy, from, to) {
+    let best = { lag: null, score: 0 };
+    for (let lag = Math.max(0, from); lag <= Math.min(maxLag, to); lag += 1) {
+      const s = score(ref, x, xEnergy, lag);
+      if (s > best.score) best = { lag, score: s };
+    }
+    return best;
+  }
+
+  // Coarse grid over every delay, then sample by sample around its peak
+  function searchLag(ref, x, xEnergy) {
+    let coarse = { lag: null, score: 0 };
+    for (let lag = 0; lag <= maxLag; lag += COARSE_STEP) {
+      const s = score(ref, x, xEnergy, lag);
+      if (s > coarse.score) coarse = { lag, score: s };
+    }
+    if (coarse.lag === null) return coarse;
+    const fine = bestLag(ref, x, xEnergy, coarse.lag - COARSE_STEP + 1, coarse.lag + COARSE_STEP - 1);
+    return fine.score > coarse.score ? fine : coarse;
+  }
+
+  function remember(t, echo) {
+    history.push({ at: t, echo });
+    while (history.length && history[0].at < t - HISTORY_MS) history.shift();
+  }
+
+  // base64 μ-law caller frame -> { echo, score, lag_ms }
+  function process(payload) {
+    const t = now();
+    stats.frames += 1;
+    if (t >= queueEndsAt + maxDelayMs) {
+      // Betty is not playing: no echo to find, and the mic window starts over with her next line
+      micFill = 0;
+      remember(t, false);
+      return { echo: false, score: null, lag_ms: null };
+    }
+    const frame = decode(payload);
+    if (frame.length >= WINDOW) {
+      mic.set(frame.subarray(frame.length - WINDOW));
+      micFill = WINDOW;
+    } else {
+      mic.copyWithin(0, frame.length);
+      mic.set(frame, WINDOW - frame.length);
+      micFill = Math.min(WINDOW, micFill + frame.length);
+    }
+
+    const ref = micFill === WINDOW ? reference(t - WINDOW_MS - maxDelayMs, t) : null;
+    let mean = 0;
+    for (let i = 0; i < WINDOW; i += 1) mean += mic[i];
+    mean /= WINDOW;
+    const x = new Float32Array(WINDOW);
+    let xEnergy = 0;
+    for (let i = 0; i < WINDOW; i += 1) {
+      x[i] = mic[i] - mean;
+      xEnergy += x[i] * x[i];
+    }
+    if (!ref || Math.sqrt(xEnergy / WINDOW) < MIN_RMS) {
+      remember(t, false);
+      return { echo: false, score: null, lag_ms: null };
+    }
+
+    stats.checked += 1;
+    let best = { lag: null, score: 0 };
+    if (lockedLag !== null) best = bestLag(ref, x, xEnergy, lockedLag - LOCK_SLACK, lockedLag + LOCK_SLACK);
+    if (best.score < threshold) best = searchLag(ref, x, xEnergy);
+    const echo = best.score >= threshold;
+    lockedLag = echo ? best.lag : lockedLag;
+    stats.peak_score = Math.max(stats.peak_score, best.score);
+    if (echo) stats.echo_frames += 1;
+    remember(t, echo);
+    return {
+      echo,
+      score: Math.round(best.score * 100) / 100,
+      lag_ms: best.lag === null ? null : Math.round(best.lag / SAMPLES_PER_MS),
+    };
+  }
+
+  // Share of caller frames in the last `ms` classified as echo (0 when none were)
+  function echoRatio(ms) {
+    const cutoff = now() - ms;
+    const recent = history.filter((h) => h.at >= cutoff);
+    return recent.length ? recent.filter((h) => h.echo).length / recent.length : 0;
+  }
+
+  function summarize() {
+    return {
+      threshold,
+      max_delay_ms: maxDelayMs,
+      frames: stats.frames,
+      checked_frames: stats.checked,
+      echo_frames: stats.echo_frames,
+      peak_score: Math.round(stats.peak_score * 100) / 100,
+      echo_delay_ms: lockedLag === null ? null : Math.round(lockedLag / SAMPLES_PER_MS),
+      suppressed_bargeins: stats.suppressed_bargeins,
+    };
+  }
+
+  return {
+    onOutbound,
+    clear,
+    process,
+    echoRatio,
+    summarize,
+    noteSuppressed: () => (stats.suppressed_bargeins += 1),
+  };
+}
+
+module.exports = { createEchoSuppressor };
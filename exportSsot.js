@@ -0,0 +1,44 @@
+// exportSsot.js
+// Index Betty – snapshot the live Google Sheet into a local SSOT file
+// Usage: GSHEET_ID=... GOOGLE_SERVICE_ACCOUNT_JSON_B64=... node exportSsot.js ./ssot.local.yaml
+// Output format follows the extension (.json / .yaml / .yml / .xlsx) and can be served with
+// SSOT_SOURCE=file SSOT_FILE=<path>.
+
+const { createSheetsSsotSource, writeSsotFile, parseSsotTabs } = require("./ssotSource");
+
+async function main() {
+  const outPath = String(process.argv[2] || "").trim();
+  const spreadsheetId = (process.env.GSHEET_ID || "").trim();
+  const credentialsB64 = (process.env.GOOGLE_SERVICE_ACCOUNT_JSON_B64 || "").trim();
+
+  if (!outPath) {
+    console.error("usage: node exportSsot.js <out.json|out.yaml|out.xlsx>");
+    process.exit(2);
+  }
+  if (!spreadsheetId || !credentialsB64) {
+    console.error("[EXPORT] Missing GSHEET_ID / GOOGLE_SERVICE_ACCOUNT_JSON_B64");
+    process.exit(2);
+  }
+
+  const source = createSheetsSsotSource({ spreadsheetId, credentialsB64 });
+  const tabs = await source.readTabs();
+  await writeSsotFile(outPath, tabs);
+
+  const data = parseSsotTabs(tabs);
+  console.log("[EXPORT] wrote", {
+    path: outPath,
+    settings_keys: Object.keys(data.settings).length,
+    prompts_keys: Object.keys(data.prompts).length,
+    intents: data.intents.length,
+    intent_suggestions: data.intent_suggestions.length,
+    hours: data.hours.length,
+    holidays: data.holidays.length,
+    kb: data.kb.length,
+    keypad: data.keypad.length,
+  });
+}
+
+main().catch((e) => {
+  console.error("[EXPORT] failed", e && (e.message || e));
+  process.exit(1);
+});
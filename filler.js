@@ -0,0 +1,83 @@
+// filler.js
+// Index Betty – latency-masking filler cue between the caller's turn and the model's first audio
+// If no response.audio.delta arrives within FILLER_AFTER_MS of the response.create, a short cue is played on
+// Twilio – a soft tone – and cleared the instant real audio starts. Tone only: a spoken cue would need its audio
+// rendered ahead of the turn, and nothing renders a line the model has not said on a call.
+// Per tenant SETTINGS (env MB_FILLER_* are the defaults):
+//   FILLER_MODE      off | tone
+//   FILLER_AFTER_MS  wait before the cue (default 900)
+// First-audio latency (response.create -> first delta) is recorded per turn for tuning FILLER_AFTER_MS.
+
+const { linearToUlaw } = require("./audioGate");
+
+const FILLER_MODES = new Set(["off", "tone"]);
+const TONE_HZ = 660;
+const TONE_MS = 180;
+const TONE_LEVEL_DB = -26;
+const FADE_MS = 30;
+
+function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+function parseFillerSettings(settings = {}, defaults = {}) {
+  const mode = safeStr(settings.FILLER_MODE || defaults.mode).toLowerCase();
+  const afterMs = Number(settings.FILLER_AFTER_MS);
+  return {
+    mode: FILLER_MODES.has(mode) ? mode : "off",
+    after_ms: safeStr(settings.FILLER_AFTER_MS) !== "" && afterMs >= 0 ? afterMs : defaults.after_ms ?? 900,
+  };
+}
+
+// Soft sine cue as μ-law 8 kHz (fade in / out so it does not click)
+const toneCache = new Map();
+function buildToneUlaw({ hz = TONE_HZ, ms = TONE_MS, levelDb = TONE_LEVEL_DB } = {}) {
+  const key = `${hz}:${ms}:${levelDb}`;
+  if (toneCache.has(key)) return toneCache.get(key);
+  const n = Math.round(ms * 8);
+  const fade = Math.min(Math.round(FADE_MS * 8), Math.floor(n / 2));
+  const amp = 32767 * Math.pow(10, levelDb / 20);
+  const out = Buffer.alloc(n);
+  for (let i = 0; i < n; i += 1) {
+    const env = Math.min(1, i / fade, (n - 1 - i) / fade);
+    out[i] = linearToUlaw(amp * env * Math.sin((2 * Math.PI * hz * i) / 8000));
+  }
+  toneCache.set(key, out);
+  return out;
+}
+
+/* ================== First-audio latency ================== */
+// Rolling window of recent turns for /health
+function createLatencyStats({ size = 500 } = {}) {
+  const recent = []; // { latency_ms, filler }
+  let turns = 0;
+  let fillerTurns = 0;
+
+  function record({ latencyMs, filler }) {
+    turns += 1;
+    if (filler) fillerTurns += 1;
+    recent.push({ latency_ms: latencyMs, filler: !!filler });
+    if (recent.length > size) recent.shift();
+  }
+
+  function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+  }
+
+  function summarize() {
+    const sorted = recent.map((r) => r.latency_ms).sort((a, b) => a - b);
+    return {
+      turns,
+      filler_turns: fillerTurns,
+      window: sorted.length,
+      p50_ms: percentile(sorted, 50),
+      p90_ms: percentile(sorted, 90),
+      max_ms: sorted.length ? sorted[sorted.length - 1] : null,
+    };
+  }
+
+  return { record, summarize };
+}
+
+module.exports = { parseFillerSettings, buildToneUlaw, createLatencyStats, FILLER_MODES };
@@ -0,0 +1,165 @@
+// intentRouter.js
+// Index Betty – Intent router (SSOT INTENTS tab)
+// Compiles INTENTS rows (intent, priority, trigger_type, triggers_he) into matchers
+// and applies them to every final caller utterance.
+// - trigger_type: keyword | phrase | regex
+// - priority: higher number wins (empty = 0)
+// - triggers_he: keyword/phrase lists are split on comma, pipe or newline;
+//   regex triggers are one pattern per line (so "|" and "{1,3}" stay intact)
+
+const HEB_PREFIXES = ["ו", "ה", "ב", "ל", "מ", "ש", "כ"];
+
+function normalizeText(s) {
+  return String(s || "")
+    .replace(/[\u0591-\u05C7]/g, "") // niqqud / cantillation
+    .replace(/[״"׳'`]/g, "")
+    .replace(/[^\u0590-\u05FFa-zA-Z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+function tokenize(s) {
+  const t = normalizeText(s);
+  return t ? t.split(" ") : [];
+}
+
+// A Hebrew word may carry one or two attached prefixes ("ולמחיר", "שהמשלוח").
+function tokenVariants(token) {
+  const out = new Set([token]);
+  let cur = token;
+  for (let i = 0; i < 2; i += 1) {
+    if (cur.length <= 2 || !HEB_PREFIXES.includes(cur[0])) break;
+    cur = cur.slice(1);
+    out.add(cur);
+  }
+  return out;
+}
+
+function splitTriggers(raw, triggerType) {
+  if (Array.isArray(raw)) return raw.map((p) => String(p || "").trim()).filter(Boolean);
+  const s = String(raw || "");
+  const parts = triggerType === "regex" ? s.split(/\r?\n/) : s.split(/[,|\r\n]+/);
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+function normalizeTriggerType(t) {
+  const s = String(t || "").trim().toLowerCase();
+  if (["keyword", "keywords", "kw"].includes(s)) return "keyword";
+  if (["phrase", "phrases", "exact"].includes(s)) return "phrase";
+  if (["regex", "regexp", "re"].includes(s)) return "regex";
+  return s ? null : "keyword";
+}
+
+function compileIntents(rows) {
+  const compiled = [];
+  const errors = [];
+
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const intent = String(row?.intent || "").trim();
+    if (!intent) continue;
+
+    const triggerType = normalizeTriggerType(row.trigger_type);
+    if (!triggerType) {
+      errors.push({ intent, error: `unknown trigger_type "${row.trigger_type}"` });
+      continue;
+    }
+
+    const priority = Number.isFinite(Number(row.priority)) ? Number(row.priority) : 0;
+    const triggers = splitTriggers(row.triggers_he, triggerType);
+    if (!triggers.length) {
+      errors.push({ intent, error: "no triggers" });
+      continue;
+    }
+
+    const entry = { intent, priority, trigger_type: triggerType, source: row.source || "INTENTS", matchers: [] };
+
+    for (const trig of triggers) {
+      if (triggerType === "regex") {
+        try {
+          entry.matchers.push({ trigger: trig, re: new RegExp(trig, "i") });
+        } catch (e) {
+          errors.push({ intent, error: `invalid regex "${trig}": ${e.message}` });
+        }
+      } else if (triggerType === "phrase") {
+        const norm = normalizeText(trig);
+        if (norm) entry.matchers.push({ trigger: trig, phrase: norm });
+      } else {
+        const norm = normalizeText(trig);
+        if (norm) entry.matchers.push({ trigger: trig, tokens: norm.split(" ") });
+      }
+    }
+
+    if (entry.matchers.length) compiled.push(entry);
+  }
+
+  // Highest priority first; stable for equal priorities (sheet order)
+  compiled.sort((a, b) => b.priority - a.priority);
+  return { compiled, errors };
+}
+
+function matchEntry(entry, text, normalized, tokenSets) {
+  if (entry.trigger_type === "regex") {
+    for (const m of entry.matchers) {
+      if (m.re.test(text)) return { trigger: m.trigger, score: 1 };
+    }
+    return null;
+  }
+
+  if (entry.trigger_type === "phrase") {
+    const padded = ` ${normalized} `;
+    for (const m of entry.matchers) {
+      if (padded.includes(` ${m.phrase} `)) return { trigger: m.trigger, score: 1 };
+    }
+    return null;
+  }
+
+  // keyword: each hit adds 0.5 (one lone keyword = weak match)
+  const hits = [];
+  for (const m of entry.matchers) {
+    const ok = m.tokens.every((tok) => tokenSets.some((set) => set.has(tok)));
+    if (ok) hits.push(m.trigger);
+  }
+  if (!hits.length) return null;
+  return { trigger: hits.join(","), score: Math.min(1, hits.length * 0.5) };
+}
+
+function createIntentRouter(rows) {
+  const { compiled, errors } = compileIntents(rows);
+
+  function match(text) {
+    const raw = String(text || "").trim();
+    if (!raw || !compiled.length) return [];
+
+    const normalized = normalizeText(raw);
+    const tokenSets = tokenize(raw).map(tokenVariants);
+
+    const byIntent = new Map();
+    for (const entry of compiled) {
+      const hit = matchEntry(entry, raw, normalized, tokenSets);
+      if (!hit) continue;
+      const prev = byIntent.get(entry.intent);
+      if (prev && (prev.priority > entry.priority || (prev.priority === entry.priority && prev.score >= hit.score))) {
+        continue;
+      }
+      byIntent.set(entry.intent, {
+        intent: entry.intent,
+        priority: entry.priority,
+        trigger_type: entry.trigger_type,
+        trigger: hit.trigger,
+        score: hit.score,
+        source: entry.source,
+      });
+    }
+
+    return Array.from(byIntent.values()).sort((a, b) => b.priority - a.priority || b.score - a.score);
+  }
+
+  return {
+    match,
+    errors,
+    size: compiled.length,
+  };
+}
+
+module.exports = { createIntentRouter, normalizeText, tokenVariants };
@@ -0,0 +1,292 @@
+// intentSuggestions.js
+// Index Betty – INTENT_SUGGESTIONS write-back
+// Aggregates caller phrases that matched no intent (or only weakly) and upserts them into
+// the INTENT_SUGGESTIONS tab: phrase_he | detected_intent | occurrences | last_seen_at | approved | notes
+// - Existing rows: occurrences += n, last_seen_at updated; approved/notes are never touched
+//   (detected_intent is only filled while the row is still pending review)
+// - Sinks are pluggable: Google Sheets (write scope) or a local JSON/CSV file
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeText } = require("./intentRouter");
+
+const SUGGESTION_COLUMNS = ["phrase_he", "detected_intent", "occurrences", "last_seen_at", "approved", "notes"];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function isApproved(v) {
+  return /^(true|yes|y|1|v|✓|✔|approved|כן|מאושר)$/i.test(String(v ?? "").trim());
+}
+
+function isRejected(v) {
+  return /^(false|no|n|0|x|✗|✘|rejected|לא|נדחה)$/i.test(String(v ?? "").trim());
+}
+
+function rowToSuggestion(r) {
+  const out = {};
+  SUGGESTION_COLUMNS.forEach((c, i) => {
+    out[c] = r?.[i] ?? "";
+  });
+  return out;
+}
+
+function suggestionToRow(s) {
+  return SUGGESTION_COLUMNS.map((c) => (s?.[c] === undefined || s?.[c] === null ? "" : String(s[c])));
+}
+
+// Pure merge step shared by all sinks. Returns the merged list plus which rows changed.
+function mergeSuggestionRows(existing, pending) {
+  const rows = (existing || []).map((r) => ({ ...r }));
+  const index = new Map();
+  rows.forEach((r, i) => {
+    const k = normalizeText(r.phrase_he);
+    if (k && !index.has(k)) index.set(k, i);
+  });
+
+  const updated = new Set();
+  const appended = [];
+
+  for (const p of pending || []) {
+    const k = normalizeText(p.phrase_he);
+    if (!k) continue;
+
+    if (index.has(k)) {
+      const i = index.get(k);
+      const row = rows[i];
+      row.occurrences = (Number(row.occurrences) || 0) + p.count;
+      if (!row.last_seen_at || String(p.last_seen_at) > String(row.last_seen_at)) row.last_seen_at = p.last_seen_at;
+      const pendingReview = !isApproved(row.approved) && !isRejected(row.approved);
+      if (pendingReview && !row.detected_intent && p.detected_intent) row.detected_intent = p.detected_intent;
+      updated.add(i);
+      continue;
+    }
+
+    const row = {
+      phrase_he: k,
+      detected_intent: p.detected_intent || "",
+      occurrences: p.count,
+      last_seen_at: p.last_seen_at,
+      approved: "",
+      notes: "",
+    };
+    index.set(k, rows.length);
+    rows.push(row);
+    appended.push(row);
+  }
+
+  return { rows, updated: Array.from(updated).filter((i) => i < (existing || []).length), appended };
+}
+
+/* ================== Sinks ================== */
+function createSheetsSuggestionSink({ spreadsheetId, getSheets, tab = "INTENT_SUGGESTIONS" }) {
+  async function upsert(pending) {
+    const sheets = getSheets();
+    const res = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${tab}!A:F` });
+    const values = res.data.values || [];
+    const existing = values.slice(1).map(rowToSuggestion);
+    const { rows, updated, appended } = mergeSuggestionRows(existing, pending);
+
+    // Only columns A:D are written for existing rows, so concurrent edits to approved/notes survive
+    const data = updated.map((i) => ({
+      range: `${tab}!A${i + 2}:D${i + 2}`,
+      values: [suggestionToRow(rows[i]).slice(0, 4)],
+    }));
+    if (data.length) {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: { valueInputOption: "RAW", data },
+      });
+    }
+
+    const toAppend = appended.map(suggestionToRow);
+    if (!values.length) toAppend.unshift(SUGGESTION_COLUMNS.slice());
+    if (toAppend.length) {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${tab}!A:F`,
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        requestBody: { values: toAppend },
+      });
+    }
+
+    return { updated: data.length, appended: appended.length };
+  }
+
+  return { kind: "sheets", upsert };
+}
+
+function csvEscape(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ""));
+}
+
+function createFileSuggestionSink({ filePath }) {
+  const isCsv = path.extname(filePath).toLowerCase() === ".csv";
+
+  function readAll() {
+    let text = "";
+    try {
+      text = fs.readFileSync(filePath, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+    if (!text.trim()) return [];
+    if (isCsv) return parseCsv(text.replace(/^\uFEFF/, "")).slice(1).map(rowToSuggestion);
+    const json = JSON.parse(text);
+    return (Array.isArray(json) ? json : []).map((o) => rowToSuggestion(SUGGESTION_COLUMNS.map((c) => o?.[c])));
+  }
+
+  function writeAll(rows) {
+    const body = isCsv
+      ? [SUGGESTION_COLUMNS, ...rows.map(suggestionToRow)].map((r) => r.map(csvEscape).join(",")).join("\n") + "\n"
+      : JSON.stringify(rows, null, 2) + "\n";
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, body, "utf8");
+    fs.renameSync(tmp, filePath);
+  }
+
+  async function upsert(pending) {
+    const { rows, updated, appended } = mergeSuggestionRows(readAll(), pending);
+    writeAll(rows);
+    return { updated: updated.length, appended: appended.length };
+  }
+
+  return { kind: "file", filePath, upsert, readAll };
+}
+
+/* ================== Collector ================== */
+function createIntentSuggestionCollector({ sink, flushMs = 60_000, maxPending = 500, debug }) {
+  const pending = new Map(); // normalized phrase -> { phrase_he, detected_intent, count, last_seen_at }
+  let flushing = null;
+
+  const state = {
+    enabled: !!sink,
+    sink: sink ? sink.kind : null,
+    pending: 0,
+    flushed_total: 0,
+    last_flush_at: null,
+    last_error: null,
+  };
+
+  function record(phrase, detectedIntent) {
+    if (!sink) return;
+    const k = normalizeText(phrase);
+    if (!k) return;
+
+    if (!pending.has(k) && pending.size >= maxPending) return;
+
+    const cur = pending.get(k) || { phrase_he: k, detected_intent: "", count: 0, last_seen_at: null };
+    cur.count += 1;
+    cur.last_seen_at = nowIso();
+    if (detectedIntent && !cur.detected_intent) cur.detected_intent = detectedIntent;
+    pending.set(k, cur);
+    state.pending = pending.size;
+  }
+
+  async function flush() {
+    if (!sink || !pending.size) return state;
+    if (flushing) return flushing;
+
+    const batch = Array.from(pending.values());
+    pending.clear();
+    state.pending = 0;
+
+    flushing = (async () => {
+      try {
+        const r = await sink.upsert(batch);
+        state.flushed_total += batch.length;
+        state.last_flush_at = nowIso();
+        state.last_error = null;
+        if (debug) console.log("[INTENT_SUGGESTIONS] flushed", { sink: sink.kind, phrases: batch.length, ...r });
+      } catch (e) {
+        state.last_error = e && (e.message || String(e));
+        console.error("[INTENT_SUGGESTIONS] flush failed", state.last_error);
+        // Put the batch back so the next flush retries it
+        for (const p of batch) {
+          const cur = pending.get(p.phrase_he);
+          if (cur) {
+            cur.count += p.count;
+            if (String(p.last_seen_at) > String(cur.last_seen_at || "")) cur.last_seen_at = p.last_seen_at;
+            if (!cur.detected_intent) cur.detected_intent = p.detected_intent;
+          } else {
+            pending.set(p.phrase_he, p);
+          }
+        }
+        state.pending = pending.size;
+      } finally {
+        flushing = null;
+      }
+      return state;
+    })();
+    return flushing;
+  }
+
+  let timer = null;
+  if (sink && flushMs > 0) {
+    timer = setInterval(() => {
+      flush().catch(() => {});
+    }, flushMs);
+    if (timer.unref) timer.unref();
+  }
+
+  // Shutdown: no more timed flushes; waits for one in flight, then writes what is still pending
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (flushing) await flushing;
+    return flush();
+  }
+
+  return { state, record, flush, stop };
+}
+
+module.exports = {
+  createIntentSuggestionCollector,
+  createSheetsSuggestionSink,
+  createFileSuggestionSink,
+  mergeSuggestionRows,
+  isApproved,
+};
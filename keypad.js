@@ -0,0 +1,111 @@
+// keypad.js
+// Index Betty – DTMF keypad input (Twilio media stream "dtmf" events)
+// SSOT KEYPAD tab: digit | action | value. Built-in defaults apply to digits the tab does not define:
+//   1 = yes, 2 = no (the spoken confirmations), 0 = transfer to a human (not while a number is being typed)
+// Actions:
+//   yes / no      answer the pending confirmation as if the caller said כן / לא
+//   transfer      warm transfer (SETTINGS TRANSFER_*)
+//   repeat        say the last bot line again
+//   say           speak value (a SETTINGS key, or literal text; templates allowed)
+//   intent        record value as the caller's intent and let the model continue
+//   hangup        closing line and end of call
+//   ignore        do nothing (disables a built-in default)
+// After the bot asks for a phone number (or while it confirms one), digits are collected instead (# ends, * clears).
+
+const KEYPAD_ACTIONS = new Set(["yes", "no", "transfer", "repeat", "say", "intent", "hangup", "ignore"]);
+const DEFAULT_KEYPAD = [
+  { digit: "1", action: "yes", value: "" },
+  { digit: "2", action: "no", value: "" },
+  { digit: "0", action: "transfer", value: "" },
+];
+const NEEDS_VALUE = new Set(["say", "intent"]);
+
+function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+function createKeypadMenu(rows) {
+  const errors = [];
+  const byDigit = new Map();
+
+  (rows || []).forEach((r, i) => {
+    const digit = safeStr(r?.digit);
+    const action = safeStr(r?.action).toLowerCase();
+    const value = safeStr(r?.value);
+    if (!digit && !action) return;
+    const row = i + 2; // sheet row (header = 1)
+    if (!/^[0-9*#]$/.test(digit)) {
+      errors.push({ row, digit, error: "digit must be one of 0-9 * #" });
+      return;
+    }
+    if (!KEYPAD_ACTIONS.has(action)) {
+      errors.push({ row, digit, error: `unknown action "${action}"` });
+      return;
+    }
+    if (NEEDS_VALUE.has(action) && !value) {
+      errors.push({ row, digit, error: `action ${action} needs a value` });
+      return;
+    }
+    if (byDigit.has(digit)) errors.push({ row, digit, error: "digit defined twice; last row wins" });
+    byDigit.set(digit, { digit, action, value, source: "KEYPAD" });
+  });
+
+  for (const d of DEFAULT_KEYPAD) {
+    if (!byDigit.has(d.digit)) byDigit.set(d.digit, { ...d, source: "default" });
+  }
+  for (const [digit, entry] of byDigit) if (entry.action === "ignore") byDigit.delete(digit);
+
+  // Digit bound to an action (the yes / no keys offered in confirmations)
+  function digitFor(action) {
+    for (const e of byDigit.values()) if (e.action === action) return e.digit;
+    return null;
+  }
+
+  return {
+    size: byDigit.size,
+    errors,
+    actionFor: (digit) => byDigit.get(safeStr(digit)) || null,
+    digitFor,
+    summarize: () =>
+      Array.from(byDigit.values())
+        .sort((a, b) => a.digit.localeCompare(b.digit))
+        .map((e) => ({ digit: e.digit, action: e.action, value: e.value || null, source: e.source })),
+  };
+}
+
+// Collects typed digits (phone numbers): "#" or maxDigits completes, "*" clears, timeoutMs of silence completes.
+function createDigitBuffer({ timeoutMs = 3000, maxDigits = 10, onComplete }) {
+  let digits = "";
+  let timer = null;
+
+  function complete(reason) {
+    clearTimeout(timer);
+    timer = null;
+    const out = digits;
+    digits = "";
+    if (out) onComplete(out, reason);
+  }
+
+  function push(key) {
+    if (key === "#") return complete("hash");
+    if (key === "*") {
+      clear();
+      return;
+    }
+    if (!/^[0-9]$/.test(key)) return;
+    digits += key;
+    if (digits.length >= maxDigits) return complete("max_digits");
+    clearTimeout(timer);
+    timer = setTimeout(() => complete("timeout"), timeoutMs);
+  }
+
+  function clear() {
+    clearTimeout(timer);
+    timer = null;
+    digits = "";
+  }
+
+  return { push, clear, flush: () => complete("flush"), pending: () => digits };
+}
+
+module.exports = { createKeypadMenu, createDigitBuffer, KEYPAD_ACTIONS };
@@ -0,0 +1,115 @@
+// knowledgeBase.js
+// Index Betty – retrieval over the SSOT KB tab (Q&A / article rows)
+// Rows are indexed locally with BM25 over normalized Hebrew tokens (niqqud stripped, attached
+// prefixes ו/ה/ב/ל/מ/ש/כ expanded, stopwords dropped). Title, question and keywords weigh double.
+// server.js searches every final caller utterance and injects the top rows into the realtime
+// session as a system item just before response.create.
+
+const { normalizeText, tokenVariants } = require("./intentRouter");
+
+const STOPWORDS = new Set([
+  "של", "את", "על", "עם", "זה", "זו", "זאת", "אני", "אתה", "אתם", "הוא", "היא", "הם", "הן", "אנחנו",
+  "יש", "אין", "מה", "אם", "גם", "או", "כי", "רק", "כל", "עוד", "כבר", "אבל", "אז", "לי", "לך", "לו",
+  "לה", "לנו", "לכם", "שלי", "שלך", "שלכם", "שלנו", "היי", "שלום", "בבקשה", "תודה", "רציתי", "רוצה",
+  "אפשר", "לשאול", "האם", "איך", "כמה", "מתי", "איפה", "למה", "טוב", "כן", "אוקיי", "ok", "the", "a", "is",
+]);
+
+const FIELD_WEIGHTS = { title_he: 2, question_he: 2, keywords_he: 2, answer_he: 1 };
+
+function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+// Each surface token -> its prefix-stripped variants (any variant may hit the index).
+// Doubled yod / vav (ktiv male: "חנייה" / "חניה") are collapsed on both sides.
+function analyze(text) {
+  return normalizeText(text)
+    .replace(/יי/g, "י")
+    .replace(/וו/g, "ו")
+    .split(" ")
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+    .map((t) => Array.from(tokenVariants(t)).filter((v) => v.length > 1 && !STOPWORDS.has(v)))
+    .filter((vs) => vs.length);
+}
+
+function createKnowledgeBase(rows, { k1 = 1.2, b = 0.75 } = {}) {
+  const errors = [];
+  const docs = [];
+  const seen = new Set();
+
+  (Array.isArray(rows) ? rows : []).forEach((r, i) => {
+    const answer = safeStr(r?.answer_he);
+    const question = safeStr(r?.question_he);
+    const title = safeStr(r?.title_he);
+    if (!answer && !question && !title) return;
+    const id = safeStr(r?.kb_id) || `row-${i + 2}`;
+    if (!answer) return errors.push({ kb_id: id, error: "empty answer_he" });
+    if (seen.has(id)) return errors.push({ kb_id: id, error: "duplicate kb_id" });
+    seen.add(id);
+
+    // term -> weighted frequency
+    const tf = new Map();
+    let len = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const variants of analyze(r?.[field])) {
+        for (const v of variants) tf.set(v, (tf.get(v) || 0) + weight);
+        len += weight;
+      }
+    }
+    docs.push({ id, title, question, answer, tf, len });
+  });
+
+  const df = new Map();
+  for (const d of docs) for (const term of d.tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  const avgLen = docs.length ? docs.reduce((s, d) => s + d.len, 0) / docs.length : 0;
+
+  function idf(term) {
+    const n = df.get(term) || 0;
+    return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+  }
+
+  // -> [{ kb_id, title, question, answer, score, matched_terms }] best first
+  function search(query, { limit = 3, minScore = 0 } = {}) {
+    const terms = analyze(query);
+    if (!terms.length || !docs.length) return [];
+
+    const out = [];
+    for (const d of docs) {
+      let score = 0;
+      const matched = [];
+      for (const variants of terms) {
+        // Best-scoring variant of a query token (avoid double counting "והמחיר" + "מחיר")
+        let best = 0;
+        let bestTerm = null;
+        for (const v of variants) {
+          const f = d.tf.get(v);
+          if (!f) continue;
+          const s = (idf(v) * f * (k1 + 1)) / (f + k1 * (1 - b + (b * d.len) / (avgLen || 1)));
+          if (s > best) {
+            best = s;
+            bestTerm = v;
+          }
+        }
+        if (bestTerm) {
+          score += best;
+          matched.push(bestTerm);
+        }
+      }
+      if (score > 0 && score >= minScore) {
+        out.push({
+          kb_id: d.id,
+          title: d.title || null,
+          question: d.question || null,
+          answer: d.answer,
+          score: Math.round(score * 1000) / 1000,
+          matched_terms: matched,
+        });
+      }
+    }
+    return out.sort((a, b2) => b2.score - a.score).slice(0, limit);
+  }
+
+  return { size: docs.length, errors, search };
+}
+
+module.exports = { createKnowledgeBase };
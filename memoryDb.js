@@ -2,6 +2,10 @@
 // Index Betty – Memory DB module
 // Fixes the "caller_key" issue by treating caller_key as the canonical PK.
 // Auto-migrates safely and supports existing/broken schemas.
+// Tenants: caller_key = "<namespace>:<e164>" for namespaced tenants (default tenant keeps the bare e164),
+// so the same caller on two office lines gets two independent rows.
+// prompt_variants (JSONB) keeps the caller's A/B prompt variants so repeat calls hear the same wording.
+// sms_opt_out: the number replied STOP / הסר to a confirmation SMS; no further SMS are sent to it.
 
 let Pg;
 try {
@@ -36,6 +40,9 @@ function createMemoryDb({ url, debug }) {
       hasName: false,
       hasCallCount: false,
       hasLastCallAt: false,
+      hasNamespace: false,
+      hasPromptVariants: false,
+      hasSmsOptOut: false,
     },
   };
 
@@ -63,6 +70,9 @@ function createMemoryDb({ url, debug }) {
     state.schema.hasName = cols.has("name");
     state.schema.hasCallCount = cols.has("call_count");
     state.schema.hasLastCallAt = cols.has("last_call_at");
+    state.schema.hasNamespace = cols.has("namespace");
+    state.schema.hasPromptVariants = cols.has("prompt_variants");
+    state.schema.hasSmsOptOut = cols.has("sms_opt_out");
   }
 
   async function ensureSchema() {
@@ -75,6 +85,10 @@ function createMemoryDb({ url, debug }) {
         name TEXT,
         call_count INTEGER DEFAULT 0,
         last_call_at TIMESTAMPTZ,
+        namespace TEXT,
+        prompt_variants JSONB,
+        sms_opt_out BOOLEAN DEFAULT FALSE,
+        sms_opt_out_at TIMESTAMPTZ,
         created_at TIMESTAMPTZ DEFAULT NOW(),
         updated_at TIMESTAMPTZ DEFAULT NOW()
       );
@@ -93,6 +107,13 @@ function createMemoryDb({ url, debug }) {
       alters.push(`ALTER TABLE caller_memory ADD COLUMN IF NOT EXISTS call_count INTEGER DEFAULT 0;`);
     if (!state.schema.hasLastCallAt)
       alters.push(`ALTER TABLE caller_memory ADD COLUMN IF NOT EXISTS last_call_at TIMESTAMPTZ;`);
+    if (!state.schema.hasNamespace) alters.push(`ALTER TABLE caller_memory ADD COLUMN IF NOT EXISTS namespace TEXT;`);
+    if (!state.schema.hasPromptVariants)
+      alters.push(`ALTER TABLE caller_memory ADD COLUMN IF NOT EXISTS prompt_variants JSONB;`);
+    if (!state.schema.hasSmsOptOut) {
+      alters.push(`ALTER TABLE caller_memory ADD COLUMN IF NOT EXISTS sms_opt_out BOOLEAN DEFAULT FALSE;`);
+      alters.push(`ALTER TABLE caller_memory ADD COLUMN IF NOT EXISTS sms_opt_out_at TIMESTAMPTZ;`);
+    }
 
     alters.push(`ALTER TABLE caller_memory ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();`);
     alters.push(`ALTER TABLE caller_memory ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();`);
@@ -153,22 +174,23 @@ function createMemoryDb({ url, debug }) {
     return state;
   }
 
-  function canonicalKeyFromCaller(callerE164) {
+  function canonicalKeyFromCaller(callerE164, namespace) {
     const e164 = normalizeE164(callerE164);
     if (!e164) return null;
-    return e164; // caller_key == e164
+    const ns = String(namespace || "").trim();
+    return ns ? `${ns}:${e164}` : e164; // caller_key == e164 (default tenant)
   }
 
-  async function lookup(callerE164) {
+  async function lookup(callerE164, namespace) {
     try {
-      const key = canonicalKeyFromCaller(callerE164);
+      const key = canonicalKeyFromCaller(callerE164, namespace);
       if (!key) return null;
       await init();
       if (!state.ready || !state.pool) return null;
 
       const res = await query(
         `
-        SELECT caller_key, caller_id_e164, name, call_count, last_call_at
+        SELECT caller_key, caller_id_e164, name, call_count, last_call_at, prompt_variants, sms_opt_out
         FROM caller_memory
         WHERE caller_key = $1
         LIMIT 1
@@ -183,17 +205,17 @@ function createMemoryDb({ url, debug }) {
     }
   }
 
-  async function upsertCall(callerE164) {
+  async function upsertCall(callerE164, namespace) {
     try {
-      const key = canonicalKeyFromCaller(callerE164);
+      const key = canonicalKeyFromCaller(callerE164, namespace);
       if (!key) return;
       await init();
       if (!state.ready || !state.pool) return;
 
       await query(
         `
-        INSERT INTO caller_memory (caller_key, caller_id_e164, call_count, last_call_at, created_at, updated_at)
-        VALUES ($1, $1, 1, NOW(), NOW(), NOW())
+        INSERT INTO caller_memory (caller_key, caller_id_e164, namespace, call_count, last_call_at, created_at, updated_at)
+        VALUES ($1, $2, $3, 1, NOW(), NOW(), NOW())
         ON CONFLICT (caller_key)
         DO UPDATE SET
           caller_id_e164 = COALESCE(caller_memory.caller_id_e164, EXCLUDED.caller_id_e164),
@@ -201,7 +223,7 @@ function createMemoryDb({ url, debug }) {
           last_call_at = NOW(),
           updated_at = NOW()
         `,
-        [key]
+        [key, normalizeE164(callerE164), String(namespace || "").trim() || null]
       );
 
       state.last_ok_at = nowIso();
@@ -211,9 +233,9 @@ function createMemoryDb({ url, debug }) {
     }
   }
 
-  async function saveName(callerE164, name) {
+  async function saveName(callerE164, name, namespace) {
     try {
-      const key = canonicalKeyFromCaller(callerE164);
+      const key = canonicalKeyFromCaller(callerE164, namespace);
       const n = String(name || "").trim();
       if (!key || !n) return;
 
@@ -222,15 +244,15 @@ function createMemoryDb({ url, debug }) {
 
       await query(
         `
-        INSERT INTO caller_memory (caller_key, caller_id_e164, name, call_count, last_call_at, created_at, updated_at)
-        VALUES ($1, $1, $2, 1, NOW(), NOW(), NOW())
+        INSERT INTO caller_memory (caller_key, caller_id_e164, namespace, name, call_count, last_call_at, created_at, updated_at)
+        VALUES ($1, $3, $4, $2, 1, NOW(), NOW(), NOW())
         ON CONFLICT (caller_key)
         DO UPDATE SET
           name = EXCLUDED.name,
           caller_id_e164 = COALESCE(caller_memory.caller_id_e164, EXCLUDED.caller_id_e164),
           updated_at = NOW()
         `,
-        [key, n]
+        [key, n, normalizeE164(callerE164), String(namespace || "").trim() || null]
       );
 
       state.last_ok_at = nowIso();
@@ -240,13 +262,102 @@ function createMemoryDb({ url, debug }) {
     }
   }
 
+  // Merges { KEY: variant } into the caller's sticky A/B variants (row is created by upsertCall first).
+  async function savePromptVariants(callerE164, variants, namespace) {
+    try {
+      const key = canonicalKeyFromCaller(callerE164, namespace);
+      if (!key || !variants || !Object.keys(variants).length) return;
+
+      await init();
+      if (!state.ready || !state.pool) return;
+
+      await query(
+        `
+        UPDATE caller_memory
+        SET prompt_variants = COALESCE(prompt_variants, '{}'::jsonb) || $2::jsonb,
+            updated_at = NOW()
+        WHERE caller_key = $1
+        `,
+        [key, JSON.stringify(variants)]
+      );
+
+      state.last_ok_at = nowIso();
+      if (debug) console.log("[MEMORY] prompt_variants saved", { caller: key, variants });
+    } catch (e) {
+      console.error("[MEMORY] prompt_variants save failed", e && (e.message || String(e)));
+    }
+  }
+
+  // SMS opt-out / opt-in (STOP / START replies); the row is created for numbers that never called.
+  // -> true when stored
+  async function setSmsOptOut(callerE164, optOut, namespace) {
+    try {
+      const key = canonicalKeyFromCaller(callerE164, namespace);
+      if (!key) return false;
+
+      await init();
+      if (!state.ready || !state.pool) return false;
+
+      await query(
+        `
+        INSERT INTO caller_memory (caller_key, caller_id_e164, namespace, sms_opt_out, sms_opt_out_at, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, CASE WHEN $4 THEN NOW() END, NOW(), NOW())
+        ON CONFLICT (caller_key)
+        DO UPDATE SET
+          sms_opt_out = EXCLUDED.sms_opt_out,
+          sms_opt_out_at = EXCLUDED.sms_opt_out_at,
+          updated_at = NOW()
+        `,
+        [key, normalizeE164(callerE164), String(namespace || "").trim() || null, !!optOut]
+      );
+
+      state.last_ok_at = nowIso();
+      if (debug) console.log("[MEMORY] sms_opt_out saved", { caller: key, opt_out: !!optOut });
+      return true;
+    } catch (e) {
+      console.error("[MEMORY] sms_opt_out save failed", e && (e.message || String(e)));
+      return false;
+    }
+  }
+
+  // true / false, or null when it cannot be known (DB unavailable or query failed) – SMS callers fail closed
+  async function getSmsOptOut(callerE164, namespace) {
+    try {
+      const key = canonicalKeyFromCaller(callerE164, namespace);
+      if (!key) return null;
+      await init();
+      if (!state.ready || !state.pool) return null;
+
+      const res = await query(`SELECT sms_opt_out FROM caller_memory WHERE caller_key = $1 LIMIT 1`, [key]);
+      state.last_ok_at = nowIso();
+      return !!res.rows?.[0]?.sms_opt_out;
+    } catch (e) {
+      console.error("[MEMORY] sms_opt_out lookup failed", e && (e.message || String(e)));
+      return null;
+    }
+  }
+
+  // Shared pool access for sibling modules (SSOT snapshots etc.). Returns null when the DB is unavailable.
+  async function exec(sql, params = []) {
+    await init();
+    if (!state.ready || !state.pool) return null;
+    const res = await query(sql, params);
+    state.last_ok_at = nowIso();
+    return res;
+  }
+
   return {
     state,
     init,
+    exec,
     lookup,
     upsertCall,
     saveName,
+    savePromptVariants,
+    setSmsOptOut,
+    getSmsOptOut,
     normalizeE164,
+    callerKey: canonicalKeyFromCaller,
   };
 }
 
@@ -0,0 +1,197 @@
+// phraseCache.js
+// Index Betty – pre-rendered audio for fixed lines (opening, closing, silence reprompt)
+// A fixed line normally costs a realtime response.create ("דברי עכשיו את הטקסט הבא…") – latency, tokens, and now
+// and then a paraphrase. The first rendering whose transcript matches the text word for word is kept as G.711 μ-law
+// keyed by text + voice; later calls stream it straight to Twilio.
+// Disk layout (dir): <key>.ulaw (raw μ-law 8 kHz) + <key>.json (meta). An offline TTS step can drop pairs in
+// the same format; they are picked up on start. Entries remember the phase that rendered them so an SSOT change
+// to the script behind it (PHASE_SETTINGS) drops them. Only those phases are cached: lines built per call (callback
+// number confirmation, transfer announcements, keypad repeats) would put callers' numbers and names on disk.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const BYTES_PER_MS = 8;
+const MIN_AUDIO_MS = 300;
+
+// Cacheable phase of a fixed line -> SETTINGS keys whose change invalidates its cached audio
+const PHASE_SETTINGS = {
+  OPENING: [
+    "OPENING_SCRIPT",
+    "OPENING_SCRIPT_RETURNING",
+    "OPENING_SCRIPT_AFTER_HOURS",
+    "OPENING_SCRIPT_HOLIDAY",
+    "OUTBOUND_OPENING_SCRIPT",
+  ],
+  CLOSING: ["CLOSING_SCRIPT", "SILENCE_CLOSING_SCRIPT"],
+  SILENCE_REPROMPT: ["SILENCE_REPROMPT_SCRIPT"],
+};
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+function phraseKey(text, voice) {
+  return crypto
+    .createHash("sha256")
+    .update(`${safeStr(voice)}\n${safeStr(text)}`)
+    .digest("hex")
+    .slice(0, 32);
+}
+
+// Transcript vs intended text, ignoring punctuation / spacing (the model's transcript punctuates freely)
+function sameWords(a, b) {
+  const norm = (s) =>
+    safeStr(s)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+  return !!norm(a) && norm(a) === norm(b);
+}
+
+// Old vs new SETTINGS -> phases whose scripts changed
+function isCacheablePhase(phase) {
+  return Object.prototype.hasOwnProperty.call(PHASE_SETTINGS, String(phase || ""));
+}
+
+function changedPhases(prevSettings = {}, nextSettings = {}) {
+  return Object.keys(PHASE_SETTINGS).filter((phase) =>
+    PHASE_SETTINGS[phase].some((k) => safeStr(prevSettings[k]) !== safeStr(nextSettings[k]))
+  );
+}
+
+function createPhraseCache({ dir = null, maxEntries = 200, debug = false } = {}) {
+  const entries = new Map(); // key -> { meta, audio }
+  const stats = { hits: 0, misses: 0, stored: 0, rejected: 0, invalidated: 0 };
+
+  function filesFor(key) {
+    return { audio: path.join(dir, `${key}.ulaw`), meta: path.join(dir, `${key}.json`) };
+  }
+
+  function removeFiles(key) {
+    if (!dir) return;
+    const f = filesFor(key);
+    for (const file of [f.audio, f.meta]) {
+      try {
+        fs.unlinkSync(file);
+      } catch {}
+    }
+  }
+
+  function load() {
+    if (!dir || !fs.existsSync(dir)) return 0;
+    for (const name of fs.readdirSync(dir).filter((x) => x.endsWith(".json"))) {
+      const key = name.slice(0, -5);
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+        const audio = fs.readFileSync(filesFor(key).audio);
+        if (!meta.text || phraseKey(meta.text, meta.voice) !== key) continue;
+        if (!isCacheablePhase(meta.phase)) {
+          removeFiles(key);
+          continue;
+        }
+        entries.set(key, { meta: { ...meta, key, bytes: audio.length }, audio });
+      } catch (e) {
+        console.error("[PHRASE_CACHE] skipped entry", { key, err: e && (e.message || String(e)) });
+      }
+    }
+    evict();
+    if (debug) console.log("[PHRASE_CACHE] loaded", { dir, entries: entries.size });
+    return entries.size;
+  }
+
+  // Least recently used first
+  function evict() {
+    if (entries.size <= maxEntries) return;
+    const byUse = Array.from(entries.values()).sort((a, b) =>
+      String(a.meta.last_used_at || a.meta.created_at).localeCompare(String(b.meta.last_used_at || b.meta.created_at))
+    );
+    for (const e of byUse.slice(0, entries.size - maxEntries)) {
+      entries.delete(e.meta.key);
+      removeFiles(e.meta.key);
+    }
+  }
+
+  // -> { key, audio (Buffer μ-law), duration_ms } or null
+  function get(text, voice) {
+    const e = entries.get(phraseKey(text, voice));
+    if (!e) {
+      stats.misses += 1;
+      return null;
+    }
+    stats.hits += 1;
+    e.meta.hits = (e.meta.hits || 0) + 1;
+    e.meta.last_used_at = nowIso();
+    return { key: e.meta.key, audio: e.audio, duration_ms: e.meta.duration_ms };
+  }
+
+  // First verbatim rendering of a line -> cached; false when too short or not verbatim
+  function put({ text, voice, audio, transcript, tenantId = null, phase = null }) {
+    const durationMs = Math.round(audio.length / BYTES_PER_MS);
+    if (!isCacheablePhase(phase) || durationMs < MIN_AUDIO_MS || !sameWords(transcript, text)) {
+      stats.rejected += 1;
+      return false;
+    }
+    const key = phraseKey(text, voice);
+    const meta = {
+      key,
+      text: safeStr(text),
+      voice: safeStr(voice),
+      tenant_id: tenantId,
+      phase,
+      duration_ms: durationMs,
+      bytes: audio.length,
+      created_at: nowIso(),
+      last_used_at: null,
+      hits: 0,
+    };
+    entries.set(key, { meta, audio });
+    stats.stored += 1;
+    if (dir) {
+      try {
+        const f = filesFor(key);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(f.audio, audio);
+        fs.writeFileSync(f.meta, JSON.stringify(meta), "utf8");
+      } catch (e) {
+        console.error("[PHRASE_CACHE] write failed", { key, err: e && (e.message || String(e)) });
+      }
+    }
+    evict();
+    return true;
+  }
+
+  // Drops a tenant's entries for the given phases (all phases when omitted) -> count
+  function invalidate(tenantId, phases = null) {
+    let n = 0;
+    for (const [key, e] of entries) {
+      if (tenantId && e.meta.tenant_id !== tenantId) continue;
+      if (phases && !phases.includes(e.meta.phase)) continue;
+      entries.delete(key);
+      removeFiles(key);
+      n += 1;
+    }
+    stats.invalidated += n;
+    return n;
+  }
+
+  return {
+    load,
+    get,
+    put,
+    invalidate,
+    has: (text, voice) => entries.has(phraseKey(text, voice)),
+    list: ({ tenantId = null } = {}) =>
+      Array.from(entries.values())
+        .map((e) => e.meta)
+        .filter((m) => !tenantId || m.tenant_id === tenantId),
+    summarize: () => ({ dir, entries: entries.size, max_entries: maxEntries, ...stats }),
+  };
+}
+
+module.exports = { createPhraseCache, phraseKey, changedPhases, isCacheablePhase, PHASE_SETTINGS };
@@ -0,0 +1,77 @@
+// playback.js
+// Index Betty – assistant audio playback on the Twilio side
+// Audio deltas reach Twilio faster than real time and Twilio buffers them, so "the model finished" is not
+// "the caller heard it". Each assistant audio item gets a Twilio mark after its last chunk; the echoed mark
+// means it was played. Until then the played offset is estimated from the forwarded duration (g711 μ-law,
+// 8 bytes per ms) against the wall clock – the audio_end_ms that conversation.item.truncate needs on barge-in.
+
+const BYTES_PER_MS = 8;
+
+function createPlaybackTracker({ now = Date.now } = {}) {
+  const items = []; // { item_id, content_index, sent_ms, start_at, mark } in playback order
+  let queueEndsAt = 0; // estimated time Twilio's buffer runs dry
+  let markSeq = 0;
+
+  function onAudioSent({ itemId, contentIndex = 0, payload }) {
+    const t = now();
+    const ms = Buffer.byteLength(String(payload || ""), "base64") / BYTES_PER_MS;
+    let item = items.find((i) => i.item_id === (itemId || null) && !i.mark);
+    if (!item) {
+      const startAt = Math.max(t, queueEndsAt);
+      item = { item_id: itemId || null, content_index: contentIndex, sent_ms: 0, start_at: startAt, mark: null };
+      items.push(item);
+    }
+    item.sent_ms += ms;
+    queueEndsAt = Math.max(t, queueEndsAt) + ms;
+  }
+
+  // -> mark name to send after the item's last chunk, or null when none of its audio was forwarded
+  function markItem(itemId) {
+    const open = items.filter((i) => !i.mark);
+    const item = itemId ? open.find((i) => i.item_id === itemId) : open[open.length - 1];
+    if (!item) return null;
+    markSeq += 1;
+    item.mark = `audio_${markSeq}`;
+    return item.mark;
+  }
+
+  // Echoed mark -> { item, idle }; everything queued before it was played too. Unknown (cleared) marks -> null
+  function onMark(name) {
+    const idx = items.findIndex((i) => i.mark === name);
+    if (idx < 0) return null;
+    const item = items.splice(0, idx + 1).pop();
+    if (!items.length) queueEndsAt = Math.min(queueEndsAt, now());
+    return { item, idle: !items.length };
+  }
+
+  // Barge-in: the item heard right now and how far into it the caller got; forgets everything queued
+  function interrupt() {
+    const t = now();
+    const item = items.find((i) => t < i.start_at + i.sent_ms) || items[items.length - 1];
+    reset();
+    if (!item) return null;
+    return {
+      item_id: item.item_id,
+      content_index: item.content_index,
+      audio_end_ms: Math.round(Math.min(item.sent_ms, Math.max(0, t - item.start_at))),
+      sent_ms: Math.round(item.sent_ms),
+    };
+  }
+
+  function reset() {
+    items.length = 0;
+    queueEndsAt = Math.min(queueEndsAt, now());
+  }
+
+  return {
+    onAudioSent,
+    markItem,
+    onMark,
+    interrupt,
+    reset,
+    isPlaying: () => items.length > 0,
+    remainingMs: () => Math.max(0, queueEndsAt - now()),
+  };
+}
+
+module.exports = { createPlaybackTracker };
@@ -0,0 +1,275 @@
+// promptVariants.js
+// Index Betty – prompt A/B variants (PROMPTS rows such as MASTER_PROMPT@B)
+// Every "<KEY>@<VARIANT>" row in PROMPTS opens an experiment on KEY. Variant "A" is the plain row
+// (PROMPTS, or SETTINGS for scripts such as OPENING_SCRIPT); a "<KEY>@A" row with no content only sets its weight.
+// Weights come from the optional PROMPTS "weight" column (default 1, 0 = paused).
+// Assignment is a weighted pick on hash(callSid + KEY), unless the caller already has a live variant
+// stored in caller_memory (sticky). Outcomes (FINAL / PARTIAL / ABANDONED) are stored per call for the stats route.
+
+const crypto = require("crypto");
+
+const VARIANT_SEP = "@";
+const BASE_VARIANT = "A";
+const DECISIONS = ["FINAL", "PARTIAL", "ABANDONED"];
+
+function safeStr(s) {
+  return String(s || "").trim();
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function parseVariantId(id) {
+  const s = safeStr(id);
+  const i = s.lastIndexOf(VARIANT_SEP);
+  if (i <= 0 || i === s.length - 1) return null;
+  return { key: s.slice(0, i), variant: s.slice(i + 1).toUpperCase() };
+}
+
+function parseWeight(raw) {
+  if (raw === undefined || raw === null || safeStr(raw) === "") return { weight: 1 };
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0) return { weight: 1, error: `invalid weight "${raw}"` };
+  return { weight: n };
+}
+
+// Uniform [0, 1) from the call id, independent per experiment key.
+function hashFraction(seed) {
+  const hex = crypto.createHash("sha256").update(String(seed)).digest("hex").slice(0, 8);
+  return parseInt(hex, 16) / 0x100000000;
+}
+
+function createPromptExperiments({ prompts, settings, weights }) {
+  const errors = [];
+  const byKey = new Map(); // KEY -> Map(variant -> { variant, weight, content })
+
+  for (const [id, content] of Object.entries(prompts || {})) {
+    const parsed = parseVariantId(id);
+    if (!parsed) continue;
+    const { key, variant } = parsed;
+    if (!/^[A-Z0-9_]+$/.test(variant)) {
+      errors.push({ id, error: "variant must match [A-Z0-9_]+" });
+      continue;
+    }
+    const { weight, error } = parseWeight(weights?.[id]);
+    if (error) errors.push({ id, error });
+    if (variant !== BASE_VARIANT && !safeStr(content)) {
+      errors.push({ id, error: "empty variant content" });
+      continue;
+    }
+    if (!byKey.has(key)) byKey.set(key, new Map());
+    byKey.get(key).set(variant, { variant, weight, content: safeStr(content) ? content : null });
+  }
+
+  const experiments = [];
+  for (const [key, variants] of byKey) {
+    const baseContent = safeStr(prompts?.[key]) ? prompts[key] : safeStr(settings?.[key]) ? settings[key] : null;
+    const target = safeStr(prompts?.[key]) || !safeStr(settings?.[key]) ? "prompts" : "settings";
+    if (!variants.has(BASE_VARIANT)) {
+      const { weight, error } = parseWeight(weights?.[key]);
+      if (error) errors.push({ id: key, error });
+      variants.set(BASE_VARIANT, { variant: BASE_VARIANT, weight, content: null });
+    }
+    const base = variants.get(BASE_VARIANT);
+    if (!base.content && !baseContent) {
+      // Nothing to fall back to for callers drawn into A
+      errors.push({ id: key, error: "no base row (PROMPTS or SETTINGS) for variant A" });
+      base.weight = 0;
+    }
+
+    const list = Array.from(variants.values()).sort((a, b) => a.variant.localeCompare(b.variant));
+    if (list.length < 2) continue; // only "<KEY>@A": nothing to compare against
+    const total = list.reduce((s, v) => s + v.weight, 0);
+    if (!total) {
+      errors.push({ id: key, error: "all variants have weight 0" });
+      continue;
+    }
+    experiments.push({
+      key,
+      target,
+      variants: list.map((v) => ({ ...v, content: v.content || baseContent, share: v.weight / total })),
+      total,
+    });
+  }
+
+  function isLive(exp, variant) {
+    return exp.variants.some((v) => v.variant === variant && v.weight > 0);
+  }
+
+  // sticky: { KEY: "B" } from caller_memory -> { variants: { KEY: "B" }, sticky: [KEY...] }
+  function assign({ callSid, sticky } = {}) {
+    const variants = {};
+    const stickyKeys = [];
+    for (const exp of experiments) {
+      const prev = safeStr(sticky?.[exp.key]).toUpperCase();
+      if (prev && isLive(exp, prev)) {
+        variants[exp.key] = prev;
+        stickyKeys.push(exp.key);
+        continue;
+      }
+      let r = hashFraction(`${callSid || ""}|${exp.key}`) * exp.total;
+      let picked = exp.variants[exp.variants.length - 1].variant;
+      for (const v of exp.variants) {
+        if (r < v.weight) {
+          picked = v.variant;
+          break;
+        }
+        r -= v.weight;
+      }
+      variants[exp.key] = picked;
+    }
+    return { variants, sticky: stickyKeys };
+  }
+
+  // Returns copies of prompts / settings with the assigned variant texts in place.
+  function apply(variants, { prompts: p, settings: s }) {
+    const out = { prompts: { ...p }, settings: { ...s } };
+    for (const exp of experiments) {
+      const v = exp.variants.find((x) => x.variant === variants?.[exp.key]);
+      if (!v || !v.content) continue;
+      out[exp.target][exp.key] = v.content;
+    }
+    return out;
+  }
+
+  return {
+    size: experiments.length,
+    errors,
+    assign,
+    apply,
+    summarize: () =>
+      experiments.map((e) => ({
+        key: e.key,
+        target: e.target,
+        variants: e.variants.map((v) => ({ variant: v.variant, weight: v.weight, share: Number(v.share.toFixed(3)) })),
+      })),
+  };
+}
+
+/* ================== Outcome stats ================== */
+function normalizeDecision(decision) {
+  const d = safeStr(decision).toUpperCase();
+  if (d.startsWith("PARTIAL")) return "PARTIAL";
+  return DECISIONS.includes(d) ? d : null;
+}
+
+function emptyCounts() {
+  return { calls: 0, FINAL: 0, PARTIAL: 0, ABANDONED: 0 };
+}
+
+function withRates(c) {
+  const rate = (n) => (c.calls ? Number((n / c.calls).toFixed(3)) : null);
+  return {
+    calls: c.calls,
+    final: c.FINAL,
+    partial: c.PARTIAL,
+    abandoned: c.ABANDONED,
+    final_rate: rate(c.FINAL),
+    partial_rate: rate(c.PARTIAL),
+    abandoned_rate: rate(c.ABANDONED),
+  };
+}
+
+function createVariantStats({ memory, usePg = true, recentLimit = 5000, debug }) {
+  const state = { pg: !!(usePg && memory), recorded: 0, last_error: null };
+  const recent = []; // in-process fallback: { tenant_id, call_sid, variants, decision, created_at }
+  let tableReady = false;
+
+  async function ensureTable() {
+    if (tableReady) return true;
+    const res = await memory.exec(`
+      CREATE TABLE IF NOT EXISTS prompt_variant_calls (
+        call_sid TEXT PRIMARY KEY,
+        tenant_id TEXT NOT NULL,
+        variants JSONB NOT NULL,
+        decision TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    if (!res) return false;
+    await memory.exec(
+      `CREATE INDEX IF NOT EXISTS idx_prompt_variant_calls_tenant ON prompt_variant_calls (tenant_id, created_at);`
+    );
+    tableReady = true;
+    return true;
+  }
+
+  async function record({ tenantId, callSid, variants, decision }) {
+    const d = normalizeDecision(decision);
+    if (!d || !variants || !Object.keys(variants).length) return;
+    const row = { tenant_id: tenantId, call_sid: callSid || null, variants, decision: d, created_at: nowIso() };
+    recent.push(row);
+    if (recent.length > recentLimit) recent.splice(0, recent.length - recentLimit);
+    state.recorded += 1;
+
+    if (!state.pg || !callSid) return;
+    try {
+      if (!(await ensureTable())) return;
+      await memory.exec(
+        `
+        INSERT INTO prompt_variant_calls (call_sid, tenant_id, variants, decision, created_at)
+        VALUES ($1, $2, $3::jsonb, $4, $5)
+        ON CONFLICT (call_sid) DO UPDATE SET decision = EXCLUDED.decision
+        `,
+        [callSid, tenantId, JSON.stringify(variants), d, row.created_at]
+      );
+      if (debug) console.log("[PROMPT_VARIANTS] outcome saved", { tenant: tenantId, callSid, decision: d });
+    } catch (e) {
+      state.last_error = e && (e.message || String(e));
+      console.error("[PROMPT_VARIANTS] pg save failed", state.last_error);
+    }
+  }
+
+  async function loadRows(tenantId, sinceIso) {
+    if (state.pg) {
+      try {
+        if (await ensureTable()) {
+          const res = await memory.exec(
+            `
+            SELECT v.key AS key, v.value AS variant, c.decision AS decision, COUNT(*)::int AS n
+            FROM prompt_variant_calls c, jsonb_each_text(c.variants) v
+            WHERE c.tenant_id = $1 AND ($2::timestamptz IS NULL OR c.created_at >= $2::timestamptz)
+            GROUP BY v.key, v.value, c.decision
+            `,
+            [tenantId, sinceIso]
+          );
+          if (res) return { from: "pg", rows: res.rows || [] };
+        }
+      } catch (e) {
+        state.last_error = e && (e.message || String(e));
+        console.error("[PROMPT_VARIANTS] pg report failed", state.last_error);
+      }
+    }
+
+    const rows = [];
+    for (const r of recent) {
+      if (r.tenant_id !== tenantId || (sinceIso && r.created_at < sinceIso)) continue;
+      for (const [key, variant] of Object.entries(r.variants)) rows.push({ key, variant, decision: r.decision, n: 1 });
+    }
+    return { from: "memory", rows };
+  }
+
+  // -> { from, experiments: { KEY: { A: { calls, final, partial, abandoned, *_rate }, B: {...} } } }
+  async function report({ tenantId, sinceIso = null } = {}) {
+    const { from, rows } = await loadRows(tenantId, sinceIso);
+    const counts = {};
+    for (const r of rows) {
+      const byVariant = (counts[r.key] = counts[r.key] || {});
+      const c = (byVariant[r.variant] = byVariant[r.variant] || emptyCounts());
+      const n = Number(r.n) || 0;
+      c.calls += n;
+      if (DECISIONS.includes(r.decision)) c[r.decision] += n;
+    }
+    const experiments = {};
+    for (const [key, byVariant] of Object.entries(counts)) {
+      experiments[key] = {};
+      for (const v of Object.keys(byVariant).sort()) experiments[key][v] = withRates(byVariant[v]);
+    }
+    return { from, experiments };
+  }
+
+  return { state, record, report };
+}
+
+module.exports = { createPromptExperiments, createVariantStats, parseVariantId, BASE_VARIANT };
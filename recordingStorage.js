@@ -0,0 +1,161 @@
+// recordingStorage.js
+// Index Betty – where server-side recordings (callRecorder.js) live
+// kind "local": files under dir. kind "s3": any S3-compatible store (AWS S3, MinIO locally) over plain REST with
+// AWS Signature V4 and path-style URLs (endpoint/bucket/key), so MinIO works without DNS tricks.
+// Both serve byte ranges as streams: the /recordings proxy answers Range requests without loading the file.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+
+function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// "bytes=a-b" / "bytes=a-" / "bytes=-n" against size -> { start, end } | null (whole file) | { invalid: true }
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(safeStr(header));
+  if (!m) return null; // absent or multi-range: send everything
+  if (!m[1] && !m[2]) return { invalid: true };
+  let start;
+  let end;
+  if (!m[1]) {
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return { invalid: true };
+  return { start, end };
+}
+
+/* ================== Local disk ================== */
+function createLocalStorage({ dir }) {
+  const fileFor = (key) => path.join(dir, ...safeStr(key).split("/").filter((p) => p && p !== ".."));
+
+  async function put(key, body) {
+    const file = fileFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, body);
+    await fs.promises.rename(tmp, file);
+    return { ok: true, key, bytes: body.length };
+  }
+
+  async function stat(key) {
+    try {
+      const s = await fs.promises.stat(fileFor(key));
+      return s.isFile() ? { size: s.size } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // range = { start, end } (inclusive) or null -> readable stream
+  async function open(key, range) {
+    return fs.createReadStream(fileFor(key), range ? { start: range.start, end: range.end } : {});
+  }
+
+  return { kind: "local", put, stat, open, describe: () => ({ kind: "local", dir }) };
+}
+
+/* ================== S3-compatible ================== */
+// AWS Signature V4 (service s3); every header passed in is signed
+function signS3Request({ method, url, headers = {}, payloadHash, accessKey, secretKey, region, now = new Date() }) {
+  const u = new URL(url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const date = amzDate.slice(0, 8);
+  const all = { ...headers, host: u.host, "x-amz-date": amzDate, "x-amz-content-sha256": payloadHash };
+  const names = Object.keys(all)
+    .map((k) => k.toLowerCase())
+    .sort();
+  const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), safeStr(v)]));
+  const canonicalHeaders = names.map((k) => `${k}:${lower[k]}\n`).join("");
+  const signedHeaders = names.join(";");
+  const query = Array.from(u.searchParams.entries())
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+    .sort((a, b) => (a[0] === b[0] ? a[1].localeCompare(b[1]) : a[0].localeCompare(b[0])))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+  const canonicalRequest = [method, u.pathname, query, canonicalHeaders, signedHeaders, payloadHash].join("\n");
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (k, part) => hmac(k, part),
+    hmac(hmac(`AWS4${secretKey}`, date), region)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+  return {
+    ...headers,
+    "x-amz-date": amzDate,
+    "x-amz-content-sha256": payloadHash,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+function encodeRfc3986(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function createS3Storage({ endpoint, bucket, region = "us-east-1", accessKey, secretKey, prefix = "" }) {
+  const base = safeStr(endpoint).replace(/\/+$/, "");
+
+  function objectUrl(key) {
+    const full = `${safeStr(prefix).replace(/^\/+|\/+$/g, "")}/${safeStr(key)}`.replace(/^\/+/, "");
+    return `${base}/${encodeRfc3986(bucket)}/${full.split("/").map(encodeRfc3986).join("/")}`;
+  }
+
+  async function request(method, key, { body = null, headers = {} } = {}) {
+    const url = objectUrl(key);
+    const payloadHash = sha256Hex(body || "");
+    const signed = signS3Request({ method, url, headers, payloadHash, accessKey, secretKey, region });
+    return fetch(url, { method, headers: signed, body: body || undefined });
+  }
+
+  async function put(key, body, contentType = "application/octet-stream") {
+    const r = await request("PUT", key, { body, headers: { "content-type": contentType } });
+    if (!r.ok) {
+      const text = await r.text().catch(() => "");
+      return { ok: false, key, status: r.status, error: text.slice(0, 300) || `http_${r.status}` };
+    }
+    return { ok: true, key, bytes: body.length };
+  }
+
+  async function stat(key) {
+    const r = await request("HEAD", key);
+    if (!r.ok) return null;
+    return { size: Number(r.headers.get("content-length")) || 0 };
+  }
+
+  async function open(key, range) {
+    const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+    const r = await request("GET", key, { headers });
+    if (!r.ok || !r.body) throw new Error(`s3 get failed: http_${r.status}`);
+    return Readable.fromWeb(r.body);
+  }
+
+  return { kind: "s3", put, stat, open, describe: () => ({ kind: "s3", endpoint: base, bucket, prefix }) };
+}
+
+// { kind: "local" | "s3", dir, s3: { endpoint, bucket, region, accessKey, secretKey, prefix } }
+function createRecordingStorage({ kind = "local", dir, s3 = {} } = {}) {
+  if (kind === "s3") {
+    if (!s3.endpoint || !s3.bucket || !s3.accessKey || !s3.secretKey) {
+      throw new Error("s3 recording storage needs endpoint, bucket, access key and secret key");
+    }
+    return createS3Storage(s3);
+  }
+  return createLocalStorage({ dir });
+}
+
+module.exports = { createRecordingStorage, parseRange, signS3Request };
@@ -0,0 +1,248 @@
+// security.js
+// Index Betty – admin route auth + signed recording links
+// Admin: "Authorization: Bearer <token>" (ADMIN_TOKENS, "name:token" pairs for rotation / audit names)
+// or an HMAC request signature (ADMIN_HMAC_SECRET):
+//   X-Admin-Timestamp: <unix seconds>
+//   X-Admin-Signature: hex(HMAC-SHA256(secret, "<ts>\n<METHOD>\n<path?query>\n<sha256 hex of raw body>"))
+// Every admin request (allowed or not) is written to the [ADMIN_AUDIT] log line.
+// Recording links: /recordings/<sid>.mp3?exp=<unix>&cs=<callSid>&sig=<base64url HMAC>, verified by the proxy.
+// Twilio: X-Twilio-Signature on HTTP callbacks (TWILIO_AUTH_TOKEN); media streams must carry a "token"
+// customParameter (per-call HMAC of the CallSid, or the shared TWILIO_STREAM_SECRET) in their start event.
+
+const crypto = require("crypto");
+
+function safeStr(s) {
+  return String(s || "").trim();
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function sha256Hex(buf) {
+  return crypto.createHash("sha256").update(buf || "").digest("hex");
+}
+
+function hmac(secret, text, encoding) {
+  return crypto.createHmac("sha256", secret).update(text).digest(encoding);
+}
+
+function timingSafeEqualStr(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  if (x.length !== y.length || !x.length) return false;
+  return crypto.timingSafeEqual(x, y);
+}
+
+// "ops:abc,ci:def" or "abc,def" -> [{ name, token }]
+function parseTokens(raw) {
+  return safeStr(raw)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s, i) => {
+      const at = s.indexOf(":");
+      return at > 0 ? { name: s.slice(0, at), token: s.slice(at + 1) } : { name: `token${i + 1}`, token: s };
+    })
+    .filter((t) => t.token);
+}
+
+function clientIp(req) {
+  const fwd = safeStr(req.headers?.["x-forwarded-for"]).split(",")[0].trim();
+  return fwd || req.socket?.remoteAddress || null;
+}
+
+/* ================== Admin auth ================== */
+function createAdminAuth({ tokens, hmacSecret, maxSkewSec = 300, disabled = false, log = console.log }) {
+  const tokenList = parseTokens(tokens);
+  const secret = safeStr(hmacSecret);
+  const configured = !!(tokenList.length || secret);
+
+  function checkBearer(req) {
+    const m = /^Bearer\s+(.+)$/i.exec(safeStr(req.headers?.authorization));
+    if (!m) return null;
+    const hit = tokenList.find((t) => timingSafeEqualStr(t.token, m[1].trim()));
+    return hit ? { ok: true, method: "bearer", principal: hit.name } : { ok: false, reason: "bad_token" };
+  }
+
+  function checkHmac(req) {
+    const sig = safeStr(req.headers?.["x-admin-signature"]);
+    if (!sig) return null;
+    if (!secret) return { ok: false, reason: "hmac_not_configured" };
+    const ts = Number(req.headers?.["x-admin-timestamp"]);
+    if (!Number.isFinite(ts)) return { ok: false, reason: "missing_timestamp" };
+    if (Math.abs(Date.now() / 1000 - ts) > maxSkewSec) return { ok: false, reason: "stale_timestamp" };
+    const payload = `${ts}\n${req.method}\n${req.originalUrl}\n${sha256Hex(req.rawBody)}`;
+    return timingSafeEqualStr(hmac(secret, payload, "hex"), sig.toLowerCase())
+      ? { ok: true, method: "hmac", principal: "hmac" }
+      : { ok: false, reason: "bad_signature" };
+  }
+
+  function audit(req, res, auth) {
+    const started = Date.now();
+    res.on("finish", () => {
+      log(
+        "[ADMIN_AUDIT]",
+        JSON.stringify({
+          t: nowIso(),
+          method: req.method,
+          path: req.originalUrl,
+          tenant: safeStr(req.query?.tenant || req.body?.tenant) || null,
+          auth: auth.method || null,
+          principal: auth.principal || null,
+          denied: auth.ok ? null : auth.reason,
+          status: res.statusCode,
+          ip: clientIp(req),
+          ms: Date.now() - started,
+        })
+      );
+    });
+  }
+
+  function middleware(req, res, next) {
+    let auth;
+    if (disabled) auth = { ok: true, method: "disabled", principal: null };
+    else if (!configured) auth = { ok: false, reason: "admin_auth_not_configured" };
+    else auth = checkBearer(req) || checkHmac(req) || { ok: false, reason: "missing_credentials" };
+
+    audit(req, res, auth);
+    if (auth.ok) {
+      req.adminPrincipal = auth.principal;
+      return next();
+    }
+    const status = auth.reason === "admin_auth_not_configured" ? 503 : 401;
+    if (status === 401) res.setHeader("www-authenticate", 'Bearer realm="admin"');
+    return res.status(status).json({ ok: false, error: auth.reason });
+  }
+
+  return {
+    middleware,
+    state: { disabled, configured, tokens: tokenList.map((t) => t.name), hmac: !!secret, max_skew_sec: maxSkewSec },
+  };
+}
+
+/* ================== Signed recording links ================== */
+function createRecordingLinks({ secret, ttlSec = 7 * 86_400, bindCall = true }) {
+  const key = safeStr(secret);
+
+  function signature(recordingSid, exp, callSid) {
+    return hmac(key, `rec:${recordingSid}:${exp}:${callSid || ""}`, "base64url");
+  }
+
+  // ext: mp3 (Twilio recording) / wav (server-side recording, id = CallSid)
+  function sign({ baseUrl, recordingSid, callSid, ext = "mp3", nowMs = Date.now() }) {
+    if (!key || !baseUrl || !recordingSid) return null;
+    const exp = Math.floor(nowMs / 1000) + Math.max(60, Math.floor(ttlSec));
+    const cs = bindCall ? safeStr(callSid) : "";
+    const qs = new URLSearchParams({ exp: String(exp) });
+    if (cs) qs.set("cs", cs);
+    qs.set("sig", signature(recordingSid, exp, cs));
+    return `${baseUrl}/recordings/${encodeURIComponent(recordingSid)}.${ext}?${qs.toString()}`;
+  }
+
+  // -> { ok, reason?, callSid, expiresInSec }
+  function verify({ recordingSid, query, nowMs = Date.now() }) {
+    if (!key) return { ok: false, reason: "not_configured" };
+    const sig = safeStr(query?.sig);
+    const exp = Number(query?.exp);
+    const cs = safeStr(query?.cs);
+    if (!sig || !Number.isFinite(exp)) return { ok: false, reason: "unsigned" };
+    if (!timingSafeEqualStr(signature(recordingSid, exp, cs), sig)) return { ok: false, reason: "bad_signature" };
+    const left = exp - Math.floor(nowMs / 1000);
+    if (left <= 0) return { ok: false, reason: "expired" };
+    return { ok: true, callSid: cs || null, expiresInSec: left };
+  }
+
+  return { sign, verify, state: { configured: !!key, ttl_sec: ttlSec, bind_call: bindCall } };
+}
+
+/* ================== Twilio request signatures ================== */
+// base64(HMAC-SHA1(auth token, full URL + POST params as name+value, sorted by name))
+function computeTwilioSignature(authToken, url, params = {}) {
+  let data = String(url || "");
+  for (const k of Object.keys(params || {}).sort()) {
+    const v = params[k];
+    data += Array.isArray(v) ? [...v].sort().map((x) => k + x).join("") : k + (v ?? "");
+  }
+  return crypto.createHmac("sha1", authToken).update(Buffer.from(data, "utf8")).digest("base64");
+}
+
+// Twilio may sign https URLs with or without the default port
+function urlVariants(url) {
+  try {
+    const u = new URL(url);
+    if (u.port) return [url]; // explicit non-default port
+    const defPort = u.protocol === "https:" ? "443" : "80";
+    const rest = `${u.pathname}${u.search}`;
+    return Array.from(
+      new Set([url, `${u.protocol}//${u.hostname}${rest}`, `${u.protocol}//${u.hostname}:${defPort}${rest}`])
+    );
+  } catch {
+    return [url];
+  }
+}
+
+function validateTwilioSignature({ authToken, url, params, signature }) {
+  if (!authToken || !signature) return false;
+  return urlVariants(url).some((u) => timingSafeEqualStr(computeTwilioSignature(authToken, u, params), signature));
+}
+
+function createTwilioRequestValidator({ authToken, publicBaseUrl, disabled = false, log = console.error }) {
+  const token = safeStr(authToken);
+  const base = safeStr(publicBaseUrl).replace(/\/+$/, "");
+
+  // The URL Twilio requested: PUBLIC_BASE_URL wins over Host headers behind proxies
+  function requestUrl(req) {
+    if (base) return `${base}${req.originalUrl}`;
+    const proto = safeStr(req.headers?.["x-forwarded-proto"]).split(",")[0] || req.protocol;
+    return `${proto}://${req.headers?.host}${req.originalUrl}`;
+  }
+
+  function middleware(req, res, next) {
+    if (disabled) return next();
+    if (!token) return res.status(503).send("twilio validation not configured");
+    const signature = safeStr(req.headers?.["x-twilio-signature"]);
+    const url = requestUrl(req);
+    const params = req.method === "POST" ? req.body || {} : {};
+    if (validateTwilioSignature({ authToken: token, url, params, signature })) return next();
+    log("[TWILIO_SIGNATURE] rejected", { path: req.originalUrl, url, signed: !!signature, ip: clientIp(req) });
+    return res.status(403).send("invalid twilio signature");
+  }
+
+  return { middleware, requestUrl, state: { disabled, configured: !!token } };
+}
+
+/* ================== Media stream start ================== */
+function createStreamAuth({ secret, sharedSecret, disabled = false }) {
+  const key = safeStr(secret);
+  const shared = safeStr(sharedSecret);
+
+  function tokenFor(callSid) {
+    return key && callSid ? hmac(key, `stream:${callSid}`, "base64url") : null;
+  }
+
+  // -> { ok, method?: "call_token" | "shared_secret", reason? }
+  function verify({ callSid, token }) {
+    if (disabled) return { ok: true, method: "disabled" };
+    if (!key && !shared) return { ok: false, reason: "not_configured" };
+    const t = safeStr(token);
+    if (!t) return { ok: false, reason: "missing_token" };
+    if (callSid && timingSafeEqualStr(tokenFor(callSid), t)) return { ok: true, method: "call_token" };
+    if (shared && timingSafeEqualStr(shared, t)) return { ok: true, method: "shared_secret" };
+    return { ok: false, reason: "bad_token" };
+  }
+
+  return { tokenFor, verify, state: { disabled, call_tokens: !!key, shared_secret: !!shared } };
+}
+
+module.exports = {
+  createAdminAuth,
+  createRecordingLinks,
+  createTwilioRequestValidator,
+  createStreamAuth,
+  computeTwilioSignature,
+  validateTwilioSignature,
+  timingSafeEqualStr,
+  hmac,
+  sha256Hex,
+};
@@ -26,12 +26,109 @@
 // 7) OPTIONAL post-call LLM parsing enrichment (in addition, not instead):
 //    - Adds parsedLeadCollection (+ parsedLeadCollection_error) into webhook payloads
 //    - Does NOT affect deterministic decision FINAL/PARTIAL/ABANDONED
+// 8) Intent router (SSOT INTENTS tab): every final STT line is matched by priority + trigger_type
+//    - Detected intents go to TURNLOG (INTENT_MATCH), webhook payloads and the lead decision
+//    - Unmatched / weakly matched phrases are upserted into INTENT_SUGGESTIONS (sheets or file sink);
+//      approved suggestions join the router as phrase triggers on the next SSOT reload
+// 9) Multi-tenant: TENANTS_FILE / TENANTS_JSON map the called number (or customParameter "tenant")
+//    to its own SSOT source, webhook URLs, voice and caller_memory namespace; /health reports per tenant
+// 10) Business hours (SSOT HOURS / HOLIDAYS + built-in Jewish holidays and Shabbat), evaluated at call start:
+//    - IS_OPEN_NOW / NEXT_OPENING facts in SETTINGS_CONTEXT, holiday greetings,
+//      OPENING_SCRIPT_AFTER_HOURS / OPENING_SCRIPT_HOLIDAY when the office is closed
+// 11) KB retrieval (SSOT KB tab): BM25 over Hebrew rows, top matches for each caller utterance are
+//    injected as a KB_CONTEXT system item before response.create; TURNLOG KB_RETRIEVAL, payload kb_rows_used
+// 12) Prompt A/B variants (PROMPTS rows like MASTER_PROMPT@B + weight): assigned per callSid, sticky per caller
+//    via caller_memory; prompt_variants in payload + TURNLOG, GET /admin/prompt-variants reports outcome rates
+// 13) Template language for SETTINGS / PROMPTS (template.js): {KEY|default}, {KEY:digits|time|first},
+//    {#if KEY}...{#else}...{/if}; unknown variables are reported by /admin/reload-sheets validation
+// 14) Security: /admin/* requires ADMIN_TOKENS bearer or ADMIN_HMAC_SECRET signature ([ADMIN_AUDIT] log);
+//    recording_public_url is HMAC-signed with expiry (+ callSid binding), the proxy rejects anything else
+// 15) Twilio request security: X-Twilio-Signature on HTTP callbacks; the media stream "start" must carry a
+//    token customParameter (per-call HMAC or TWILIO_STREAM_SECRET) or it is dropped before OpenAI is opened
+// 16) Voice webhook: POST /twilio/voice returns the <Connect><Stream> TwiML (caller / called / tenant / token);
+//    falls back to <Say> + <Record> voicemail when OpenAI realtime is failing or the tenant SSOT is unavailable
+// 17) Warm transfer (SETTINGS TRANSFER_*): caller keyword / intent / model tool -> the live call is redirected
+//    (Calls REST API) to <Dial> with an agent whisper, within business hours; lead decision TRANSFERRED /
+//    TRANSFER_NO_ANSWER / TRANSFER_FALLBACK_MESSAGE
+// 18) DTMF keypad (Twilio "dtmf" stream events): typed callback numbers (# or a pause ends them), 1 / 2 answer
+//    the yes / no confirmations, 0 asks for a human; the SSOT KEYPAD tab maps digits to actions (keypad.js)
+// 19) Playback tracking (playback.js): a Twilio mark after every assistant audio item, assistantSpeaking lasts
+//    until Twilio echoes it; barge-in sends Twilio "clear" and conversation.item.truncate at the played offset
+// 20) Bot hangup: once the closing line has played (mark), the call is ended over REST (Status=completed, retried);
+//    payload hangup_by = bot / caller / error
+// 21) Outbound callback dialer (callbackDialer.js, SETTINGS CALLBACK_*): confirmed callback requests are queued
+//    in Postgres and dialed back (AMD, retries, quiet hours); the answered call streams here with mode=outbound
+// 22) SMS confirmation (smsConfirmation.js): FINAL / PARTIAL leads get SETTINGS SMS_CONFIRMATION_TEMPLATE on an
+//    Israeli mobile; STOP / הסר replies opt out (caller_memory.sms_opt_out), delivery via /twilio/sms/status
+// 23) Idle caller: SETTINGS SILENCE_* reprompt after N s of silence, closing line after M s (abandon_reason=silence);
+//    local μ-law noise gate / energy VAD before input_audio_buffer.append (audioGate.js, SETTINGS NOISE_GATE_*)
+// 24) Echo suppression (echoSuppressor.js, full duplex): caller frames that correlate with Betty's outbound audio
+//    are echo and never start a barge-in; the audio still goes to OpenAI as is (MB_ECHO_*)
+// 25) Phrase audio cache (phraseCache.js): fixed lines without per-call variables (opening, closing, silence
+//    reprompt) are streamed from cached μ-law (first verbatim rendering, key = text + voice), not a response.create
+// 26) Filler cue (filler.js): no model audio FILLER_AFTER_MS after response.create -> soft tone,
+//    cleared when real audio starts; first-audio latency per turn (TURNLOG FIRST_AUDIO, /health filler)
+// 27) Server-side recording (callRecorder.js, MB_SERVER_RECORDING): caller + bot from the media stream as a stereo
+//    μ-law WAV on local disk or S3 / MinIO (recordingStorage.js), served by /recordings/:callSid.wav with Range
+// 28) OpenAI realtime reconnect: a mid-call drop reconnects with backoff, restores the session + conversationLog
+//    and Betty apologises and carries on; caller audio waits in audioQueue (MB_OPENAI_RECONNECT_*)
 
 const express = require("express");
 const http = require("http");
 const WebSocket = require("ws");
-const { google } = require("googleapis");
+const { Readable } = require("stream");
 const { createMemoryDb } = require("./memoryDb");
+const { createVariantStats } = require("./promptVariants");
+const { renderTemplate, formatDigitsForSpeech } = require("./template");
+const {
+  createAdminAuth,
+  createRecordingLinks,
+  createTwilioRequestValidator,
+  createStreamAuth,
+  hmac,
+} = require("./security");
+const {
+  buildStreamTwiml,
+  buildFallbackTwiml,
+  buildTransferTwiml,
+  buildSayTwiml,
+  buildHangupTwiml,
+  buildMessageTwiml,
+} = require("./twiml");
+const {
+  parseTransferSettings,
+  matchTransferKeyword,
+  buildWhisperSummary,
+  createTransferRegistry,
+  decisionForDialStatus,
+  TRANSFER_TOOL,
+} = require("./transfer");
+const { createDigitBuffer } = require("./keypad");
+const { createPlaybackTracker } = require("./playback");
+const { parseAudioSettings, createAudioGate } = require("./audioGate");
+const { createEchoSuppressor } = require("./echoSuppressor");
+const { createPhraseCache, changedPhases, isCacheablePhase } = require("./phraseCache");
+const { parseFillerSettings, buildToneUlaw, createLatencyStats } = require("./filler");
+const { createCallRecorder } = require("./callRecorder");
+const { createRecordingStorage, parseRange } = require("./recordingStorage");
+const { createCallbackStore, createCallbackDialer } = require("./callbackDialer");
+const {
+  parseSmsSettings,
+  isIsraeliMobile,
+  matchOptKeyword,
+  summarizeMessage,
+  createSmsRegistry,
+} = require("./smsConfirmation");
+const { createSheetsSsotSource, createFileSsotSource } = require("./ssotSource");
+const { createSsotStore } = require("./ssotStore");
+const { diffSsot } = require("./ssotDiff");
+const { createSsotRuntime } = require("./ssotRuntime");
+const { createTenantRegistry, loadTenantConfig, DEFAULT_TENANT_ID } = require("./tenants");
+const {
+  createIntentSuggestionCollector,
+  createSheetsSuggestionSink,
+  createFileSuggestionSink,
+} = require("./intentSuggestions");
 
 const PORT = process.env.PORT || 10000;
 
@@ -79,33 +176,6 @@ function onlyDigits(s) {
   return String(s || "").replace(/\D/g, "");
 }
 
-function formatDigitsForSpeech(digits) {
-  const d = onlyDigits(digits);
-  if (!d) return "";
-  const wordsMap = {
-    0: "אפס",
-    1: "אחת",
-    2: "שתיים",
-    3: "שלוש",
-    4: "ארבע",
-    5: "חמש",
-    6: "שש",
-    7: "שבע",
-    8: "שמונה",
-    9: "תשע",
-  };
-  const out = [];
-  for (let i = 0; i < d.length; i += 1) {
-    const ch = d[i];
-    if (!(ch in wordsMap)) continue;
-    out.push(wordsMap[ch]);
-    if ((i === 2 || i === 5) && i < d.length - 1) {
-      out.push(",");
-    }
-  }
-  return out.join(" ").replace(/\s+,/g, ",");
-}
-
 function normalizeIlPhoneDigits(input) {
   const digits = onlyDigits(input);
   if (!digits) return null;
@@ -136,6 +206,20 @@ const MB_LEAD_PARSING_MODEL = (process.env.MB_LEAD_PARSING_MODEL || "gpt-4.1-min
 /* ================== Optional Recording v2 (GilSport-style) ================== */
 const MB_ENABLE_RECORDING = envBool("MB_ENABLE_RECORDING", false);
 
+// Server-side recording from the media stream (replaces the Twilio recording + its wait when on)
+const MB_SERVER_RECORDING = envBool("MB_SERVER_RECORDING", false);
+const MB_RECORDING_STORAGE = (process.env.MB_RECORDING_STORAGE || "local").trim(); // local | s3
+const MB_RECORDING_DIR = (process.env.MB_RECORDING_DIR || "./recordings").trim();
+const MB_RECORDING_MAX_SEC = envNum("MB_RECORDING_MAX_SEC", 3600);
+const MB_RECORDING_END_WAIT_MS = envNum("MB_RECORDING_END_WAIT_MS", 15_000); // decision waits for the call end
+// S3-compatible store (MinIO locally: endpoint http://127.0.0.1:9000)
+const MB_RECORDING_S3_ENDPOINT = (process.env.MB_RECORDING_S3_ENDPOINT || "").trim();
+const MB_RECORDING_S3_BUCKET = (process.env.MB_RECORDING_S3_BUCKET || "").trim();
+const MB_RECORDING_S3_REGION = (process.env.MB_RECORDING_S3_REGION || "us-east-1").trim();
+const MB_RECORDING_S3_ACCESS_KEY = (process.env.MB_RECORDING_S3_ACCESS_KEY || "").trim();
+const MB_RECORDING_S3_SECRET_KEY = (process.env.MB_RECORDING_S3_SECRET_KEY || "").trim();
+const MB_RECORDING_S3_PREFIX = (process.env.MB_RECORDING_S3_PREFIX || "").trim();
+
 const MB_TRANSCRIPTION_MODEL = (process.env.MB_TRANSCRIPTION_MODEL || "").trim(); // optional
 const MB_TRANSCRIPTION_LANGUAGE = (process.env.MB_TRANSCRIPTION_LANGUAGE || "he").trim();
 
@@ -143,10 +227,54 @@ const MB_VAD_THRESHOLD = envNum("MB_VAD_THRESHOLD", 0.65);
 const MB_VAD_SILENCE_MS = envNum("MB_VAD_SILENCE_MS", 900);
 const MB_VAD_PREFIX_MS = envNum("MB_VAD_PREFIX_MS", 200);
 
+// Local noise gate on caller audio (audioGate.js); SETTINGS NOISE_GATE_* / VAD_* override per tenant
+const MB_NOISE_GATE = envBool("MB_NOISE_GATE", false);
+const MB_NOISE_GATE_MODE = (process.env.MB_NOISE_GATE_MODE || "gate").trim(); // gate | attenuate
+const MB_NOISE_GATE_MARGIN_DB = envNum("MB_NOISE_GATE_MARGIN_DB", 10);
+const MB_NOISE_GATE_MIN_DB = envNum("MB_NOISE_GATE_MIN_DB", -50);
+const MB_NOISE_GATE_ATTENUATION_DB = envNum("MB_NOISE_GATE_ATTENUATION_DB", 20);
+const MB_NOISE_GATE_HANGOVER_MS = envNum("MB_NOISE_GATE_HANGOVER_MS", 300);
+
+// Idle caller: reprompt after this much silence, closing line + hangup after that much (0 = off; hangup is off
+// unless a tenant sets SETTINGS SILENCE_HANGUP_SEC). SETTINGS SILENCE_REPROMPT_SEC / SILENCE_HANGUP_SEC override
+const MB_SILENCE_REPROMPT_MS = envNum("MB_SILENCE_REPROMPT_MS", 8000);
+const MB_SILENCE_HANGUP_MS = envNum("MB_SILENCE_HANGUP_MS", 0);
+
 const MB_BARGEIN_ENABLED = envBool("MB_BARGEIN_ENABLED", false);
 const MB_BARGEIN_MIN_MS = envNum("MB_BARGEIN_MIN_MS", 250);
 const MB_BARGEIN_COOLDOWN_MS = envNum("MB_BARGEIN_COOLDOWN_MS", 600);
 const MB_BARGEIN_AUDIO_DROP_MS = envNum("MB_BARGEIN_AUDIO_DROP_MS", 0);
+// Echo suppression (full duplex only): caller audio correlating with the bot's own audio is not speech
+const MB_ECHO_SUPPRESSION = envBool("MB_ECHO_SUPPRESSION", true);
+const MB_ECHO_THRESHOLD = envNum("MB_ECHO_THRESHOLD", 0.5); // normalized cross-correlation peak
+const MB_ECHO_MAX_DELAY_MS = envNum("MB_ECHO_MAX_DELAY_MS", 600); // longest echo path searched
+// Playback marks: speaking state from Twilio marks; barge-in clears Twilio's buffer + truncates the OpenAI item
+const MB_PLAYBACK_MARKS = envBool("MB_PLAYBACK_MARKS", true);
+const MB_PLAYBACK_MARK_GRACE_MS = envNum("MB_PLAYBACK_MARK_GRACE_MS", 2000); // lost mark: assume played after this
+
+// Bot hangup: end the phone call over the Twilio REST API after the closing line (not only the media stream)
+const MB_BOT_HANGUP = envBool("MB_BOT_HANGUP", true);
+const MB_HANGUP_RETRIES = envNum("MB_HANGUP_RETRIES", 2); // extra attempts on network errors / 429 / 5xx
+const MB_HANGUP_RETRY_BACKOFF_MS = envNum("MB_HANGUP_RETRY_BACKOFF_MS", 1000); // x attempt number
+
+// Outbound callback dialer (per tenant opt-in: SETTINGS CALLBACK_DIALER); the queue lives in the memory DB
+const MB_CALLBACK_DIALER = envBool("MB_CALLBACK_DIALER", true);
+const MB_CALLBACK_TICK_MS = envNum("MB_CALLBACK_TICK_MS", 30_000);
+const MB_CALLBACK_MAX_CONCURRENT = envNum("MB_CALLBACK_MAX_CONCURRENT", 2); // outbound calls ringing / live at once
+const MB_CALLBACK_RING_TIMEOUT_SEC = envNum("MB_CALLBACK_RING_TIMEOUT_SEC", 25);
+
+// Post-call SMS confirmation (per tenant: SETTINGS SMS_CONFIRMATION_TEMPLATE); false = never send
+const MB_SMS_CONFIRMATION = envBool("MB_SMS_CONFIRMATION", true);
+
+// Fixed lines from cached audio (MB_PHRASE_CACHE_DIR=off keeps the cache in memory only)
+const MB_PHRASE_CACHE = envBool("MB_PHRASE_CACHE", true);
+const MB_PHRASE_CACHE_DIR = (process.env.MB_PHRASE_CACHE_DIR || "./.phrase-cache").trim();
+const MB_PHRASE_CACHE_MAX = envNum("MB_PHRASE_CACHE_MAX", 200); // entries; least recently used go first
+const PHRASE_CHUNK_BYTES = 1600; // 200 ms of μ-law per Twilio media message
+
+// Filler cue while waiting for the model's first audio; SETTINGS FILLER_* override per tenant
+const MB_FILLER_MODE = (process.env.MB_FILLER_MODE || "off").trim(); // off | tone
+const MB_FILLER_AFTER_MS = envNum("MB_FILLER_AFTER_MS", 900);
 
 // Strict turn-taking mode (noise hardening): when true, we drop user audio while assistant is speaking
 const MB_HALF_DUPLEX = envBool("MB_HALF_DUPLEX", false);
@@ -154,6 +282,36 @@ const MB_HALF_DUPLEX = envBool("MB_HALF_DUPLEX", false);
 const GSHEET_ID = (process.env.GSHEET_ID || "").trim();
 const GOOGLE_SA_B64 = (process.env.GOOGLE_SERVICE_ACCOUNT_JSON_B64 || "").trim();
 
+// SSOT source: sheets (default) | file (SSOT_FILE=.json/.yaml/.xlsx, hot reload on change)
+const SSOT_FILE = (process.env.SSOT_FILE || "").trim();
+const SSOT_SOURCE = (process.env.SSOT_SOURCE || (SSOT_FILE ? "file" : "sheets")).trim().toLowerCase();
+const MB_SSOT_WATCH = envBool("MB_SSOT_WATCH", true);
+
+// Last-known-good SSOT snapshot (disk dir, "off" to disable) + Postgres copy via the memory DB pool
+const SSOT_SNAPSHOT_DIR = (process.env.SSOT_SNAPSHOT_DIR || "./.ssot-cache").trim();
+const MB_SSOT_SNAPSHOT_PG = envBool("MB_SSOT_SNAPSHOT_PG", true);
+
+// Tenants (several office lines): TENANTS_FILE (.json/.yaml) or TENANTS_JSON; unset = single "default" tenant
+const TENANTS_FILE = (process.env.TENANTS_FILE || "").trim();
+const TENANTS_JSON = (process.env.TENANTS_JSON || "").trim();
+
+// INTENT_SUGGESTIONS write-back: off | sheets | file
+const MB_INTENT_SUGGESTIONS_SINK = (process.env.MB_INTENT_SUGGESTIONS_SINK || "off").trim().toLowerCase();
+const MB_INTENT_SUGGESTIONS_FILE = (process.env.MB_INTENT_SUGGESTIONS_FILE || "./intent_suggestions.json").trim();
+const MB_INTENT_SUGGESTIONS_FLUSH_MS = envNum("MB_INTENT_SUGGESTIONS_FLUSH_MS", 60_000);
+const MB_INTENT_WEAK_SCORE = envNum("MB_INTENT_WEAK_SCORE", 0.6);
+
+// KB retrieval (SSOT KB tab): top rows for each caller utterance are injected before response.create
+const MB_KB_ENABLED = envBool("MB_KB_ENABLED", true);
+const MB_KB_TOP_K = envNum("MB_KB_TOP_K", 3);
+const MB_KB_MIN_SCORE = envNum("MB_KB_MIN_SCORE", 0.5);
+const MB_KB_WAIT_MS = envNum("MB_KB_WAIT_MS", 900); // max wait for the turn's final transcript
+const MB_KB_MAX_CHARS = envNum("MB_KB_MAX_CHARS", 1500);
+
+// Prompt A/B variants (PROMPTS rows such as MASTER_PROMPT@B); sticky = reuse the caller's variant from caller_memory
+const MB_PROMPT_VARIANTS_ENABLED = envBool("MB_PROMPT_VARIANTS_ENABLED", true);
+const MB_PROMPT_VARIANTS_STICKY = envBool("MB_PROMPT_VARIANTS_STICKY", true);
+
 const MB_DEBUG = envBool("MB_DEBUG", false);
 // If STT enabled, default log transcripts to true unless explicitly disabled
 const MB_LOG_TRANSCRIPTS = envBool("MB_LOG_TRANSCRIPTS", !!MB_TRANSCRIPTION_MODEL);
@@ -180,6 +338,55 @@ const FINAL_WEBHOOK_URL = (process.env.FINAL_WEBHOOK_URL || "").trim(); // FINAL
 const TWILIO_ACCOUNT_SID = (process.env.TWILIO_ACCOUNT_SID || "").trim();
 const TWILIO_AUTH_TOKEN = (process.env.TWILIO_AUTH_TOKEN || "").trim();
 const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL || "").trim();
+// REST API origin (a mock Twilio server in tests)
+const TWILIO_API_BASE_URL = (process.env.TWILIO_API_BASE_URL || "https://api.twilio.com").trim().replace(/\/+$/, "");
+
+// Admin routes: bearer tokens ("name:token,..."), HMAC signing secret; MB_ADMIN_AUTH=false turns auth off (dev only)
+const ADMIN_TOKENS = (process.env.ADMIN_TOKENS || "").trim();
+const ADMIN_HMAC_SECRET = (process.env.ADMIN_HMAC_SECRET || "").trim();
+const MB_ADMIN_AUTH = envBool("MB_ADMIN_AUTH", true);
+
+// Signed recording links (secret defaults to a key derived from TWILIO_AUTH_TOKEN)
+const RECORDING_LINK_SECRET = (process.env.RECORDING_LINK_SECRET || "").trim();
+const MB_RECORDING_LINK_TTL_SEC = envNum("MB_RECORDING_LINK_TTL_SEC", 7 * 86_400);
+const MB_RECORDING_LINK_BIND_CALL = envBool("MB_RECORDING_LINK_BIND_CALL", true);
+
+// Twilio callbacks: X-Twilio-Signature check (needs TWILIO_AUTH_TOKEN + the public URL Twilio calls)
+const MB_TWILIO_VALIDATE = envBool("MB_TWILIO_VALIDATE", true);
+// Media stream start: customParameter "token" = per-call token or TWILIO_STREAM_SECRET
+const TWILIO_STREAM_SECRET = (process.env.TWILIO_STREAM_SECRET || "").trim();
+const MB_STREAM_AUTH = envBool("MB_STREAM_AUTH", true);
+const MB_STREAM_START_TIMEOUT_MS = envNum("MB_STREAM_START_TIMEOUT_MS", 10_000);
+
+// POST /twilio/voice: realtime stream TwiML, or the <Say> + <Record> fallback when realtime is unhealthy
+const MB_TWIML_FORCE_FALLBACK = envBool("MB_TWIML_FORCE_FALLBACK", false);
+const MB_REALTIME_FAIL_THRESHOLD = envNum("MB_REALTIME_FAIL_THRESHOLD", 3); // consecutive OpenAI ws failures
+const MB_REALTIME_FAIL_COOLDOWN_MS = envNum("MB_REALTIME_FAIL_COOLDOWN_MS", 120_000); // then try realtime again
+
+// Mid-call OpenAI realtime drop: reconnect with exponential backoff, then resume the conversation
+const MB_OPENAI_RECONNECT = envBool("MB_OPENAI_RECONNECT", true);
+const MB_OPENAI_RECONNECT_MAX = envNum("MB_OPENAI_RECONNECT_MAX", 3); // attempts per drop, then the call ends
+const MB_OPENAI_RECONNECT_BASE_MS = envNum("MB_OPENAI_RECONNECT_BASE_MS", 500);
+const MB_OPENAI_RECONNECT_MAX_MS = envNum("MB_OPENAI_RECONNECT_MAX_MS", 4000);
+const MB_OPENAI_RESUME_MAX_ITEMS = envNum("MB_OPENAI_RESUME_MAX_ITEMS", 40); // conversationLog turns replayed
+const MB_TWIML_SAY_VOICE = (process.env.MB_TWIML_SAY_VOICE || "Google.he-IL-Standard-A").trim();
+const MB_TWIML_SAY_LANGUAGE = (process.env.MB_TWIML_SAY_LANGUAGE || "he-IL").trim();
+const MB_FALLBACK_RECORD_MAX_SEC = envNum("MB_FALLBACK_RECORD_MAX_SEC", 120);
+
+// Warm transfer (needs SETTINGS TRANSFER_NUMBER per tenant + Twilio REST credentials + PUBLIC_BASE_URL)
+const MB_TRANSFER_ENABLED = envBool("MB_TRANSFER_ENABLED", true);
+const MB_TRANSFER_MODEL_TOOL = envBool("MB_TRANSFER_MODEL_TOOL", true); // offer transfer_to_human to the model
+const MB_TRANSFER_DIAL_TIMEOUT_SEC = envNum("MB_TRANSFER_DIAL_TIMEOUT_SEC", 25); // SETTINGS TRANSFER_TIMEOUT_SEC wins
+const MB_TRANSFER_ANNOUNCE_MAX_MS = envNum("MB_TRANSFER_ANNOUNCE_MAX_MS", 8000); // dial even if playback mark is lost
+// How long the lead decision waits for the Dial / voicemail outcome after the stream stops
+const MB_TRANSFER_OUTCOME_WAIT_MS = envNum(
+  "MB_TRANSFER_OUTCOME_WAIT_MS",
+  (MB_TRANSFER_DIAL_TIMEOUT_SEC + MB_FALLBACK_RECORD_MAX_SEC + 30) * 1000
+);
+
+// DTMF keypad (SSOT KEYPAD tab; digits 1 / 2 / 0 = yes / no / transfer unless the tab says otherwise)
+const MB_DTMF_ENABLED = envBool("MB_DTMF_ENABLED", true);
+const MB_DTMF_DIGIT_TIMEOUT_MS = envNum("MB_DTMF_DIGIT_TIMEOUT_MS", 3000); // typed number ends after this pause
 
 // DB URL (Render: DATABASE_URL)
 const MEMORY_DB_URL = (process.env.MEMORY_DB_URL || process.env.DATABASE_URL || "").trim();
@@ -201,7 +408,8 @@ function baseUrlNoSlash(u) {
   return String(u || "").replace(/\/+$/, "");
 }
 
-function getGreetingBucketAndText() {
+// hoursNow (optional): business-hours evaluation; its holiday / Shabbat greeting replaces the time-of-day text
+function getGreetingBucketAndText(hoursNow) {
   let hour = 0;
   try {
     const parts = new Intl.DateTimeFormat("en-US", {
@@ -213,25 +421,55 @@ function getGreetingBucketAndText() {
   } catch {
     hour = new Date().getHours();
   }
-  if (hour >= 5 && hour < 12) return { bucket: "morning", text: "בוקר טוב" };
-  if (hour >= 12 && hour < 17) return { bucket: "afternoon", text: "צהריים טובים" };
-  if (hour >= 17 && hour < 22) return { bucket: "evening", text: "ערב טוב" };
-  return { bucket: "night", text: "לילה טוב" };
+  const special = safeStr(hoursNow?.greeting_he);
+  if (hour >= 5 && hour < 12) return { bucket: "morning", text: special || "בוקר טוב" };
+  if (hour >= 12 && hour < 17) return { bucket: "afternoon", text: special || "צהריים טובים" };
+  if (hour >= 17 && hour < 22) return { bucket: "evening", text: special || "ערב טוב" };
+  return { bucket: "night", text: special || "לילה טוב" };
 }
 
+// SETTINGS / PROMPTS templates (see template.js). Unknown variables render empty; reloads report them up front.
 function injectVars(text, vars) {
-  let out = String(text || "");
-  for (const [k, v] of Object.entries(vars || {})) {
-    out = out.replaceAll(`{${k}}`, String(v ?? ""));
-  }
+  const { text: out, missing } = renderTemplate(text, vars);
+  if (missing.length && MB_DEBUG) console.log("[TEMPLATE] missing vars", { missing, text: clip(oneLine(text), 120) });
   return out;
 }
 
-function getClosingLineFromSsot() {
-  const settings = ssot.data?.settings || {};
+function getClosingLineFromSsot(settings = {}, callVars = {}) {
   const closing = safeStr(settings?.CLOSING_SCRIPT || "");
   if (!closing) return "";
-  return injectVars(closing, settings);
+  return injectVars(closing, { ...settings, ...callVars });
+}
+
+// Tenant SETTINGS over the MB_NOISE_GATE_* / MB_VAD_* env defaults -> { gate, vad }
+function audioSettingsFor(settings) {
+  return parseAudioSettings(settings, {
+    enabled: MB_NOISE_GATE,
+    mode: MB_NOISE_GATE_MODE,
+    margin_db: MB_NOISE_GATE_MARGIN_DB,
+    min_db: MB_NOISE_GATE_MIN_DB,
+    attenuation_db: MB_NOISE_GATE_ATTENUATION_DB,
+    hangover_ms: MB_NOISE_GATE_HANGOVER_MS,
+    vad_threshold: MB_VAD_THRESHOLD,
+    vad_silence_ms: MB_VAD_SILENCE_MS,
+    vad_prefix_ms: MB_VAD_PREFIX_MS,
+  });
+}
+
+// SETTINGS SILENCE_REPROMPT_SEC / SILENCE_HANGUP_SEC (0 = off) over the MB_SILENCE_* env defaults
+function silenceTimeouts(settings = {}) {
+  const ms = (v, def) => (safeStr(v) !== "" && Number(v) >= 0 ? Number(v) * 1000 : def);
+  return {
+    reprompt_ms: ms(settings.SILENCE_REPROMPT_SEC, MB_SILENCE_REPROMPT_MS),
+    hangup_ms: ms(settings.SILENCE_HANGUP_SEC, MB_SILENCE_HANGUP_MS),
+  };
+}
+
+// Office closed at call start -> OPENING_SCRIPT_HOLIDAY (Shabbat / holiday) or OPENING_SCRIPT_AFTER_HOURS
+function pickClosedOpeningTemplate(settings, hoursNow) {
+  if (!hoursNow || !hoursNow.enabled || hoursNow.is_open) return "";
+  const holiday = hoursNow.status === "holiday" || hoursNow.status === "shabbat";
+  return safeStr((holiday && settings.OPENING_SCRIPT_HOLIDAY) || settings.OPENING_SCRIPT_AFTER_HOURS || "");
 }
 
 function buildSettingsContext(settings) {
@@ -259,156 +497,137 @@ const memory = createMemoryDb({ url: MEMORY_DB_URL, debug: MB_DEBUG });
   }
 })();
 
-/* ================== SSOT ================== */
-const SSOT_TTL_MS = 60_000;
-
-// P1: required SSOT keys (non-secret)
-const REQUIRED_SETTINGS_KEYS = [
-  "BUSINESS_NAME",
-  "BOT_NAME",
-  "DEFAULT_LANGUAGE",
-  "MAIN_PHONE",
-  "BUSINESS_EMAIL",
-  "BUSINESS_ADDRESS",
-  "WORKING_HOURS",
-  "OPENING_SCRIPT",
-  "OPENING_SCRIPT_RETURNING",
-  "NO_DATA_MESSAGE",
-  "CLOSING_SCRIPT",
-];
-
-const REQUIRED_PROMPTS = ["MASTER_PROMPT", "GUARDRAILS_PROMPT", "KB_PROMPT", "LEAD_CAPTURE_PROMPT"];
-
-const ssot = {
-  enabled: !!(GSHEET_ID && GOOGLE_SA_B64),
-  loaded_at: null,
-  error: null,
-  data: { settings: {}, prompts: {}, intents: [], intent_suggestions: [] },
-  missing_settings_keys: [],
-  missing_prompt_keys: [],
-  _expires: 0,
-};
-
-async function loadSSOT(force = false) {
-  if (!ssot.enabled) return ssot;
-
-  const now = Date.now();
-  if (!force && now < ssot._expires && ssot.loaded_at) return ssot;
+// Per-call A/B outcomes for /admin/prompt-variants (Postgres via the memory DB pool + in-process fallback)
+const promptVariantStats = createVariantStats({ memory, debug: MB_DEBUG });
 
-  try {
-    const creds = JSON.parse(Buffer.from(GOOGLE_SA_B64, "base64").toString("utf8"));
+/* ================== SSOT + tenants ================== */
+const SSOT_TTL_MS = 60_000;
 
-    const auth = new google.auth.JWT(
-      creds.client_email,
-      null,
-      creds.private_key,
-      ["https://www.googleapis.com/auth/spreadsheets.readonly"]
-    );
-    const sheets = google.sheets({ version: "v4", auth });
+function createSsotSourceFromConfig(cfg, tenantId) {
+  const kind = safeStr(cfg?.source).toLowerCase() || (cfg?.file ? "file" : "sheets");
+  if (kind === "file") return cfg.file ? createFileSsotSource({ filePath: cfg.file }) : null;
+  if (kind === "sheets") {
+    const spreadsheetId = safeStr(cfg.gsheet_id);
+    const credentialsB64 = safeStr(cfg.credentials_env ? process.env[cfg.credentials_env] : GOOGLE_SA_B64);
+    return spreadsheetId && credentialsB64 ? createSheetsSsotSource({ spreadsheetId, credentialsB64 }) : null;
+  }
+  console.error("[SSOT] unknown source", { tenant: tenantId, source: kind });
+  return null;
+}
 
-    async function read(range) {
-      const res = await sheets.spreadsheets.values.get({
-        spreadsheetId: GSHEET_ID,
-        range,
-      });
-      return res.data.values || [];
+function createIntentSuggestionSink(tenantId, source) {
+  if (MB_INTENT_SUGGESTIONS_SINK === "sheets") {
+    if (!source || source.kind !== "sheets") {
+      console.error("[INTENT_SUGGESTIONS] sheets sink requires the Google Sheets SSOT source", { tenant: tenantId });
+      return null;
     }
-
-    const settingsRows = await read("SETTINGS!A:B");
-    const settings = {};
-    settingsRows.slice(1).forEach(([k, v]) => {
-      if (k) settings[String(k).trim()] = v ?? "";
+    let sheets = null;
+    return createSheetsSuggestionSink({
+      spreadsheetId: source.describe().spreadsheet_id,
+      getSheets: () => {
+        if (!sheets) sheets = source.createClient(["https://www.googleapis.com/auth/spreadsheets"]);
+        return sheets;
+      },
     });
+  }
+  if (MB_INTENT_SUGGESTIONS_SINK === "file") {
+    // intent_suggestions.json -> intent_suggestions.<tenant>.json for non-default tenants
+    const filePath =
+      tenantId === DEFAULT_TENANT_ID
+        ? MB_INTENT_SUGGESTIONS_FILE
+        : MB_INTENT_SUGGESTIONS_FILE.replace(/(\.[a-z]+)?$/i, (ext) => `.${tenantId}${ext}`);
+    return createFileSuggestionSink({ filePath });
+  }
+  return null;
+}
 
-    const promptRows = await read("PROMPTS!A:B");
-    const prompts = {};
-    promptRows.slice(1).forEach(([id, content]) => {
-      if (id) prompts[String(id).trim()] = content ?? "";
-    });
+let tenantConfig;
+try {
+  tenantConfig = loadTenantConfig({ filePath: TENANTS_FILE, json: TENANTS_JSON });
+} catch (e) {
+  console.error("[FATAL] invalid tenant config", e && (e.message || e));
+  process.exit(1);
+}
 
-    const intentRows = await read("INTENTS!A:D");
-    const intents = intentRows.slice(1).map((r) => ({
-      intent: r[0],
-      priority: Number(r[1] || 0),
-      trigger_type: r[2],
-      triggers_he: r[3],
-    }));
-
-    const suggRows = await read("INTENT_SUGGESTIONS!A:F");
-    const intent_suggestions = suggRows.slice(1).map((r) => ({
-      phrase_he: r[0],
-      detected_intent: r[1],
-      occurrences: r[2],
-      last_seen_at: r[3],
-      approved: r[4],
-      notes: r[5],
-    }));
-
-    const missingSettings = REQUIRED_SETTINGS_KEYS.filter((k) => !settings[k]);
-    const missingPrompts = REQUIRED_PROMPTS.filter((k) => !prompts[k]);
-
-    ssot.data = { settings, prompts, intents, intent_suggestions };
-    ssot.loaded_at = nowIso();
-    ssot.missing_settings_keys = missingSettings;
-    ssot.missing_prompt_keys = missingPrompts;
-
-    ssot.error = null;
-    if (missingSettings.length || missingPrompts.length) {
-      const parts = [];
-      if (missingSettings.length) parts.push(`Missing SETTINGS keys: ${missingSettings.join(", ")}`);
-      if (missingPrompts.length) parts.push(`Missing PROMPTS keys: ${missingPrompts.join(", ")}`);
-      ssot.error = parts.join(" | ");
-    }
-
-    ssot._expires = Date.now() + SSOT_TTL_MS;
+let tenants;
+try {
+  tenants = createTenantRegistry({
+    config: tenantConfig,
+    defaults: {
+      ssot: { source: SSOT_SOURCE, gsheet_id: GSHEET_ID, file: SSOT_FILE },
+      webhooks: { call_log: CALL_LOG_WEBHOOK_URL, final: FINAL_WEBHOOK_URL, abandoned: ABANDONED_WEBHOOK_URL },
+      voice: OPENAI_VOICE,
+    },
+  });
+} catch (e) {
+  console.error("[FATAL] invalid tenant config", e && (e.message || e));
+  process.exit(1);
+}
 
-    if (MB_DEBUG) {
-      console.log("[SSOT] loaded", {
-        settings_keys: Object.keys(settings).length,
-        prompts_keys: Object.keys(prompts).length,
-        intents: intents.length,
-        intent_suggestions: intent_suggestions.length,
-        missing_settings: missingSettings.length,
-        missing_prompts: missingPrompts.length,
-      });
-    }
-  } catch (e) {
-    ssot.error = e && (e.message || String(e));
-    console.error("[SSOT] load failed", ssot.error);
-  }
+// First-audio latency of every turn (response.create -> first response.audio.delta), all calls
+const firstAudioStats = createLatencyStats();
 
-  return ssot;
+/* ================== Phrase audio cache ================== */
+const phraseCache = createPhraseCache({
+  dir: MB_PHRASE_CACHE_DIR === "off" ? null : MB_PHRASE_CACHE_DIR,
+  maxEntries: MB_PHRASE_CACHE_MAX,
+  debug: MB_DEBUG,
+});
+if (MB_PHRASE_CACHE) phraseCache.load();
+
+// SSOT activation: drop cached lines whose script changed. The first load of a process has nothing to compare
+// with; entries rendered from an older script no longer match the new text and age out of the cache.
+function invalidatePhrasesOnSsotChange(tenantId, { previous, data }) {
+  if (!Object.keys(previous?.settings || {}).length) return;
+  const phases = changedPhases(previous.settings, data?.settings || {});
+  if (!phases.length) return;
+  const n = phraseCache.invalidate(tenantId, phases);
+  if (MB_DEBUG || n) console.log("[PHRASE_CACHE] invalidated", { tenant: tenantId, phases, entries: n });
 }
 
-function getSSOTCacheFast() {
-  const now = Date.now();
-  const hasData =
-    Object.keys(ssot.data.settings || {}).length > 0 &&
-    Object.keys(ssot.data.prompts || {}).length > 0;
-
-  const stale = !ssot.loaded_at || now >= ssot._expires;
+// Per-tenant runtime: { tenant, ssot (ssotRuntime), intentSuggestions }
+const tenantContexts = new Map();
+for (const tenant of tenants.list()) {
+  const source = createSsotSourceFromConfig(tenant.ssot, tenant.id);
+  const store = createSsotStore({
+    memory,
+    dir: SSOT_SNAPSHOT_DIR === "off" ? null : SSOT_SNAPSHOT_DIR,
+    usePg: MB_SSOT_SNAPSHOT_PG,
+    namespace: tenant.id,
+    debug: MB_DEBUG,
+  });
+  const runtime = createSsotRuntime({
+    tenantId: tenant.id,
+    source,
+    store,
+    ttlMs: SSOT_TTL_MS,
+    timeZone: TIME_ZONE,
+    debug: MB_DEBUG,
+    onActivate: (change) => invalidatePhrasesOnSsotChange(tenant.id, change),
+  });
+  runtime.start({ watch: MB_SSOT_WATCH });
+
+  tenantContexts.set(tenant.id, {
+    tenant,
+    ssot: runtime,
+    intentSuggestions: createIntentSuggestionCollector({
+      sink: createIntentSuggestionSink(tenant.id, source),
+      flushMs: MB_INTENT_SUGGESTIONS_FLUSH_MS,
+      debug: MB_DEBUG,
+    }),
+  });
+}
 
-  if (hasData) {
-    if (stale) {
-      if (MB_DEBUG) console.log("[SSOT] stale cache -> background refresh");
-      loadSSOT(true).catch(() => {});
-    }
-    return { ok: true, stale, ssot };
-  }
-  return { ok: false, stale: true, ssot };
+function getTenantContext(id) {
+  return tenantContexts.get(safeStr(id) || tenants.fallbackId) || null;
 }
 
-// Prewarm SSOT at startup (non-blocking)
-(async () => {
-  if (!ssot.enabled) return;
-  try {
-    const t0 = Date.now();
-    await loadSSOT(false);
-    if (MB_DEBUG) console.log("[SSOT] prewarm done in", Date.now() - t0, "ms");
-  } catch (e) {
-    console.error("[SSOT] prewarm failed", e && (e.message || e));
-  }
-})();
+if (MB_DEBUG) {
+  console.log("[TENANTS] loaded", {
+    fallback: tenants.fallbackId,
+    tenants: tenants.list().map((t) => ({ id: t.id, called_numbers: t.called_numbers })),
+  });
+}
 
 /* ================== Name heuristics ================== */
 const NAME_REJECT_WORDS = new Set([
@@ -528,6 +747,10 @@ function isNo(text) {
   const t = String(text || "").trim();
   return /^(לא|לא תודה|ממש לא|לא לא)$/i.test(t);
 }
+// Bot line asking for a phone number: digits typed on the keypad after it are a callback number
+function isAskingForPhoneNumber(text) {
+  return /(מספר (ה)?טלפון|מספר לחזרה|מספר נייד|לאיזה מספר|באיזה מספר|מה המספר|להקיש את המספר)/.test(String(text || ""));
+}
 function extractILPhoneDigits(text) {
   const t = String(text || "");
   const digits = t.replace(/[^\d]/g, "");
@@ -549,6 +772,11 @@ function normalizePhoneLocal(input) {
   if (digits.length === 9) return `0${digits}`;
   return null;
 }
+// 0XXXXXXXXX -> +972XXXXXXXXX (dialing a callback_to_number)
+function localPhoneToE164(input) {
+  const local = normalizePhoneLocal(input);
+  return local ? `+972${local.slice(1)}` : null;
+}
 function isCallbackRequested(text) {
   const t = String(text || "").trim();
   if (!t) return false;
@@ -673,6 +901,15 @@ async function waitForRecording(callSid, timeoutMs = 12000) {
   return getRecordingForCall(callSid);
 }
 
+// Shared by the REST recording start, the stream TwiML <Start><Recording> and the fallback <Record> verb
+const RECORDING_CALLBACK_METHOD = "POST";
+const RECORDING_CHANNELS = "dual";
+
+function recordingCallbackUrl() {
+  const url = `${getPublicOrigin()}/twilio-recording-callback`;
+  return url.startsWith("http") ? url : "";
+}
+
 async function startRecordingIfEnabled(callSid, tagForLog = "recording") {
   if (!MB_ENABLE_RECORDING) return { ok: false, reason: "recording_disabled" };
   if (!callSid) return { ok: false, reason: "missing_callSid" };
@@ -680,17 +917,17 @@ async function startRecordingIfEnabled(callSid, tagForLog = "recording") {
   if (!auth) return { ok: false, reason: "twilio_auth_missing" };
   if (!PUBLIC_BASE_URL) return { ok: false, reason: "public_base_url_missing" };
 
-  const cbUrl = `${getPublicOrigin()}/twilio-recording-callback`;
-  if (!cbUrl.startsWith("http")) return { ok: false, reason: "callback_url_invalid" };
+  const cbUrl = recordingCallbackUrl();
+  if (!cbUrl) return { ok: false, reason: "callback_url_invalid" };
 
-  const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(
+  const url = `${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${encodeURIComponent(
     TWILIO_ACCOUNT_SID
   )}/Calls/${encodeURIComponent(callSid)}/Recordings.json`;
 
   const body = new URLSearchParams({
     RecordingStatusCallback: cbUrl,
-    RecordingStatusCallbackMethod: "POST",
-    RecordingChannels: "dual",
+    RecordingStatusCallbackMethod: RECORDING_CALLBACK_METHOD,
+    RecordingChannels: RECORDING_CHANNELS,
   });
 
   try {
@@ -719,13 +956,110 @@ async function startRecordingIfEnabled(callSid, tagForLog = "recording") {
   }
 }
 
+// Redirect a live call to new TwiML (warm transfer)
+async function updateTwilioCallTwiml(callSid, twiml) {
+  const auth = twilioAuthHeader();
+  if (!auth || !callSid) return { ok: false, status: null };
+
+  const url = `${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${encodeURIComponent(
+    TWILIO_ACCOUNT_SID
+  )}/Calls/${encodeURIComponent(callSid)}.json`;
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: auth,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({ Twiml: twiml }),
+    });
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      console.error("[TWILIO] call update failed", { callSid, status: res.status, message: json?.message || null });
+    }
+    return { ok: res.ok, status: res.status };
+  } catch (e) {
+    console.error("[TWILIO] call update error", e && (e.message || String(e)));
+    return { ok: false, status: null };
+  }
+}
+
+// Ends the live call (Status=completed). -> { ok, status, attempts, error }
+// 4xx other than 429 is final (e.g. the call already ended); network errors / 429 / 5xx are retried.
+async function completeTwilioCall(
+  callSid,
+  { retries = MB_HANGUP_RETRIES, backoffMs = MB_HANGUP_RETRY_BACKOFF_MS } = {}
+) {
+  const auth = twilioAuthHeader();
+  if (!auth || !callSid) return { ok: false, status: null, attempts: 0, error: "not_configured" };
+
+  const url = `${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${encodeURIComponent(
+    TWILIO_ACCOUNT_SID
+  )}/Calls/${encodeURIComponent(callSid)}.json`;
+
+  let result = { ok: false, status: null, attempts: 0, error: null };
+  for (let attempt = 1; attempt <= 1 + Math.max(0, retries); attempt += 1) {
+    try {
+      const res = await fetchWithTimeout(url, {
+        method: "POST",
+        headers: {
+          Authorization: auth,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams({ Status: "completed" }),
+      });
+      const json = await res.json().catch(() => ({}));
+      result = { ok: res.ok, status: res.status, attempts: attempt, error: res.ok ? null : json?.message || null };
+      if (res.ok || (res.status < 500 && res.status !== 429)) return result;
+    } catch (e) {
+      result = { ok: false, status: null, attempts: attempt, error: e && (e.message || String(e)) };
+    }
+    if (attempt <= retries) await sleep(backoffMs * attempt);
+  }
+  return result;
+}
+
+// POST form params to an account resource (Calls.json, Messages.json) -> { ok, status, sid, error }
+async function twilioCreate(resource, params) {
+  const auth = twilioAuthHeader();
+  if (!auth) return { ok: false, status: null, sid: null, error: "not_configured" };
+
+  const url = `${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${encodeURIComponent(TWILIO_ACCOUNT_SID)}/${resource}`;
+  try {
+    const res = await fetchWithTimeout(url, {
+      method: "POST",
+      headers: {
+        Authorization: auth,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams(params),
+    });
+    const json = await res.json().catch(() => ({}));
+    const error = res.ok ? null : json?.message || null;
+    return { ok: res.ok, status: res.status, sid: safeStr(json?.sid) || null, error };
+  } catch (e) {
+    return { ok: false, status: null, sid: null, error: e && (e.message || String(e)) };
+  }
+}
+
+// New outbound call; params = Twilio form fields (To, From, Url, StatusCallback, MachineDetection, ...)
+function createTwilioCall(params) {
+  return twilioCreate("Calls.json", params);
+}
+
+// SMS; params = Twilio form fields (To, From, Body, StatusCallback)
+function createTwilioMessage(params) {
+  return twilioCreate("Messages.json", params);
+}
+
 // ---- legacy (list latest recording) ----
 async function fetchLatestRecordingSid(callSid) {
   if (!callSid) return null;
   const auth = twilioAuthHeader();
   if (!auth) return null;
 
-  const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(
+  const url = `${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${encodeURIComponent(
     TWILIO_ACCOUNT_SID
   )}/Calls/${encodeURIComponent(callSid)}/Recordings.json?PageSize=50`;
 
@@ -891,11 +1225,84 @@ ${transcript}
 const app = express();
 
 // IMPORTANT: Twilio callbacks are urlencoded by default
-app.use(express.urlencoded({ extended: false }));
-app.use(express.json());
+// rawBody is kept for request signatures (admin HMAC)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.urlencoded({ extended: false, verify: keepRawBody }));
+app.use(express.json({ verify: keepRawBody }));
+
+/* ================== Security ================== */
+const adminAuth = createAdminAuth({
+  tokens: ADMIN_TOKENS,
+  hmacSecret: ADMIN_HMAC_SECRET,
+  disabled: !MB_ADMIN_AUTH,
+});
+app.use("/admin", adminAuth.middleware);
+if (!adminAuth.state.configured && MB_ADMIN_AUTH) {
+  console.error("[SECURITY] ADMIN_TOKENS / ADMIN_HMAC_SECRET not set: /admin/* routes answer 503");
+}
+
+let recordingStorage = null;
+if (MB_SERVER_RECORDING) {
+  try {
+    recordingStorage = createRecordingStorage({
+      kind: MB_RECORDING_STORAGE,
+      dir: MB_RECORDING_DIR,
+      s3: {
+        endpoint: MB_RECORDING_S3_ENDPOINT,
+        bucket: MB_RECORDING_S3_BUCKET,
+        region: MB_RECORDING_S3_REGION,
+        accessKey: MB_RECORDING_S3_ACCESS_KEY,
+        secretKey: MB_RECORDING_S3_SECRET_KEY,
+        prefix: MB_RECORDING_S3_PREFIX,
+      },
+    });
+  } catch (e) {
+    console.error("[FATAL] invalid recording storage", e && (e.message || e));
+    process.exit(1);
+  }
+}
+
+const recordingLinks = createRecordingLinks({
+  secret:
+    RECORDING_LINK_SECRET ||
+    (TWILIO_AUTH_TOKEN ? hmac(TWILIO_AUTH_TOKEN, "index-betty:recording-links", "hex") : ""),
+  ttlSec: MB_RECORDING_LINK_TTL_SEC,
+  bindCall: MB_RECORDING_LINK_BIND_CALL,
+});
+
+const twilioValidator = createTwilioRequestValidator({
+  authToken: TWILIO_AUTH_TOKEN,
+  publicBaseUrl: PUBLIC_BASE_URL,
+  disabled: !MB_TWILIO_VALIDATE,
+});
+
+const STREAM_TOKEN_KEY = TWILIO_STREAM_SECRET || TWILIO_AUTH_TOKEN;
+const streamAuth = createStreamAuth({
+  secret: STREAM_TOKEN_KEY ? hmac(STREAM_TOKEN_KEY, "index-betty:stream", "hex") : "",
+  sharedSecret: TWILIO_STREAM_SECRET,
+  disabled: !MB_STREAM_AUTH,
+});
+if (MB_STREAM_AUTH && !TWILIO_STREAM_SECRET && !TWILIO_AUTH_TOKEN) {
+  console.error("[SECURITY] TWILIO_STREAM_SECRET / TWILIO_AUTH_TOKEN not set: media streams will be rejected");
+}
+
+// Recording metadata (call binding check for signed links)
+async function fetchRecordingCallSid(recordingSid) {
+  const auth = twilioAuthHeader();
+  if (!auth) return null;
+  const url = `${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${encodeURIComponent(
+    TWILIO_ACCOUNT_SID
+  )}/Recordings/${encodeURIComponent(recordingSid)}.json`;
+  const r = await fetch(url, { headers: { Authorization: auth } });
+  if (!r.ok) return null;
+  const j = await r.json();
+  return safeStr(j?.call_sid) || null;
+}
 
 // Twilio RecordingStatusCallback endpoint (GilSport-style)
-app.post("/twilio-recording-callback", (req, res) => {
+app.post("/twilio-recording-callback", twilioValidator.middleware, (req, res) => {
   try {
     const callSid = safeStr(req.body?.CallSid || req.body?.callSid || "");
     const recordingSid = safeStr(req.body?.RecordingSid || req.body?.recordingSid || "");
@@ -912,7 +1319,393 @@ app.post("/twilio-recording-callback", (req, res) => {
   return res.status(200).send("OK");
 });
 
-// Public proxy for Twilio recordings (keeps Twilio creds private)
+/* ================== Voice webhook (TwiML entry point) ================== */
+// OpenAI realtime connection outcomes across calls; N consecutive failures switch new calls to the
+// voicemail fallback until MB_REALTIME_FAIL_COOLDOWN_MS passes without another failure.
+const realtimeHealth = { consecutive_failures: 0, last_ok_at: null, last_failure_at: null, last_error: null };
+// Mid-call drops across calls (/health realtime_reconnect)
+const realtimeReconnectStats = { drops: 0, attempts: 0, resumed: 0, gave_up: 0, last_drop_at: null };
+
+function noteRealtimeResult(ok, err) {
+  if (ok) {
+    realtimeHealth.consecutive_failures = 0;
+    realtimeHealth.last_ok_at = nowIso();
+    return;
+  }
+  realtimeHealth.consecutive_failures += 1;
+  realtimeHealth.last_failure_at = nowIso();
+  realtimeHealth.last_error = err ? clip(oneLine(err.message || String(err)), 200) : null;
+}
+
+// -> null (healthy) or the fallback reason
+function realtimeUnhealthyReason(ctx) {
+  if (MB_TWIML_FORCE_FALLBACK) return "forced";
+  if (!OPENAI_API_KEY) return "openai_api_key_missing";
+  if (ctx.ssot.state.enabled && !ctx.ssot.hasCompleteData()) return "ssot_unavailable";
+  if (realtimeHealth.consecutive_failures >= Math.max(1, MB_REALTIME_FAIL_THRESHOLD)) {
+    const since = Date.now() - Date.parse(realtimeHealth.last_failure_at);
+    if (since < MB_REALTIME_FAIL_COOLDOWN_MS) return "openai_realtime_failing";
+  }
+  return null;
+}
+
+// Voice webhooks answer from the cached SSOT (never wait on Sheets); stale or missing data refreshes meanwhile
+function refreshSsotInBackground(ctx) {
+  if (!ctx.ssot.getCacheFast().ok) ctx.ssot.load(false).catch(() => {});
+}
+
+// wss://<public host>/twilio-media-stream (request host when PUBLIC_BASE_URL is not set)
+function mediaStreamUrl(req) {
+  const origin = getPublicOrigin() || new URL(twilioValidator.requestUrl(req)).origin;
+  return `${origin.replace(/^http/, "ws")}/twilio-media-stream`;
+}
+
+function twimlSay(text) {
+  return { sayText: text, voice: MB_TWIML_SAY_VOICE || null, language: MB_TWIML_SAY_LANGUAGE || null };
+}
+
+function fallbackTexts(ctx) {
+  const settings = ctx.ssot.state.data?.settings || {};
+  const vars = { ...settings, GREETING: getGreetingBucketAndText().text };
+  const script =
+    safeStr(settings.FALLBACK_SCRIPT) ||
+    "{GREETING}, הגעתם ל{BUSINESS_NAME|משרד}. כרגע אין באפשרותנו לענות. השאירו הודעה עם שם ומספר טלפון אחרי הצליל ונחזור אליכם.";
+  const goodbye = safeStr(settings.FALLBACK_GOODBYE) || safeStr(settings.CLOSING_SCRIPT) || "תודה, ההודעה נשמרה. יום טוב.";
+  return { script: injectVars(script, vars), goodbye: injectVars(goodbye, vars) };
+}
+
+// Twilio number "A call comes in" webhook; ?tenant=<id> pins the tenant, otherwise the called number decides
+app.post("/twilio/voice", twilioValidator.middleware, async (req, res) => {
+  const callSid = safeStr(req.body?.CallSid);
+  const caller = safeStr(req.body?.From || req.body?.Caller);
+  const called = safeStr(req.body?.To || req.body?.Called);
+  const { tenant, matched_by } = tenants.resolve({ calledE164: called, tenantParam: req.query?.tenant });
+  const ctx = getTenantContext(tenant.id);
+
+  refreshSsotInBackground(ctx);
+  const fallbackReason = realtimeUnhealthyReason(ctx);
+  res.type("text/xml");
+
+  if (!fallbackReason) {
+    // Recording starts with the call (dual channel, same callback as the REST start, which the stream then skips)
+    const recordingCb = MB_ENABLE_RECORDING && !MB_SERVER_RECORDING ? recordingCallbackUrl() : "";
+    if (MB_DEBUG) console.log("[TWIML] stream", { callSid, tenant: tenant.id, matched_by, recording: !!recordingCb });
+    return res.send(
+      buildStreamTwiml({
+        streamUrl: mediaStreamUrl(req),
+        parameters: {
+          caller,
+          called,
+          tenant: tenant.id,
+          token: streamAuth.tokenFor(callSid),
+          recording: recordingCb ? "twiml" : null,
+        },
+        recording: recordingCb
+          ? {
+              channels: RECORDING_CHANNELS,
+              recordingStatusCallback: recordingCb,
+              recordingStatusCallbackMethod: RECORDING_CALLBACK_METHOD,
+            }
+          : null,
+      })
+    );
+  }
+
+  console.error("[TWIML] fallback", { callSid, tenant: tenant.id, reason: fallbackReason });
+  const { script } = fallbackTexts(ctx);
+  const origin = getPublicOrigin() || new URL(twilioValidator.requestUrl(req)).origin;
+  const actionQs = new URLSearchParams({ tenant: tenant.id, reason: fallbackReason });
+  const action = `${origin}/twilio/voice/fallback-done?${actionQs}`;
+  const cbUrl = recordingCallbackUrl();
+  return res.send(
+    buildFallbackTwiml({
+      ...twimlSay(script),
+      record: {
+        action,
+        maxLength: Math.max(10, MB_FALLBACK_RECORD_MAX_SEC),
+        timeout: 5,
+        recordingStatusCallback: cbUrl || null,
+        recordingStatusCallbackMethod: cbUrl ? RECORDING_CALLBACK_METHOD : null,
+      },
+    })
+  );
+});
+
+// <Record> action of the fallback: voicemail -> tenant CALL_LOG webhook, then goodbye + hangup
+app.post("/twilio/voice/fallback-done", twilioValidator.middleware, async (req, res) => {
+  const ctx = getTenantContext(req.query?.tenant) || getTenantContext(tenants.fallbackId);
+  const callSid = safeStr(req.body?.CallSid);
+  const recordingSid = safeStr(req.body?.RecordingSid);
+  const durationSec = Number(req.body?.RecordingDuration);
+  if (callSid && recordingSid) setRecordingForCall(callSid, { recordingSid, recordingUrl: req.body?.RecordingUrl });
+
+  const base = baseUrlNoSlash(PUBLIC_BASE_URL);
+  const payload = {
+    event_type: "FALLBACK_VOICEMAIL",
+    lead_type: "FALLBACK_VOICEMAIL",
+    provider_mode: "twiml_fallback",
+    fallback_reason: safeStr(req.query?.reason) || null,
+    callSid: callSid || null,
+    call_id: callSid || null,
+    ended_at: nowIso(),
+    caller_id_e164: memory.normalizeE164(req.body?.From || req.body?.Caller) || null,
+    called: memory.normalizeE164(req.body?.To || req.body?.Called) || null,
+    tenant_id: ctx.tenant.id,
+    recording_duration_sec: Number.isFinite(durationSec) ? durationSec : null,
+    recording_provider: "TWILIO",
+    recording_public_url:
+      recordingSid && base ? recordingLinks.sign({ baseUrl: base, recordingSid, callSid }) : null,
+  };
+  if (ctx.tenant.webhooks.call_log) {
+    postJson(ctx.tenant.webhooks.call_log, payload, { tag: "FALLBACK_VOICEMAIL" }).catch(() => {});
+  }
+  if (MB_DEBUG) console.log("[TWIML] fallback voicemail", { callSid, recordingSid: recordingSid || null, durationSec });
+
+  res.type("text/xml");
+  return res.send(buildHangupTwiml(twimlSay(fallbackTexts(ctx).goodbye)));
+});
+
+/* ================== Warm transfer callbacks (see transfer.js) ================== */
+const transfers = createTransferRegistry();
+
+// <Number url>: fetched when the agent answers, before the caller is bridged
+app.post("/twilio/transfer/whisper", twilioValidator.middleware, (req, res) => {
+  const t = transfers.settle(req.query?.call, "TRANSFERRED");
+  if (MB_DEBUG) console.log("[TRANSFER] agent answered", { callSid: req.query?.call || null, whisper: !!t?.whisper });
+  res.type("text/xml");
+  return res.send(buildSayTwiml(twimlSay(t?.whisper || "")));
+});
+
+// <Dial> action: after the bridge ends, or when nobody answered -> voicemail
+app.post("/twilio/transfer/status", twilioValidator.middleware, (req, res) => {
+  const callSid = safeStr(req.query?.call || req.body?.CallSid);
+  const dialStatus = safeStr(req.body?.DialCallStatus).toLowerCase() || null;
+  const t = transfers.get(callSid);
+  const dialDurationSec = Number(req.body?.DialCallDuration) || 0;
+  if (t) transfers.update(callSid, { dial_status: dialStatus, dial_duration_sec: dialDurationSec });
+  if (MB_DEBUG) console.log("[TRANSFER] dial ended", { callSid, dialStatus, decision: t?.decision || null });
+  res.type("text/xml");
+
+  // Bridged (or the caller hung up while it rang): nothing left to do on this call
+  if (!t || t.decision || decisionForDialStatus(dialStatus) === "TRANSFERRED" || dialStatus === "canceled") {
+    transfers.settle(callSid, decisionForDialStatus(dialStatus));
+    return res.send(buildHangupTwiml());
+  }
+
+  const origin = getPublicOrigin() || new URL(twilioValidator.requestUrl(req)).origin;
+  const cbUrl = recordingCallbackUrl();
+  const script = t.no_answer_script || "הנציגים לא זמינים כרגע. השאירו הודעה אחרי הצליל ונחזור אליכם בהקדם.";
+  return res.send(
+    buildFallbackTwiml({
+      ...twimlSay(script),
+      record: {
+        action: `${origin}/twilio/transfer/voicemail?${new URLSearchParams({ call: callSid })}`,
+        maxLength: Math.max(10, MB_FALLBACK_RECORD_MAX_SEC),
+        timeout: 5,
+        recordingStatusCallback: cbUrl || null,
+        recordingStatusCallbackMethod: cbUrl ? RECORDING_CALLBACK_METHOD : null,
+      },
+    })
+  );
+});
+
+// <Record> action after an unanswered transfer
+app.post("/twilio/transfer/voicemail", twilioValidator.middleware, (req, res) => {
+  const callSid = safeStr(req.query?.call || req.body?.CallSid);
+  const recordingSid = safeStr(req.body?.RecordingSid);
+  const durationSec = Number(req.body?.RecordingDuration) || 0;
+  const t = transfers.get(callSid);
+  const left = !!recordingSid && durationSec >= 1;
+  transfers.settle(callSid, left ? "TRANSFER_FALLBACK_MESSAGE" : "TRANSFER_NO_ANSWER", {
+    voicemail_recording_sid: left ? recordingSid : null,
+    voicemail_duration_sec: left ? durationSec : null,
+  });
+  if (MB_DEBUG) console.log("[TRANSFER] voicemail", { callSid, recordingSid: recordingSid || null, durationSec });
+
+  const ctx = getTenantContext(t?.tenant_id) || getTenantContext(tenants.fallbackId);
+  res.type("text/xml");
+  return res.send(buildHangupTwiml(twimlSay(left ? fallbackTexts(ctx).goodbye : "")));
+});
+
+/* ================== Outbound callback dialer (see callbackDialer.js) ================== */
+const callbacks = createCallbackDialer({
+  store: createCallbackStore({ memory, debug: MB_DEBUG }),
+  twilio: {
+    configured: !!(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && getPublicOrigin()),
+    createCall: createTwilioCall,
+  },
+  getTenant: (id) => {
+    const ctx = getTenantContext(id);
+    return ctx ? { settings: ctx.ssot.state.data?.settings || {}, hours: ctx.ssot.getBusinessHours() } : null;
+  },
+  urls: {
+    answer: (qs) => `${getPublicOrigin()}/twilio/outbound?${qs}`,
+    status: (qs) => `${getPublicOrigin()}/twilio/outbound/status?${qs}`,
+  },
+  enabled: MB_CALLBACK_DIALER,
+  tickMs: MB_CALLBACK_TICK_MS,
+  maxConcurrent: MB_CALLBACK_MAX_CONCURRENT,
+  ringTimeoutSec: MB_CALLBACK_RING_TIMEOUT_SEC,
+  timeZone: TIME_ZONE,
+  debug: MB_DEBUG,
+});
+
+// Answer URL of a callback call (after answering machine detection): stream with mode=outbound, or the
+// voicemail script on a machine
+app.post("/twilio/outbound", twilioValidator.middleware, async (req, res) => {
+  const callSid = safeStr(req.body?.CallSid);
+  const answeredBy = safeStr(req.body?.AnsweredBy) || null;
+  const info = await callbacks.onAnswered({ callbackId: req.query?.cb, callSid, answeredBy }).catch(() => null);
+  res.type("text/xml");
+  if (!info) return res.send(buildHangupTwiml());
+
+  const { entry, policy, machine } = info;
+  const ctx = getTenantContext(entry.tenant_id) || getTenantContext(tenants.fallbackId);
+  refreshSsotInBackground(ctx);
+  if (MB_DEBUG) console.log("[CALLBACK] answered", { id: entry.id, callSid, answeredBy });
+
+  if (machine) {
+    const settings = ctx.ssot.state.data?.settings || {};
+    const vars = { ...settings, GREETING: getGreetingBucketAndText().text, CALLER_NAME: entry.name || "" };
+    return res.send(buildHangupTwiml(twimlSay(injectVars(policy.voicemail_script, vars))));
+  }
+
+  const fallbackReason = realtimeUnhealthyReason(ctx);
+  if (fallbackReason) {
+    console.error("[CALLBACK] realtime unavailable", { id: entry.id, callSid, reason: fallbackReason });
+    await callbacks.abortAttempt(callSid, "realtime_unavailable").catch(() => {});
+    return res.send(buildHangupTwiml());
+  }
+
+  return res.send(
+    buildStreamTwiml({
+      streamUrl: mediaStreamUrl(req),
+      parameters: {
+        caller: entry.to_e164,
+        called: entry.from_e164,
+        tenant: ctx.tenant.id,
+        token: streamAuth.tokenFor(callSid),
+        mode: "outbound",
+        callback_id: entry.id,
+      },
+    })
+  );
+});
+
+// StatusCallback of a callback call (completed / busy / no-answer / failed / canceled) -> retry policy
+app.post("/twilio/outbound/status", twilioValidator.middleware, async (req, res) => {
+  const r = await callbacks
+    .onStatus({
+      callbackId: req.query?.cb,
+      callSid: safeStr(req.body?.CallSid),
+      callStatus: req.body?.CallStatus,
+      answeredBy: req.body?.AnsweredBy,
+      durationSec: req.body?.CallDuration,
+    })
+    .catch((e) => {
+      console.error("[CALLBACK] status failed", e && (e.message || String(e)));
+      return null;
+    });
+  if (MB_DEBUG) console.log("[CALLBACK] call ended", { id: req.query?.cb || null, status: req.body?.CallStatus, ...r });
+  return res.status(200).send("OK");
+});
+
+/* ================== SMS confirmation (see smsConfirmation.js) ================== */
+const smsRegistry = createSmsRegistry();
+
+function smsStatusCallbackUrl() {
+  const url = `${getPublicOrigin()}/twilio/sms/status`;
+  return url.startsWith("http") ? url : "";
+}
+
+// Messages StatusCallback; final statuses go to the tenant CALL_LOG webhook as SMS_STATUS
+app.post("/twilio/sms/status", twilioValidator.middleware, (req, res) => {
+  const messageSid = safeStr(req.body?.MessageSid || req.body?.SmsSid);
+  const status = safeStr(req.body?.MessageStatus || req.body?.SmsStatus).toLowerCase();
+  const entry = smsRegistry.update(messageSid, status, req.body?.ErrorCode);
+  if (MB_DEBUG) console.log("[SMS] status", { messageSid, status, errorCode: req.body?.ErrorCode || null });
+
+  const ctx = entry && getTenantContext(entry.tenant_id);
+  if (ctx?.tenant.webhooks.call_log && ["delivered", "undelivered", "failed"].includes(status)) {
+    const payload = {
+      event_type: "SMS_STATUS",
+      callSid: entry.call_sid || null,
+      call_id: entry.call_sid || null,
+      tenant_id: ctx.tenant.id,
+      message_sid: messageSid,
+      to: entry.to,
+      status,
+      error_code: entry.error_code,
+      sent_at: entry.sent_at,
+      updated_at: entry.updated_at,
+    };
+    postJson(ctx.tenant.webhooks.call_log, payload, { tag: "SMS_STATUS" }).catch(() => {});
+  }
+  return res.status(200).send("OK");
+});
+
+// Tenant an incoming SMS belongs to: ?tenant= / called_numbers, else the tenant whose SETTINGS SMS_FROM sends
+// from that number (confirmations may go out from a number that is not one of its called_numbers)
+function resolveSmsTenant(to, tenantParam) {
+  const resolved = tenants.resolve({ calledE164: to, tenantParam });
+  if (resolved.matched_by !== "fallback") return resolved.tenant;
+  const digits = safeStr(to).replace(/\D/g, "");
+  for (const ctx of tenantContexts.values()) {
+    const smsFrom = parseSmsSettings(ctx.ssot.state.data?.settings || {}).from;
+    if (digits && smsFrom && smsFrom.replace(/\D/g, "") === digits) return ctx.tenant;
+  }
+  return resolved.tenant;
+}
+
+// Incoming SMS on the business number: STOP / הסר opts the sender out, START / חידוש back in
+app.post("/twilio/sms/inbound", twilioValidator.middleware, async (req, res) => {
+  const from = memory.normalizeE164(req.body?.From);
+  const tenant = resolveSmsTenant(safeStr(req.body?.To), req.query?.tenant);
+  const ctx = getTenantContext(tenant.id);
+  const keyword = matchOptKeyword(req.body?.Body);
+  res.type("text/xml");
+  if (!from || !keyword) return res.send(buildMessageTwiml());
+
+  const stored = await memory.setSmsOptOut(from, keyword === "out", tenant.memory_namespace);
+  if (!stored) console.error("[SMS] opt-out not stored (memory DB unavailable)", { tenant: tenant.id, from, keyword });
+  else if (MB_DEBUG) console.log("[SMS] opt " + keyword, { tenant: tenant.id, from });
+  const cfg = parseSmsSettings(ctx.ssot.state.data?.settings || {});
+  const reply =
+    keyword === "out"
+      ? cfg.opt_out_reply || "הוסרת מרשימת ההודעות ולא תקבל/י מאיתנו הודעות SMS נוספות. לחידוש שלחו START."
+      : "ההודעות חודשו.";
+  return res.send(buildMessageTwiml({ body: reply }));
+});
+
+// Byte-range headers for a recording stream; res already has content-type / cache-control
+function sendRecordingRange(req, res, size) {
+  res.setHeader("accept-ranges", "bytes");
+  const range = parseRange(req.headers.range, size);
+  if (range && range.invalid) {
+    res.setHeader("content-range", `bytes */${size}`);
+    res.status(416).end();
+    return { done: true };
+  }
+  if (range) {
+    res.status(206);
+    res.setHeader("content-range", `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader("content-length", String(range.end - range.start + 1));
+  } else {
+    res.status(200);
+    res.setHeader("content-length", String(size));
+  }
+  return { done: false, range };
+}
+
+function pipeRecording(stream, res) {
+  stream.on("error", (e) => {
+    console.error("[RECORDING_PROXY] stream failed", e && (e.message || e));
+    res.destroy();
+  });
+  stream.pipe(res);
+}
+
+// Public proxy for Twilio recordings (keeps Twilio creds private); only signed, unexpired links
 app.get("/recordings/:recordingSid.mp3", async (req, res) => {
   const recordingSid = String(req.params.recordingSid || "").trim();
   const auth = twilioAuthHeader();
@@ -920,45 +1713,145 @@ app.get("/recordings/:recordingSid.mp3", async (req, res) => {
   if (!recordingSid) return res.status(400).send("missing recordingSid");
   if (!auth) return res.status(500).send("recording proxy not configured");
 
-  const mediaUrl = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(
+  const link = recordingLinks.verify({ recordingSid, query: req.query });
+  if (!link.ok) {
+    if (MB_DEBUG) console.log("[RECORDING_PROXY] rejected", { recordingSid, reason: link.reason });
+    return res.status(link.reason === "expired" ? 410 : 403).send(`recording link ${link.reason}`);
+  }
+
+  const mediaUrl = `${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${encodeURIComponent(
     TWILIO_ACCOUNT_SID
   )}/Recordings/${encodeURIComponent(recordingSid)}.mp3`;
 
   try {
-    const r = await fetch(mediaUrl, { headers: { Authorization: auth } });
-    if (!r.ok) return res.status(404).send("recording not found");
+    if (link.callSid) {
+      const owner = await fetchRecordingCallSid(recordingSid);
+      if (owner !== link.callSid) return res.status(403).send("recording link bad_call");
+    }
 
-    res.setHeader("content-type", "audio/mpeg");
-    res.setHeader("cache-control", "public, max-age=31536000, immutable");
+    // Range passes through to Twilio; the body is streamed, never buffered
+    const headers = { Authorization: auth };
+    if (req.headers.range) headers.Range = req.headers.range;
+    const r = await fetch(mediaUrl, { headers });
+    if (r.status === 416) return res.status(416).end();
+    if (!r.ok || !r.body) return res.status(404).send("recording not found");
 
-    // Stream
-    const buf = Buffer.from(await r.arrayBuffer());
-    return res.status(200).send(buf);
+    res.status(r.status);
+    res.setHeader("content-type", "audio/mpeg");
+    // Never outlive the link (no shared caches)
+    res.setHeader("cache-control", `private, max-age=${Math.min(link.expiresInSec, 3600)}`);
+    for (const h of ["content-length", "content-range", "accept-ranges"]) {
+      if (r.headers.get(h)) res.setHeader(h, r.headers.get(h));
+    }
+    return pipeRecording(Readable.fromWeb(r.body), res);
   } catch (e) {
     return res.status(502).send("recording fetch failed");
   }
 });
 
+// Server-side recordings (MB_SERVER_RECORDING): id = CallSid, file from recordingStorage
+app.get("/recordings/:callSid.wav", async (req, res) => {
+  const callSid = String(req.params.callSid || "").trim();
+  if (!callSid) return res.status(400).send("missing callSid");
+  if (!recordingStorage) return res.status(404).send("server recording disabled");
+
+  const link = recordingLinks.verify({ recordingSid: callSid, query: req.query });
+  if (!link.ok || (link.callSid && link.callSid !== callSid)) {
+    const reason = link.ok ? "bad_call" : link.reason;
+    if (MB_DEBUG) console.log("[RECORDING_PROXY] rejected", { callSid, reason });
+    return res.status(link.reason === "expired" ? 410 : 403).send(`recording link ${reason}`);
+  }
+
+  try {
+    const key = `${callSid}.wav`;
+    const stat = await recordingStorage.stat(key);
+    if (!stat) return res.status(404).send("recording not found");
+    res.setHeader("content-type", "audio/wav");
+    res.setHeader("cache-control", `private, max-age=${Math.min(link.expiresInSec, 3600)}`);
+    const { done, range } = sendRecordingRange(req, res, stat.size);
+    if (done) return;
+    return pipeRecording(await recordingStorage.open(key, range), res);
+  } catch (e) {
+    console.error("[RECORDING_PROXY] storage failed", e && (e.message || e));
+    if (!res.headersSent) return res.status(502).send("recording fetch failed");
+    return res.destroy();
+  }
+});
+
+function summarizeTenantSsot(ctx) {
+  const { ssot: rt, intentSuggestions } = ctx;
+  const ssot = rt.state;
+  return {
+    enabled: ssot.enabled,
+    source: ssot.source,
+    version: ssot.version,
+    serving_from: ssot.serving_from,
+    pinned_version: ssot.pinned_version,
+    snapshot: rt.store.state,
+    loaded_at: ssot.loaded_at,
+    error: ssot.error,
+    settings_keys: Object.keys(ssot.data.settings || {}).length,
+    prompts_keys: Object.keys(ssot.data.prompts || {}).length,
+    missing_settings_keys: ssot.missing_settings_keys || [],
+    missing_prompt_keys: ssot.missing_prompt_keys || [],
+    intents: ssot.data.intents.length,
+    intent_suggestions: ssot.data.intent_suggestions.length,
+    intent_rules: rt.getIntentRouter().size,
+    intent_errors: rt.getIntentRouter().errors,
+    intent_suggestions_sink: intentSuggestions.state,
+    business_hours: summarizeBusinessHours(rt),
+    kb_rows: rt.getKnowledgeBase().size,
+    kb_errors: rt.getKnowledgeBase().errors,
+    keypad: rt.getKeypadMenu().summarize(),
+    keypad_errors: rt.getKeypadMenu().errors,
+    prompt_experiments: rt.getPromptExperiments().summarize(),
+    transfer_configured: !!parseTransferSettings(ssot.data.settings).number,
+  };
+}
+
+function summarizeBusinessHours(rt) {
+  const hours = rt.getBusinessHours();
+  if (!hours.enabled) return { enabled: false, errors: hours.errors };
+  const now = hours.evaluate(new Date());
+  return {
+    enabled: true,
+    is_open_now: now.is_open,
+    status: now.status,
+    local_time: now.local_time,
+    today_hours: now.today_hours,
+    next_opening: now.next_opening,
+    holiday: now.holiday,
+    errors: hours.errors,
+  };
+}
+
 app.get("/health", async (req, res) => {
-  await loadSSOT(false);
+  await Promise.all(Array.from(tenantContexts.values()).map((ctx) => ctx.ssot.load(false)));
   await memory.init();
 
+  const fallback = getTenantContext(tenants.fallbackId);
   res.json({
     ok: true,
     service: "index-betty-voicebot",
     ts: nowIso(),
     provider_mode: "openai",
-    ssot: {
-      enabled: ssot.enabled,
-      loaded_at: ssot.loaded_at,
-      error: ssot.error,
-      settings_keys: Object.keys(ssot.data.settings || {}).length,
-      prompts_keys: Object.keys(ssot.data.prompts || {}).length,
-      missing_settings_keys: ssot.missing_settings_keys || [],
-      missing_prompt_keys: ssot.missing_prompt_keys || [],
-      intents: ssot.data.intents.length,
-      intent_suggestions: ssot.data.intent_suggestions.length,
-    },
+    // Fallback tenant (single-tenant deployments: the only one)
+    ssot: summarizeTenantSsot(fallback),
+    tenants: Array.from(tenantContexts.values()).map((ctx) => ({
+      id: ctx.tenant.id,
+      name: ctx.tenant.name,
+      fallback: ctx.tenant.id === tenants.fallbackId,
+      called_numbers: ctx.tenant.called_numbers,
+      voice: ctx.tenant.voice,
+      memory_namespace: ctx.tenant.memory_namespace || null,
+      webhooks: {
+        call_log: !!ctx.tenant.webhooks.call_log,
+        final: !!ctx.tenant.webhooks.final,
+        abandoned: !!ctx.tenant.webhooks.abandoned,
+      },
+      ok: !ctx.ssot.state.enabled || (ctx.ssot.hasCompleteData() && !ctx.ssot.state.error),
+      ssot: summarizeTenantSsot(ctx),
+    })),
     memory_db: {
       enabled: memory.state.enabled,
       ready: memory.state.ready,
@@ -966,18 +1859,86 @@ app.get("/health", async (req, res) => {
       last_ok_at: memory.state.last_ok_at,
     },
     model: OPENAI_REALTIME_MODEL,
+    server_recording: {
+      enabled: MB_SERVER_RECORDING,
+      max_sec: MB_RECORDING_MAX_SEC,
+      storage: recordingStorage ? recordingStorage.describe() : null,
+    },
     recordings_proxy: {
       enabled: !!(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && PUBLIC_BASE_URL),
       public_base_url: baseUrlNoSlash(PUBLIC_BASE_URL) || null,
       v2_recording_enabled: MB_ENABLE_RECORDING,
       v2_callback_endpoint: `${getPublicOrigin()}/twilio-recording-callback` || null,
+      signed_links: recordingLinks.state,
     },
-    noise_options: {
-      half_duplex: MB_HALF_DUPLEX,
-      bargein_enabled: MB_BARGEIN_ENABLED,
-      bargein_min_ms: MB_BARGEIN_MIN_MS,
-      bargein_cooldown_ms: MB_BARGEIN_COOLDOWN_MS,
-      bargein_audio_drop_ms: MB_BARGEIN_AUDIO_DROP_MS,
+    admin_auth: adminAuth.state,
+    twilio_security: {
+      request_validation: twilioValidator.state,
+      stream_auth: streamAuth.state,
+    },
+    voice_webhook: {
+      endpoint: `${getPublicOrigin()}/twilio/voice` || null,
+      fallback_reason: realtimeUnhealthyReason(fallback),
+      realtime: realtimeHealth,
+    },
+    realtime_reconnect: {
+      enabled: MB_OPENAI_RECONNECT,
+      max_attempts: MB_OPENAI_RECONNECT_MAX,
+      base_ms: MB_OPENAI_RECONNECT_BASE_MS,
+      max_ms: MB_OPENAI_RECONNECT_MAX_MS,
+      ...realtimeReconnectStats,
+    },
+    warm_transfer: {
+      enabled: MB_TRANSFER_ENABLED,
+      model_tool: MB_TRANSFER_MODEL_TOOL,
+      dial_timeout_sec: MB_TRANSFER_DIAL_TIMEOUT_SEC,
+      tracked_calls: transfers.size(),
+    },
+    bot_hangup: {
+      enabled: MB_BOT_HANGUP,
+      retries: MB_HANGUP_RETRIES,
+      retry_backoff_ms: MB_HANGUP_RETRY_BACKOFF_MS,
+    },
+    sms_confirmation: {
+      enabled: MB_SMS_CONFIRMATION,
+      status_callback: smsStatusCallbackUrl() || null,
+      ...smsRegistry.summarize(),
+    },
+    filler: {
+      ...parseFillerSettings({}, { mode: MB_FILLER_MODE, after_ms: MB_FILLER_AFTER_MS }),
+      first_audio: firstAudioStats.summarize(),
+    },
+    phrase_cache: {
+      enabled: MB_PHRASE_CACHE,
+      ...phraseCache.summarize(),
+    },
+    callback_dialer: {
+      ...callbacks.summarize(),
+      tick_ms: MB_CALLBACK_TICK_MS,
+      max_concurrent: MB_CALLBACK_MAX_CONCURRENT,
+    },
+    dtmf: {
+      enabled: MB_DTMF_ENABLED,
+      digit_timeout_ms: MB_DTMF_DIGIT_TIMEOUT_MS,
+    },
+    noise_options: {
+      half_duplex: MB_HALF_DUPLEX,
+      bargein_enabled: MB_BARGEIN_ENABLED,
+      bargein_min_ms: MB_BARGEIN_MIN_MS,
+      bargein_cooldown_ms: MB_BARGEIN_COOLDOWN_MS,
+      bargein_audio_drop_ms: MB_BARGEIN_AUDIO_DROP_MS,
+      playback_marks: MB_PLAYBACK_MARKS,
+      playback_mark_grace_ms: MB_PLAYBACK_MARK_GRACE_MS,
+      noise_gate: audioSettingsFor({}).gate,
+      echo_suppression: {
+        enabled: MB_ECHO_SUPPRESSION && !MB_HALF_DUPLEX,
+        threshold: MB_ECHO_THRESHOLD,
+        max_delay_ms: MB_ECHO_MAX_DELAY_MS,
+      },
+    },
+    silence: {
+      reprompt_ms: MB_SILENCE_REPROMPT_MS,
+      hangup_ms: MB_SILENCE_HANGUP_MS,
     },
     transcription: {
       enabled: !!MB_TRANSCRIPTION_MODEL,
@@ -992,45 +1953,169 @@ app.get("/health", async (req, res) => {
   });
 });
 
+function isTruthyParam(v) {
+  return /^(1|true|yes|on)$/i.test(String(v ?? "").trim());
+}
+
+// Admin SSOT routes act on ?tenant=<id> (or body.tenant); default = fallback tenant
+function adminTenant(req, res) {
+  const id = safeStr(req.query?.tenant || req.body?.tenant || tenants.fallbackId);
+  const ctx = getTenantContext(id);
+  if (!ctx) res.status(404).json({ ok: false, error: "tenant_not_found", tenant: id });
+  return ctx;
+}
+
+// ?dry_run=1 -> validate + diff without activating; ?force=1 -> activate even if validation fails
 app.post("/admin/reload-sheets", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const rt = ctx.ssot;
   const started = nowIso();
-  await loadSSOT(true);
-
-  const settings_keys = Object.keys(ssot.data.settings || {}).length;
-  const prompt_ids = Object.keys(ssot.data.prompts || {});
-  const intents = ssot.data.intents?.length || 0;
-  const intent_suggestions = ssot.data.intent_suggestions?.length || 0;
-  const missing_settings_keys = ssot.missing_settings_keys || [];
-  const missing_prompt_keys = ssot.missing_prompt_keys || [];
-
-  if (ssot.error) {
-    return res.status(500).json({
-      ok: false,
-      reloaded_at: started,
-      sheets_loaded_at: ssot.loaded_at,
-      error: ssot.error,
-      settings_keys,
-      prompt_ids,
-      missing_settings_keys,
-      missing_prompt_keys,
-      intents,
-      intent_suggestions,
-    });
+  if (!rt.state.enabled) {
+    return res
+      .status(500)
+      .json({ ok: false, tenant: ctx.tenant.id, reloaded_at: started, error: "ssot_disabled", ...rt.summarize() });
   }
 
+  const dryRun = isTruthyParam(req.query?.dry_run ?? req.body?.dry_run);
+  const force = isTruthyParam(req.query?.force ?? req.body?.force);
+  const r = await rt.reload({ dryRun, force });
+
+  const status = r.reason === "load_failed" ? 500 : r.reason === "validation_failed" ? 422 : 200;
+  return res.status(status).json({
+    ok: r.ok,
+    tenant: ctx.tenant.id,
+    reloaded_at: started,
+    dry_run: dryRun,
+    activated: r.activated,
+    reason: r.reason,
+    candidate_version: r.version,
+    previous_version: r.previous_version,
+    error: r.error || (r.ok ? null : rt.state.error),
+    validation: r.validation,
+    diff: r.diff,
+    ...rt.summarize(),
+  });
+});
+
+app.get("/admin/ssot/versions", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const ssot = ctx.ssot.state;
+  const versions = await ctx.ssot.store.listVersions();
   return res.json({
     ok: true,
-    reloaded_at: started,
-    sheets_loaded_at: ssot.loaded_at,
-    settings_keys,
-    prompt_ids,
-    missing_settings_keys,
-    missing_prompt_keys,
-    intents,
-    intent_suggestions,
+    tenant: ctx.tenant.id,
+    active_version: ssot.version,
+    pinned_version: ssot.pinned_version,
+    versions: versions.map((v) => ({ ...v, active: v.version === ssot.version })),
+  });
+});
+
+app.get("/admin/ssot/diff", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const { store, state: ssot } = ctx.ssot;
+  const from = await store.getVersion(req.query?.from || ssot.version);
+  const to = await store.getVersion(req.query?.to || ssot.version);
+  if (!from || !to) return res.status(404).json({ ok: false, error: "version_not_found" });
+  return res.json({
+    ok: true,
+    tenant: ctx.tenant.id,
+    from: from.version,
+    to: to.version,
+    diff: diffSsot(from.data, to.data),
+  });
+});
+
+// Pin the active version (or body.version) so reloads stop replacing it
+app.post("/admin/ssot/pin", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const rt = ctx.ssot;
+  const version = safeStr(req.body?.version || req.query?.version || rt.state.version);
+  if (!version) return res.status(409).json({ ok: false, error: "nothing_to_pin" });
+  if (version === rt.state.version) {
+    await rt.pinActive();
+    return res.json({ ok: true, tenant: ctx.tenant.id, version, pinned_version: version });
+  }
+  const r = await rt.activateStoredVersion(version, { pin: true });
+  return res.status(r.ok ? 200 : 404).json({ tenant: ctx.tenant.id, ...r });
+});
+
+app.post("/admin/ssot/unpin", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const rt = ctx.ssot;
+  const was = await rt.unpin();
+  const r = rt.state.enabled ? await rt.reload() : null;
+  return res.json({ ok: true, tenant: ctx.tenant.id, unpinned_version: was, reload: r, ...rt.summarize() });
+});
+
+// Roll back to body.version, or to the most recently activated version before the current one
+app.post("/admin/ssot/rollback", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const rt = ctx.ssot;
+  let version = safeStr(req.body?.version || req.query?.version || "");
+  if (!version) {
+    const versions = await rt.store.listVersions();
+    const prev = versions.find((v) => v.version !== rt.state.version && v.activated_at && v.valid);
+    version = prev ? prev.version : "";
+  }
+  if (!version) return res.status(404).json({ ok: false, error: "no_previous_version" });
+
+  const pin = req.body?.pin === undefined && req.query?.pin === undefined ? true : isTruthyParam(req.body?.pin ?? req.query?.pin);
+  const r = await rt.activateStoredVersion(version, { pin });
+  return res.status(r.ok ? 200 : 404).json({ tenant: ctx.tenant.id, ...r });
+});
+
+// FINAL / PARTIAL / ABANDONED rates per prompt variant; ?days=N limits to recent calls
+app.get("/admin/prompt-variants", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const days = Number(req.query?.days);
+  const sinceIso = Number.isFinite(days) && days > 0 ? new Date(Date.now() - days * 86_400_000).toISOString() : null;
+  const stats = await promptVariantStats.report({ tenantId: ctx.tenant.id, sinceIso });
+  return res.json({
+    ok: true,
+    tenant: ctx.tenant.id,
+    since: sinceIso,
+    experiments: ctx.ssot.getPromptExperiments().summarize(),
+    stats_from: stats.from,
+    stats: stats.experiments,
   });
 });
 
+// Callback queue of a tenant with its attempts (newest first); ?limit=N
+app.get("/admin/callbacks", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const limit = Math.min(500, Math.max(1, Number(req.query?.limit) || 50));
+  const entries = await callbacks.list({ tenantId: ctx.tenant.id, limit });
+  return res.json({ ok: true, tenant: ctx.tenant.id, dialer: callbacks.summarize(), entries });
+});
+
+// Cached fixed-line audio of a tenant (meta only)
+app.get("/admin/phrase-cache", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const entries = phraseCache.list({ tenantId: ctx.tenant.id });
+  return res.json({ ok: true, tenant: ctx.tenant.id, cache: phraseCache.summarize(), entries });
+});
+
+// Drop a tenant's cached lines; ?phase=OPENING,CLOSING limits it (re-rendered on the next call)
+app.post("/admin/phrase-cache/invalidate", async (req, res) => {
+  const ctx = adminTenant(req, res);
+  if (!ctx) return;
+  const phases = safeStr(req.query?.phase ?? req.body?.phase)
+    .split(",")
+    .map((p) => p.trim().toUpperCase())
+    .filter(Boolean);
+  const removed = phraseCache.invalidate(ctx.tenant.id, phases.length ? phases : null);
+  return res.json({ ok: true, tenant: ctx.tenant.id, phases: phases.length ? phases : null, removed });
+});
+
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server, path: "/twilio-media-stream" });
 
@@ -1042,6 +2127,31 @@ wss.on("connection", (twilioWs) => {
   let callSid = null;
   let callerE164 = null;
   let calledE164 = null;
+  // "outbound" = callback placed by the dialer (customParameter mode); callbackId = its callback_queue row
+  let callMode = "inbound";
+  let callbackId = null;
+
+  // Tenant is resolved on Twilio "start" (called number / customParameter); fallback until then
+  let tenantCtx = getTenantContext(tenants.fallbackId);
+  let tenantMatchedBy = null;
+
+  // Unauthenticated streams are dropped before any OpenAI session / webhook
+  let streamRejected = false;
+  const streamStartTimer = setTimeout(
+    () => rejectStream("no_start_event"),
+    Math.max(1000, MB_STREAM_START_TIMEOUT_MS)
+  );
+
+  function rejectStream(reason, extra = {}) {
+    if (streamRejected || twilioStartAt) return;
+    streamRejected = true;
+    clearTimeout(streamStartTimer);
+    turnSeq += 1;
+    logTurn({ t: nowIso(), seq: turnSeq, kind: "STREAM_REJECTED", reason, callSid, streamSid, ...extra });
+    try {
+      twilioWs.close(1008, reason);
+    } catch {}
+  }
 
   const connT0 = Date.now();
   const connStartedAtMs = connT0;
@@ -1049,6 +2159,12 @@ wss.on("connection", (twilioWs) => {
 
   let openaiReady = false;
   let sessionConfigured = false;
+  // Realtime reconnect: session.update of the first connection, replayed after a drop
+  let resumeSession = null;
+  let reconnectTimer = null;
+  let reconnectTries = 0; // since the last drop
+  let reconnectLostAt = null;
+  const reconnect = { drops: 0, attempts: 0, resumed: 0, gave_up: false };
   let pendingCreate = false;
   let responseInFlight = false;
   let lastResponseCreateAt = 0;
@@ -1063,6 +2179,39 @@ wss.on("connection", (twilioWs) => {
   let bargeinTimer = null;
   let dropAudioUntilTs = 0;
 
+  // Twilio playback (MB_PLAYBACK_MARKS): assistantSpeaking stays true until the last audio mark is echoed
+  const playback = createPlaybackTracker();
+  let playbackTimer = null; // lost-mark fallback
+  let cutAudioItemId = null; // item cut by barge-in; its late deltas are not forwarded
+  // Fixed line the model is rendering: { text, phase, response_id, chunks, transcript } -> phrase cache
+  let phraseCapture = null;
+  // Fixed lines rendered without per-call variables (no CALLER_NAME) – the only ones the phrase cache sees
+  const phraseLines = new Set();
+
+  // Local noise gate on caller audio; created on "start" with the tenant's SETTINGS
+  let audioGate = null;
+  let audioGateLogged = false;
+  // Echo of the bot's own audio on the caller's track (speakerphone); half duplex drops that audio anyway
+  const echo =
+    MB_ECHO_SUPPRESSION && !MB_HALF_DUPLEX
+      ? createEchoSuppressor({ threshold: MB_ECHO_THRESHOLD, maxDelayMs: MB_ECHO_MAX_DELAY_MS })
+      : null;
+
+  // Idle caller: silence counts while nobody talks (bot done playing, caller quiet) since the caller last spoke
+  let silenceCfg = null; // { reprompt_ms, hangup_ms, reprompt_text, closing_text }, set with the session
+  let silenceTimer = null;
+  let silenceSince = null; // current idle stretch started
+  let silenceMs = 0; // idle time before the current stretch
+  let silenceReprompts = 0;
+  let abandonReason = null; // "silence" (payload abandon_reason)
+
+  // Filler cue: from response.create until the first audio delta of that response
+  let fillerCfg = parseFillerSettings({}, { mode: MB_FILLER_MODE, after_ms: MB_FILLER_AFTER_MS });
+  let fillerTimer = null;
+  let fillerUntil = 0; // cue still playing on Twilio until then
+  let firstAudioWait = null; // { create_id, created_at, speech_stopped_at, filler }
+  let speechStoppedAt = null;
+
   // Audio queue
   const audioQueue = [];
   const MAX_QUEUE_FRAMES = 400;
@@ -1109,6 +2258,9 @@ wss.on("connection", (twilioWs) => {
   let callEnding = false;
   let callEnded = false;
   let closingResponsePending = false;
+  let hangupBy = null; // "bot" | "caller" | "error" (payload hangup_by)
+  let smsConfirmation = null; // { status: queued / skipped / failed, reason, to, message_sid } (payload)
+  let hangupPromise = null; // bot REST hangup in progress / done
   let responseCancelSent = false;
 
   // INFO tracking (locked)
@@ -1120,10 +2272,44 @@ wss.on("connection", (twilioWs) => {
   let infoAnswerText = "";
   let infoAnswerCharsMax = 1200;
 
+  // Intent router tracking (per call)
+  const intentHits = new Map(); // intent -> { intent, priority, count, last_trigger }
+  let primaryIntent = null;
+  let lastIntentRouteKey = "";
+
+  // KB retrieval (per turn)
+  let kbActive = false; // tenant KB has rows (decided when the session is configured)
+  let kbWait = null; // { timer, reason } while a speech_stopped turn waits for its final transcript
+  let kbItemId = null; // injected KB_CONTEXT item; replaced every turn so context does not pile up
+  let kbItemSeq = 0;
+  let kbTurnIds = null; // kb_ids injected for the next response.create
+  const kbRowsUsed = new Map(); // kb_id -> turns used
+
+  // Prompt A/B variants assigned at call start: { MASTER_PROMPT: "B", ... } or null
+  let promptVariants = null;
+
+  // Warm transfer: { trigger, detail, status: "announcing" | "dialing" | "unavailable", reason, cfg, ... }
+  let transferState = null;
+  let transferTimer = null;
+  const TRANSFER_MARK = "transfer_announcement";
+
+  // DTMF keypad: digits of a callback number are buffered; other keys run their KEYPAD action
+  let dtmfDigits = ""; // every key pressed on this call (payload dtmf_digits)
+  const dtmfNumber = createDigitBuffer({
+    timeoutMs: MB_DTMF_DIGIT_TIMEOUT_MS,
+    maxDigits: 10,
+    onComplete: (digits, reason) => onKeypadNumber(digits, reason),
+  });
+
   // Recording tracking
   let recordingSid = null;
   let recordingPublicUrl = null;
   let recordingResolved = false;
+  // Server-side recording (MB_SERVER_RECORDING): created on "start"; saved once the media stream is over
+  let recorder = null;
+  let recordingSave = null;
+  let streamOver = null;
+  const streamOverP = new Promise((resolve) => (streamOver = resolve));
 
   // Additive LLM parsing tracking
   let parsedLeadCollection = null;
@@ -1134,11 +2320,13 @@ wss.on("connection", (twilioWs) => {
   const callStartedAtIso = nowIso();
   let callEndedAtIso = null;
   let greetingBucket = getGreetingBucketAndText().bucket;
+  let hoursAtCallStart = null; // business-hours evaluation (set when the OpenAI session is configured)
 
   let sentCallLog = false;
   let sentFinal = false;
   let sentAbandoned = false;
   let sentPartial = false;
+  let sentTransfer = false;
   let enrichedFromLlm = false;
   let filteredTranscriptionDuringSpeechCount = 0;
   let clearedInputOnThisResponse = false;
@@ -1209,6 +2397,7 @@ wss.on("connection", (twilioWs) => {
       create_id: lastAsstCreateId,
       reason: reason || null,
       note: "default_response.create_no_custom_instructions",
+      kb_ids: kbTurnIds && kbTurnIds.length ? kbTurnIds : null,
       callSid,
       streamSid,
       caller: callerE164,
@@ -1217,9 +2406,11 @@ wss.on("connection", (twilioWs) => {
     });
 
     safeSend(openaiWs, { type: "response.create" });
+    kbTurnIds = null;
     pendingCreate = false;
     responseInFlight = true;
     clearedInputOnThisResponse = false;
+    armFiller();
     if (MB_DEBUG) {
       console.log("[TURN] response.create", {
         reason: reason || "speech_stopped",
@@ -1228,6 +2419,84 @@ wss.on("connection", (twilioWs) => {
     }
   }
 
+  // KB: wait (bounded by MB_KB_WAIT_MS) for this turn's final transcript, inject the top KB rows, then respond.
+  // Without a KB the turn goes straight to maybeCreateResponse as before.
+  function createResponseWithKb(openaiWs, reason) {
+    if (!kbActive) {
+      maybeCreateResponse(openaiWs, reason);
+      return;
+    }
+    if (kbWait) clearTimeout(kbWait.timer);
+    kbWait = {
+      reason,
+      timer: setTimeout(() => finishKbWait(null), Math.max(0, MB_KB_WAIT_MS)),
+    };
+  }
+
+  function finishKbWait(text) {
+    if (!kbWait) return;
+    clearTimeout(kbWait.timer);
+    const { reason } = kbWait;
+    kbWait = null;
+    if (callEnding || callEnded) return;
+    if (text) injectKbContext(openaiWs, text);
+    else if (MB_DEBUG) console.log("[KB] transcript wait timed out", { wait_ms: MB_KB_WAIT_MS });
+    maybeCreateResponse(openaiWs, reason);
+  }
+
+  function buildKbContextText(results) {
+    const header =
+      "KB_CONTEXT – מידע ממאגר הידע שרלוונטי לשאלה האחרונה של הלקוח. השתמשי בו רק אם הוא עונה על השאלה; אל תקריאי אותו אם לא נשאלת.";
+    let out = header;
+    for (const r of results) {
+      const head = [r.title, r.question].filter(Boolean).join(" / ");
+      const block = `\n\n[${r.kb_id}]${head ? ` ${head}` : ""}\n${r.answer}`;
+      if (out.length + block.length > MB_KB_MAX_CHARS && out !== header) break;
+      out += block;
+    }
+    return clip(out, MB_KB_MAX_CHARS);
+  }
+
+  function injectKbContext(openaiWs, text) {
+    const results = tenantCtx.ssot
+      .getKnowledgeBase()
+      .search(text, { limit: MB_KB_TOP_K, minScore: MB_KB_MIN_SCORE });
+
+    if (kbItemId) {
+      safeSend(openaiWs, { type: "conversation.item.delete", item_id: kbItemId });
+      kbItemId = null;
+    }
+    kbTurnIds = results.map((r) => r.kb_id);
+
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "KB_RETRIEVAL",
+      query: clip(oneLine(text), MB_LOG_TURNS_MAX_CHARS),
+      results: results.length
+        ? results.map((r) => ({ kb_id: r.kb_id, score: r.score, matched_terms: r.matched_terms }))
+        : null,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    if (!results.length) return;
+
+    kbItemSeq += 1;
+    kbItemId = `kb_${connT0.toString(36)}_${kbItemSeq}`;
+    safeSend(openaiWs, {
+      type: "conversation.item.create",
+      item: {
+        id: kbItemId,
+        type: "message",
+        role: "system",
+        content: [{ type: "input_text", text: buildKbContextText(results) }],
+      },
+    });
+    for (const r of results) kbRowsUsed.set(r.kb_id, (kbRowsUsed.get(r.kb_id) || 0) + 1);
+  }
+
   function sendFixedResponse(openaiWs, text, reason, phase) {
     if (responseInFlight || callEnding || callEnded) return false;
     if (MB_HALF_DUPLEX && assistantSpeaking) return false;
@@ -1255,6 +2524,8 @@ wss.on("connection", (twilioWs) => {
 
     if (MB_HALF_DUPLEX && assistantSpeaking) return;
 
+    if (playCachedPhrase(openaiWs, text, phase)) return true;
+
     safeSend(openaiWs, {
       type: "response.create",
       response: {
@@ -1266,6 +2537,7 @@ wss.on("connection", (twilioWs) => {
 
     responseInFlight = true;
     clearedInputOnThisResponse = false;
+    startPhraseCapture(text, phase);
     if (MB_DEBUG) {
       console.log("[TURN] response.create", {
         reason: reason || "fixed_response",
@@ -1278,8 +2550,15 @@ wss.on("connection", (twilioWs) => {
   function finalizeCallAfterClosing(reason, openaiWs, twilioWs) {
     if (callEnded) return;
     callEnded = true;
+    clearTimeout(transferTimer);
+    clearTimeout(playbackTimer);
+    clearTimeout(silenceTimer);
+    clearTimeout(fillerTimer);
+    clearTimeout(reconnectTimer);
+    dtmfNumber.clear();
     callEndedAtIso = callEndedAtIso || nowIso();
     if (MB_DEBUG) console.log("[CALL_END] finalize", { reason });
+    streamOver(reason);
 
     try {
       if (openaiWs && openaiWs.readyState === WebSocket.OPEN) openaiWs.close(1000, reason || "call_end");
@@ -1287,12 +2566,47 @@ wss.on("connection", (twilioWs) => {
     try {
       if (twilioWs && twilioWs.readyState === WebSocket.OPEN) twilioWs.close();
     } catch {}
+
+    // Closing the stream alone may leave the call running (whatever TwiML follows <Connect>);
+    // not needed when Twilio itself ended the stream (caller hung up during the closing line)
+    const twilioEnded = /^twilio_/.test(String(reason || ""));
+    if (hangupBy === "bot" && MB_BOT_HANGUP && callSid && !twilioEnded) hangupPromise = hangUpCall(reason);
   }
 
-  function beginCallEnding(reason, openaiWs, twilioWs, { sendClosing = true } = {}) {
+  async function hangUpCall(reason) {
+    const result = await completeTwilioCall(callSid);
+    if (!result.ok && result.error !== "not_configured") hangupBy = "error";
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "HANGUP",
+      reason: reason || null,
+      ok: result.ok,
+      status: result.status,
+      attempts: result.attempts,
+      error: result.error,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    if (!result.ok) console.error("[HANGUP] call not completed", { callSid, ...result });
+    return result;
+  }
+
+  // closingLine: instead of SETTINGS CLOSING_SCRIPT (e.g. the silence closing)
+  function beginCallEnding(reason, openaiWs, twilioWs, { sendClosing = true, closingLine: closingText = null } = {}) {
     if (callEnding || callEnded) return;
     callEnding = true;
+    clearTimeout(silenceTimer);
+    stopFiller();
     callEndedAtIso = callEndedAtIso || nowIso();
+    // First ending wins; a redirected transfer ends the stream without anyone hanging up
+    if (!hangupBy && !(transferState && transferState.status === "dialing")) {
+      if (reason === "twilio_error" || reason === "openai_unavailable") hangupBy = "error";
+      else if (reason === "twilio_stop" || reason === "twilio_close") hangupBy = "caller";
+      else hangupBy = "bot";
+    }
 
     if (!responseCancelSent && openaiWs && openaiWs.readyState === WebSocket.OPEN) {
       responseCancelSent = true;
@@ -1309,7 +2623,13 @@ wss.on("connection", (twilioWs) => {
 
     if (MB_HALF_DUPLEX && assistantSpeaking) return;
 
-    const closingLine = getClosingLineFromSsot();
+    const closingSettings = tenantCtx.ssot.state.data?.settings || {};
+    const closingLine =
+      closingText ||
+      getClosingLineFromSsot(closingSettings, {
+        CALLER_NAME: capturedName || "",
+      });
+    if (!closingText) notePhraseLine(closingLine, closingSettings.CLOSING_SCRIPT, closingSettings);
     if (!closingLine || !openaiWs || openaiWs.readyState !== WebSocket.OPEN) {
       finalizeCallAfterClosing(reason, openaiWs, twilioWs);
       return;
@@ -1332,6 +2652,9 @@ wss.on("connection", (twilioWs) => {
     });
 
     clearOpenAIInputAudioBuffer(openaiWs);
+    closingResponsePending = true;
+    if (playCachedPhrase(openaiWs, closingLine, "CLOSING")) return;
+
     safeSend(openaiWs, {
       type: "response.create",
       response: {
@@ -1340,9 +2663,9 @@ wss.on("connection", (twilioWs) => {
           "דברי עכשיו את הטקסט הבא ללא תוספות לפני/אחרי, באותו ניסוח בדיוק:\n" + closingLine,
       },
     });
-    closingResponsePending = true;
     responseInFlight = true;
     clearedInputOnThisResponse = false;
+    startPhraseCapture(closingLine, "CLOSING");
     if (MB_DEBUG) {
       console.log("[CLOSING] response.create", { reason, assistantSpeaking });
     }
@@ -1350,40 +2673,399 @@ wss.on("connection", (twilioWs) => {
 
   function cancelAssistant(openaiWs) {
     if (!openaiWs || openaiWs.readyState !== WebSocket.OPEN) return;
-    safeSend(openaiWs, { type: "response.cancel" });
+    // Generation may be done while Twilio is still playing; cancel only what is still streaming
+    if (responseInFlight) safeSend(openaiWs, { type: "response.cancel" });
 
     if (MB_BARGEIN_AUDIO_DROP_MS > 0) {
       dropAudioUntilTs = Math.max(dropAudioUntilTs, Date.now() + MB_BARGEIN_AUDIO_DROP_MS);
       if (MB_DEBUG) console.log("[BARGEIN] audio_drop", { ms: MB_BARGEIN_AUDIO_DROP_MS });
     }
 
+    if (MB_PLAYBACK_MARKS) cutPlayback(openaiWs);
+    phraseCapture = null; // cut short: not the whole line
+
     if (MB_DEBUG) console.log("[BARGEIN] response.cancel");
   }
 
+  // Every payload forwarded to Twilio: echo reference + recording (right channel)
+  function noteOutboundAudio(payload) {
+    if (echo) echo.onOutbound(payload);
+    if (recorder) recorder.onBot(payload);
+  }
+
+  // After a Twilio "clear": the queued audio was never played
+  function noteOutboundCleared() {
+    if (echo) echo.clear();
+    if (recorder) recorder.clear();
+  }
+
+  // Barge-in: drop the audio Twilio still buffers and cut the model's item where the caller stopped hearing it
+  function cutPlayback(openaiWs) {
+    const cut = playback.interrupt();
+    if (!cut) return;
+    cutAudioItemId = cut.item_id;
+    try {
+      if (streamSid) twilioWs.send(JSON.stringify({ event: "clear", streamSid }));
+    } catch {}
+    noteOutboundCleared();
+    const truncated = !!cut.item_id && cut.audio_end_ms < cut.sent_ms;
+    if (truncated) {
+      safeSend(openaiWs, {
+        type: "conversation.item.truncate",
+        item_id: cut.item_id,
+        content_index: cut.content_index,
+        audio_end_ms: cut.audio_end_ms,
+      });
+    }
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "BARGEIN",
+      item_id: cut.item_id,
+      audio_end_ms: cut.audio_end_ms,
+      sent_ms: cut.sent_ms,
+      truncated,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    onPlaybackIdle("bargein");
+  }
+
+  // Echoed Twilio mark of an assistant audio item
+  function onPlaybackMark(name) {
+    const done = playback.onMark(name);
+    if (done && done.idle) onPlaybackIdle("mark");
+  }
+
+  function armPlaybackTimer() {
+    clearTimeout(playbackTimer);
+    playbackTimer = setTimeout(() => {
+      if (!playback.isPlaying()) return;
+      if (MB_DEBUG) console.log("[PLAYBACK] mark not echoed, assuming played");
+      playback.reset();
+      onPlaybackIdle("mark_timeout");
+    }, playback.remainingMs() + MB_PLAYBACK_MARK_GRACE_MS);
+  }
+
+  function onPlaybackIdle(reason) {
+    clearTimeout(playbackTimer);
+    assistantSpeaking = false;
+    if (MB_DEBUG) console.log("[PLAYBACK] idle", { reason });
+    if (closingResponsePending && reason !== "bargein") {
+      closingResponsePending = false;
+      finalizeCallAfterClosing("closing_audio_done", openaiWs, twilioWs);
+    }
+    if (reason !== "bargein") armSilenceTimer();
+  }
+
+  // The assistant finished sending a line (response.audio.done, or a cached phrase fully forwarded)
+  function onAssistantAudioDone(itemId) {
+    responseInFlight = false;
+
+    clearedInputOnThisResponse = false;
+    // Still playing on Twilio: speaking ends when this mark comes back (onPlaybackMark)
+    const mark = MB_PLAYBACK_MARKS && streamSid && !callEnded ? playback.markItem(itemId) : null;
+    if (mark) {
+      try {
+        twilioWs.send(JSON.stringify({ event: "mark", streamSid, mark: { name: mark } }));
+      } catch {}
+      armPlaybackTimer();
+    } else if (!playback.isPlaying()) {
+      assistantSpeaking = false;
+      armSilenceTimer();
+    }
+    if (transferState && transferState.status === "announcing" && streamSid) {
+      // Twilio echoes the mark once the announcement has been played to the caller
+      try {
+        twilioWs.send(JSON.stringify({ event: "mark", streamSid, mark: { name: TRANSFER_MARK } }));
+      } catch {}
+    }
+    if (closingResponsePending && !assistantSpeaking) {
+      closingResponsePending = false;
+      finalizeCallAfterClosing("closing_audio_done", openaiWs, twilioWs);
+    }
+  }
+
+  /* ---- Filler cue / first-audio latency ---- */
+  // response.create of a caller turn: the first-audio clock starts, the cue plays if the model is slow
+  function armFiller() {
+    clearTimeout(fillerTimer);
+    fillerTimer = null;
+    firstAudioWait = {
+      create_id: lastAsstCreateId,
+      created_at: Date.now(),
+      speech_stopped_at: speechStoppedAt,
+      filler: null,
+    };
+    if (fillerCfg.mode !== "off") fillerTimer = setTimeout(playFiller, Math.max(0, fillerCfg.after_ms));
+  }
+
+  function playFiller() {
+    fillerTimer = null;
+    if (!firstAudioWait || !streamSid || callEnding || callEnded) return;
+    if (speechActive || assistantSpeaking || playback.isPlaying()) return;
+    const audio = buildToneUlaw();
+    for (let i = 0; i < audio.length; i += PHRASE_CHUNK_BYTES) {
+      const payload = audio.subarray(i, i + PHRASE_CHUNK_BYTES).toString("base64");
+      try {
+        twilioWs.send(JSON.stringify({ event: "media", streamSid, media: { payload } }));
+      } catch {
+        return;
+      }
+      noteOutboundAudio(payload);
+    }
+    fillerUntil = Date.now() + audio.length / 8;
+    firstAudioWait.filler = "tone";
+    if (MB_DEBUG) console.log("[FILLER] played", { cue: firstAudioWait.filler, after_ms: fillerCfg.after_ms });
+  }
+
+  // Real audio or the caller takes over: drop what Twilio has not played of the cue yet
+  function stopFiller() {
+    clearTimeout(fillerTimer);
+    fillerTimer = null;
+    if (Date.now() >= fillerUntil) return;
+    fillerUntil = 0;
+    try {
+      if (streamSid) twilioWs.send(JSON.stringify({ event: "clear", streamSid }));
+    } catch {}
+    noteOutboundCleared();
+  }
+
+  // First response.audio.delta after armFiller()
+  function onFirstAudio() {
+    const wait = firstAudioWait;
+    firstAudioWait = null;
+    stopFiller();
+    const now = Date.now();
+    const latencyMs = now - wait.created_at;
+    firstAudioStats.record({ latencyMs, filler: !!wait.filler });
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "FIRST_AUDIO",
+      create_id: wait.create_id,
+      latency_ms: latencyMs,
+      since_speech_stopped_ms: wait.speech_stopped_at ? now - wait.speech_stopped_at : null,
+      filler: wait.filler,
+      filler_after_ms: fillerCfg.mode === "off" ? null : fillerCfg.after_ms,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+  }
+
+  /* ---- Phrase audio cache ---- */
+  function callVoice() {
+    return tenantCtx?.tenant.voice || OPENAI_VOICE;
+  }
+
+  // Cached fixed line: straight to Twilio, plus the assistant item so the model's conversation has the line.
+  // false = not cached; the caller renders it with response.create (and captures it)
+  function playCachedPhrase(openaiWs, text, phase) {
+    if (!MB_PHRASE_CACHE || !streamSid || callEnded || !phraseCacheable(text, phase)) return false;
+    const hit = phraseCache.get(text, callVoice());
+    if (!hit) return false;
+
+    safeSend(openaiWs, {
+      type: "conversation.item.create",
+      item: { type: "message", role: "assistant", content: [{ type: "text", text }] },
+    });
+    assistantSpeaking = true;
+    pauseSilenceTimer();
+    for (let i = 0; i < hit.audio.length; i += PHRASE_CHUNK_BYTES) {
+      const payload = hit.audio.subarray(i, i + PHRASE_CHUNK_BYTES).toString("base64");
+      try {
+        twilioWs.send(JSON.stringify({ event: "media", streamSid, media: { payload } }));
+      } catch (e) {
+        console.error("[TWILIO] send media failed", e && (e.message || e));
+        break;
+      }
+      // No item id: a text-only item cannot be truncated on barge-in
+      if (MB_PLAYBACK_MARKS) playback.onAudioSent({ itemId: null, payload });
+      noteOutboundAudio(payload);
+    }
+
+    turnSeq += 1;
+    lastAsstSaidId += 1;
+    lastAsstSaidText = text;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "ASST_SAID",
+      said_id: lastAsstSaidId,
+      text: clip(oneLine(text), MB_LOG_TURNS_MAX_CHARS),
+      approx_match: true,
+      source: "phrase_cache",
+      phase: phase || null,
+      phrase_key: hit.key,
+      duration_ms: hit.duration_ms,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    maybeAppendBotToConversationLog(text);
+    if (MB_DEBUG) console.log("[PHRASE_CACHE] hit", { phase, key: hit.key, duration_ms: hit.duration_ms });
+    onAssistantAudioDone(null);
+    return true;
+  }
+
+  function startPhraseCapture(text, phase) {
+    const cacheable = MB_PHRASE_CACHE && phraseCacheable(text, phase);
+    phraseCapture = cacheable ? { text, phase, response_id: null, chunks: [], transcript: null } : null;
+  }
+
+  function phraseCacheable(text, phase) {
+    return isCacheablePhase(phase) && phraseLines.has(text);
+  }
+
+  // text = template rendered with vars; kept for the phrase cache when it reads the same for every caller
+  function notePhraseLine(text, template, vars) {
+    if (text && safeStr(template) && injectVars(template, { ...vars, CALLER_NAME: "" }) === text) phraseLines.add(text);
+  }
+
+  // response.done of the captured line: keep the audio when it completed and was said verbatim
+  function finishPhraseCapture(response) {
+    const cap = phraseCapture;
+    if (!cap || !cap.response_id || response?.id !== cap.response_id) return;
+    phraseCapture = null;
+    if (response.status !== "completed" || !cap.chunks.length) return;
+    const stored = phraseCache.put({
+      text: cap.text,
+      voice: callVoice(),
+      audio: Buffer.concat(cap.chunks),
+      transcript: cap.transcript,
+      tenantId: tenantCtx?.tenant.id || null,
+      phase: cap.phase || null,
+    });
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "PHRASE_CACHE",
+      action: stored ? "stored" : "rejected",
+      phase: cap.phase || null,
+      transcript: clip(oneLine(cap.transcript || ""), MB_LOG_TURNS_MAX_CHARS) || null,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+  }
+
+  /* ---- Idle caller (silence reprompt / hangup) ---- */
+  // Bot finished and nothing else is going on: wait for the caller
+  function armSilenceTimer() {
+    if (!silenceCfg || callEnding || callEnded || transferState) return;
+    if (speechActive || responseInFlight || playback.isPlaying() || dtmfNumber.pending()) return;
+    clearTimeout(silenceTimer);
+    silenceSince = Date.now();
+    // Without a hangup the reprompt is said once per silent stretch, not on a loop
+    const reprompt = silenceCfg.reprompt_ms > 0 && (silenceCfg.hangup_ms > 0 || silenceMs === 0);
+    const untilReprompt = reprompt ? silenceCfg.reprompt_ms : Infinity;
+    const untilHangup = silenceCfg.hangup_ms > 0 ? silenceCfg.hangup_ms - silenceMs : Infinity;
+    const wait = Math.min(untilReprompt, untilHangup);
+    if (Number.isFinite(wait)) silenceTimer = setTimeout(onSilenceTimeout, Math.max(0, wait));
+  }
+
+  // Bot talking again: the stretch so far still counts towards the hangup
+  function pauseSilenceTimer() {
+    clearTimeout(silenceTimer);
+    silenceTimer = null;
+    if (silenceSince) silenceMs += Date.now() - silenceSince;
+    silenceSince = null;
+  }
+
+  // Caller spoke or pressed a key
+  function resetSilence() {
+    clearTimeout(silenceTimer);
+    silenceTimer = null;
+    silenceSince = null;
+    silenceMs = 0;
+  }
+
+  function onSilenceTimeout() {
+    pauseSilenceTimer();
+    if (callEnding || callEnded || speechActive || responseInFlight || playback.isPlaying()) return;
+    const hangup = silenceCfg.hangup_ms > 0 && silenceMs >= silenceCfg.hangup_ms;
+
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "SILENCE",
+      action: hangup ? "closing" : "reprompt",
+      silence_ms: silenceMs,
+      reprompts: silenceReprompts,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+
+    if (hangup) {
+      abandonReason = "silence";
+      beginCallEnding("silence_timeout", openaiWs, twilioWs, { closingLine: silenceCfg.closing_text });
+      decideAndSendOnEnd("silence_timeout").catch(() => {});
+      return;
+    }
+    silenceReprompts += 1;
+    if (!sendFixedResponse(openaiWs, silenceCfg.reprompt_text, "silence_reprompt", "SILENCE_REPROMPT")) {
+      armSilenceTimer();
+    }
+  }
+
   function onSpeechStarted(openaiWs) {
     speechActive = true;
+    stopFiller();
 
     // Half-duplex: never barge-in / cancel
     if (MB_HALF_DUPLEX) return;
 
     if (!MB_BARGEIN_ENABLED) return;
-    if (!responseInFlight) return;
+    if (!responseInFlight && !playback.isPlaying()) return;
+    // The closing line and a transfer announcement are never cut; after an unavailable transfer the bot takes a
+    // message and barge-in works again
+    if (callEnding || (transferState && transferState.status !== "unavailable")) return;
 
     const now = Date.now();
     if (now - lastBargeinAt < MB_BARGEIN_COOLDOWN_MS) return;
+    if (isEchoSpeech("speech_started")) return;
 
     if (bargeinTimer) clearTimeout(bargeinTimer);
     bargeinTimer = setTimeout(() => {
       if (!speechActive) return;
       const now2 = Date.now();
-      if (!responseInFlight) return;
+      if (!responseInFlight && !playback.isPlaying()) return;
       if (now2 - lastBargeinAt < MB_BARGEIN_COOLDOWN_MS) return;
+      if (isEchoSpeech("bargein_timer")) return;
 
       lastBargeinAt = now2;
       cancelAssistant(openaiWs);
     }, Math.max(0, MB_BARGEIN_MIN_MS));
   }
 
+  // Server VAD "speech" that is mostly the bot's own echo must not cut the bot off
+  function isEchoSpeech(stage) {
+    if (!echo) return false;
+    const ratio = echo.echoRatio(Math.max(300, MB_BARGEIN_MIN_MS));
+    if (ratio < 0.5) return false;
+    echo.noteSuppressed();
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "ECHO",
+      action: "bargein_suppressed",
+      stage,
+      echo_ratio: Math.round(ratio * 100) / 100,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    return true;
+  }
+
   function onSpeechStopped() {
     speechActive = false;
     if (bargeinTimer) {
@@ -1433,7 +3115,7 @@ wss.on("connection", (twilioWs) => {
     if (parsedLeadAttempted) return;
     parsedLeadAttempted = true;
 
-    const { settings } = ssot.data || {};
+    const { settings } = tenantCtx.ssot.state.data || {};
     const businessName = settings?.BUSINESS_NAME || null;
     const botName = settings?.BOT_NAME || null;
 
@@ -1458,12 +3140,64 @@ wss.on("connection", (twilioWs) => {
     if (!sid) return null;
     const base = baseUrlNoSlash(PUBLIC_BASE_URL);
     if (!base) return null;
-    return `${base}/recordings/${sid}.mp3`;
+    return recordingLinks.sign({ baseUrl: base, recordingSid: sid, callSid });
+  }
+
+  // Stereo WAV -> recordingStorage once (decision and WS close may both ask); the link is the payload recording
+  function saveServerRecording(reason) {
+    if (!recordingSave) recordingSave = doSaveServerRecording(reason);
+    return recordingSave;
+  }
+
+  async function doSaveServerRecording(reason) {
+    if (!recorder || !recorder.hasAudio()) return;
+    const { wav, duration_ms: durationMs, truncated } = recorder.finish();
+    recorder = null;
+    const key = `${callSid}.wav`;
+    let res;
+    try {
+      res = await recordingStorage.put(key, wav, "audio/wav");
+    } catch (e) {
+      res = { ok: false, error: e && (e.message || String(e)) };
+    }
+    const base = baseUrlNoSlash(PUBLIC_BASE_URL);
+    if (res.ok && base) {
+      recordingPublicUrl = recordingLinks.sign({ baseUrl: base, recordingSid: callSid, callSid, ext: "wav" });
+    }
+    if (!res.ok) console.error("[RECORDING] server recording save failed", { callSid, error: res.error || null });
+
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "RECORDING",
+      provider: "SERVER",
+      reason,
+      ok: !!res.ok,
+      storage: recordingStorage.kind,
+      key,
+      bytes: wav.length,
+      duration_ms: durationMs,
+      truncated,
+      error: res.ok ? null : res.error || null,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
   }
 
   async function ensureRecordingResolved(reason) {
     if (recordingResolved) return;
     if (!callSid) return;
+
+    // Server-side: the decision can start before the closing line finished playing -> wait for the stream end
+    if (recorder || recordingSave) {
+      recordingResolved = true;
+      await Promise.race([streamOverP, sleep(MB_RECORDING_END_WAIT_MS)]);
+      await saveServerRecording(reason);
+      return;
+    }
+
     if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !PUBLIC_BASE_URL) return;
 
     recordingResolved = true; // prevent concurrent storms only after callSid + attempt start
@@ -1506,6 +3240,7 @@ wss.on("connection", (twilioWs) => {
 
     if (infoRequestText) parts.push(`info_asked="${String(infoRequestText).slice(0, 220)}"`);
     if (infoTopics.length) parts.push(`info_topics=${infoTopics.join(",")}`);
+    if (intentHits.size) parts.push(`intents=${getDetectedIntents().map((i) => i.intent).join(",")}`);
 
     const ans = String(infoAnswerText || "").trim();
     if (ans) parts.push(`info_answer="${ans.slice(0, 420)}"`);
@@ -1529,6 +3264,391 @@ wss.on("connection", (twilioWs) => {
     return parts.join(" | ");
   }
 
+  /* ---- Warm transfer ---- */
+  // null = transfer can go ahead; otherwise why not
+  function transferBlockedReason(cfg) {
+    if (!MB_TRANSFER_ENABLED) return "disabled";
+    if (!cfg.number) return "not_configured";
+    if (!callSid || !twilioAuthHeader() || !getPublicOrigin()) return "twilio_unavailable";
+    if (!cfg.after_hours) {
+      try {
+        const h = tenantCtx.ssot.getBusinessHours().evaluate(new Date());
+        if (h.enabled && !h.is_open) return "closed";
+      } catch (e) {
+        console.error("[HOURS] evaluate failed", e && (e.message || e));
+      }
+    }
+    return null;
+  }
+
+  // Deterministic trigger: a TRANSFER_KEYWORDS phrase in the caller's line or a TRANSFER_INTENTS intent
+  function maybeTransferFromUtterance(text) {
+    if (transferState || callEnding || callEnded) return false;
+    const cfg = parseTransferSettings(tenantCtx.ssot.state.data?.settings);
+    const keyword = matchTransferKeyword(text, cfg.keywords);
+    const intent = keyword ? null : cfg.intents.find((i) => intentHits.has(i)) || null;
+    if (!keyword && !intent) return false;
+    return requestTransfer(keyword ? "keyword" : "intent", keyword || intent, cfg).handled;
+  }
+
+  // -> { ok, reason, handled }; handled = the caller already hears the announcement / unavailable script
+  function requestTransfer(trigger, detail, cfg = parseTransferSettings(tenantCtx.ssot.state.data?.settings)) {
+    if (transferState) return { ok: false, reason: "already_requested", handled: false };
+    const blocked = transferBlockedReason(cfg);
+
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "TRANSFER_REQUEST",
+      trigger,
+      detail: detail ? clip(oneLine(detail), 120) : null,
+      blocked,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    if (blocked === "disabled" || blocked === "not_configured") return { ok: false, reason: blocked, handled: false };
+
+    transferState = {
+      trigger,
+      detail: detail || null,
+      status: blocked ? "unavailable" : "announcing",
+      reason: blocked,
+      cfg,
+      requested_at: nowIso(),
+    };
+
+    if (blocked) {
+      const text =
+        cfg.unavailable_script || "כרגע אין נציג זמין לשיחה. אשמח לרשום את פרטיך והודעה, ונחזור אליך בהקדם.";
+      sendFixedResponse(openaiWs, text, `transfer_${blocked}`, "TRANSFER_UNAVAILABLE");
+      return { ok: false, reason: blocked, handled: true };
+    }
+
+    const announcement = cfg.announcement || "אני מעבירה אותך לנציג, רק רגע.";
+    if (sendFixedResponse(openaiWs, announcement, `transfer_${trigger}`, "TRANSFER")) {
+      // Dial once Twilio has played the announcement (playback mark), or after MB_TRANSFER_ANNOUNCE_MAX_MS
+      transferTimer = setTimeout(() => executeTransfer().catch(() => {}), Math.max(1000, MB_TRANSFER_ANNOUNCE_MAX_MS));
+    } else {
+      // Bot is busy speaking: Twilio <Say>s the announcement before dialing
+      transferState.say_in_twiml = announcement;
+      executeTransfer().catch(() => {});
+    }
+    return { ok: true, reason: null, handled: true };
+  }
+
+  async function executeTransfer() {
+    if (!transferState || transferState.status !== "announcing") return;
+    clearTimeout(transferTimer);
+    transferState.status = "dialing";
+    const { cfg } = transferState;
+
+    const qs = new URLSearchParams({ call: callSid }).toString();
+    const origin = getPublicOrigin();
+    const whisper = cfg.whisper
+      ? buildWhisperSummary({
+          callerName: capturedName,
+          callerE164,
+          intent: primaryIntent ? primaryIntent.intent : null,
+          reason: transferState.trigger === "model" ? transferState.detail : null,
+          conversationLog,
+        })
+      : null;
+    transfers.begin(callSid, {
+      tenant_id: tenantCtx.tenant.id,
+      number: cfg.number,
+      whisper,
+      no_answer_script: cfg.no_answer_script || null,
+    });
+
+    const twiml = buildTransferTwiml({
+      ...twimlSay(transferState.say_in_twiml || ""),
+      dial: {
+        number: cfg.number,
+        callerId: cfg.caller_id || calledE164 || null,
+        timeout: cfg.timeout_sec || MB_TRANSFER_DIAL_TIMEOUT_SEC,
+        action: `${origin}/twilio/transfer/status?${qs}`,
+        whisperUrl: `${origin}/twilio/transfer/whisper?${qs}`,
+      },
+    });
+    const r = await updateTwilioCallTwiml(callSid, twiml);
+
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "TRANSFER_DIAL",
+      ok: r.ok,
+      status: r.status,
+      number: cfg.number,
+      whisper: whisper ? clip(oneLine(whisper), MB_LOG_TURNS_MAX_CHARS) : null,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    if (r.ok) return;
+
+    // Call could not be redirected: stay on the line and take a message
+    transferState.status = "unavailable";
+    transferState.reason = "twilio_update_failed";
+    transfers.settle(callSid, "TRANSFER_NO_ANSWER", { status: "failed" });
+    const text =
+      cfg.unavailable_script || "כרגע אין נציג זמין לשיחה. אשמח לרשום את פרטיך והודעה, ונחזור אליך בהקדם.";
+    sendFixedResponse(openaiWs, text, "transfer_failed", "TRANSFER_UNAVAILABLE");
+  }
+
+  // Model-initiated transfer (transfer_to_human tool call, handled once its response is done)
+  function onTransferToolCall(item) {
+    let args = {};
+    try {
+      args = JSON.parse(item.arguments || "{}");
+    } catch {}
+    safeSend(openaiWs, {
+      type: "conversation.item.create",
+      item: {
+        type: "function_call_output",
+        call_id: item.call_id,
+        output: JSON.stringify({ handled_by: "system", already_requested: !!transferState }),
+      },
+    });
+    responseInFlight = false;
+    const r = requestTransfer("model", safeStr(args.reason) || null);
+    if (r.handled || callEnding || callEnded) return;
+    // Nothing to announce (disabled / already requested): let the model carry on
+    safeSend(openaiWs, { type: "response.create" });
+    responseInFlight = true;
+  }
+
+  // Warm transfer outcome as its own lead decision (null = normal FINAL / PARTIAL / ABANDONED flow)
+  function decideTransferOutcome(entry) {
+    if (!transferState) return null;
+    if (transferState.status === "dialing") {
+      if (entry?.decision) return entry.decision;
+      return decisionForDialStatus(entry?.dial_status); // no callback in time
+    }
+    // Transfer was not possible (closed / Twilio error): the bot took the message instead
+    if (isLeadComplete() || isPartialLead()) return "TRANSFER_FALLBACK_MESSAGE";
+    return null;
+  }
+
+  function transferSummary() {
+    if (!transferState) return null;
+    const entry = transfers.get(callSid);
+    const base = baseUrlNoSlash(PUBLIC_BASE_URL);
+    const vmSid = entry?.voicemail_recording_sid || null;
+    return {
+      trigger: transferState.trigger,
+      detail: transferState.detail,
+      status: transferState.status,
+      blocked_reason: transferState.reason || null,
+      number: transferState.cfg.number,
+      requested_at: transferState.requested_at,
+      outcome: entry?.decision || null,
+      dial_status: entry?.dial_status || null,
+      dial_duration_sec: entry?.dial_duration_sec ?? null,
+      voicemail_duration_sec: entry?.voicemail_duration_sec ?? null,
+      voicemail_recording_url:
+        vmSid && base ? recordingLinks.sign({ baseUrl: base, recordingSid: vmSid, callSid }) : null,
+    };
+  }
+
+  // After the deterministic gates ran on caller input (speech or keypad): forced closing and the callback
+  // number prompts are fixed lines; anything else is answered by respondDefault()
+  function respondAfterGates(respondDefault) {
+    if (closingForced) {
+      beginCallEnding("closing_forced", openaiWs, twilioWs, { sendClosing: true });
+      decideAndSendOnEnd("closing_forced").catch(() => {});
+      return;
+    }
+
+    if (callbackNumberRetryPrompt) {
+      const sent = sendFixedResponse(
+        openaiWs,
+        "אוקיי, מה המספר הנכון?",
+        "callback_number_retry",
+        "CALLBACK_RETRY"
+      );
+      if (sent) {
+        callbackNumberRetryPrompt = false;
+      }
+      return;
+    }
+
+    if (callbackNumberJustCaptured && callbackNumberSpoken) {
+      const confirmText = `רק לוודא, המספר הוא: ${callbackNumberSpoken}. זה נכון?`;
+      const sent = sendFixedResponse(openaiWs, confirmText, "callback_number_confirm", "CALLBACK_CONFIRM");
+      if (sent) {
+        callbackNumberJustCaptured = false;
+        expectingCallbackNumberConfirm = true;
+        turnSeq += 1;
+        logTurn({
+          t: nowIso(),
+          seq: turnSeq,
+          kind: "CALLBACK_NUMBER_CONFIRM_PROMPT",
+          normalized: callbackToNumber,
+          spoken: callbackNumberSpoken,
+          callSid,
+          streamSid,
+          caller: callerE164,
+        });
+        return;
+      }
+      return;
+    }
+
+    respondDefault();
+  }
+
+  /* ---- DTMF keypad ---- */
+  function onDtmf(digit) {
+    const key = safeStr(digit);
+    if (!MB_DTMF_ENABLED || !/^[0-9*#]$/.test(key) || callEnding || callEnded) return;
+    resetSilence();
+    dtmfDigits += key;
+
+    const entry = tenantCtx.ssot.getKeypadMenu().actionFor(key);
+    // Confirming a number: the yes / no keys answer it, any other key starts typing a different number.
+    // A callback in progress always takes digits as the number (0 included), whatever the bot's wording
+    const confirming = expectingCallbackConfirm || expectingCallbackNumberConfirm;
+    const answersConfirm = confirming && !dtmfNumber.pending() && /^(yes|no)$/.test(entry?.action);
+    const wantsNumber =
+      expectingCallbackNumber ||
+      (callbackRequested && !callbackToNumberConfirmed) ||
+      confirming ||
+      isAskingForPhoneNumber(lastAsstSaidText);
+    const typingNumber = !answersConfirm && (!!dtmfNumber.pending() || wantsNumber);
+
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "DTMF",
+      digit: key,
+      mode: typingNumber ? "number" : entry ? entry.action : "unmapped",
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    if (MB_DEBUG) console.log("[DTMF]", { digit: key, typingNumber, action: entry?.action || null });
+
+    // Announcing / dialing a transfer: the bot stays quiet until the call is redirected
+    if (transferState && transferState.status !== "unavailable") return;
+    if (typingNumber) {
+      dtmfNumber.push(key);
+      return;
+    }
+    if (entry) runKeypadAction(entry);
+  }
+
+  function runKeypadAction({ digit, action, value }) {
+    const settings = tenantCtx.ssot.state.data?.settings || {};
+
+    if (action === "yes" || action === "no") {
+      const word = action === "yes" ? "כן" : "לא";
+      onKeypadInput(word, `הלקוח הקיש ${digit} (${word})`);
+      return;
+    }
+    if (action === "transfer") {
+      if (!requestTransfer("dtmf", digit).handled) createResponseFromKeypad(`הלקוח הקיש ${digit} כדי לדבר עם נציג`);
+      return;
+    }
+    if (action === "repeat") {
+      const text = lastAsstSaidText || lastAsstIntendedText;
+      if (text) sendFixedResponse(openaiWs, text, "dtmf_repeat", "KEYPAD");
+      return;
+    }
+    if (action === "say") {
+      const text = injectVars(settings[value] ?? value, { ...settings, CALLER_NAME: capturedName || "" });
+      if (safeStr(text)) sendFixedResponse(openaiWs, text, "dtmf_say", "KEYPAD");
+      return;
+    }
+    if (action === "intent") {
+      recordKeypadIntent(value);
+      // TRANSFER_INTENTS apply to menu choices too
+      if (maybeTransferFromUtterance("")) return;
+      createResponseFromKeypad(`הלקוח בחר בתפריט המקשים (${digit}): ${value}`);
+      return;
+    }
+    if (action === "hangup") {
+      beginCallEnding("dtmf_hangup", openaiWs, twilioWs, { sendClosing: true });
+      decideAndSendOnEnd("dtmf_hangup").catch(() => {});
+    }
+  }
+
+  // Keypad answer -> the same gates and fixed prompts as speech; otherwise the model gets it as a note
+  function onKeypadInput(text, note) {
+    maybeAppendUserToConversationLog(text);
+    applyDeterministicGatesFromUserUtterance(text, { source: "dtmf" });
+    respondAfterGates(() => createResponseFromKeypad(note));
+  }
+
+  // Typed callback number complete ("#", pause or 10 digits)
+  function onKeypadNumber(digits, reason) {
+    if (callEnding || callEnded) return;
+    if (MB_DEBUG) console.log("[DTMF] number", { digits, reason });
+    if (!expectingCallbackConfirm) {
+      // A typed number replaces any earlier one and goes through the callback number gate
+      expectingCallbackNumberConfirm = false;
+      expectingCallbackNumber = true;
+      callbackToNumber = null;
+      callbackToNumberConfirmed = false;
+    }
+    maybeAppendUserToConversationLog(digits);
+    applyDeterministicGatesFromUserUtterance(digits, { source: "dtmf" });
+    if (!callbackNumberJustCaptured) {
+      // Not a valid Israeli number: ask for it again
+      expectingCallbackConfirm = false;
+      expectingCallbackNumber = true;
+      callbackNumberRetryPrompt = true;
+    }
+    respondAfterGates(() => {});
+  }
+
+  function recordKeypadIntent(name) {
+    const row = (tenantCtx.ssot.state.data?.intents || []).find((r) => safeStr(r?.intent) === name);
+    const priority = Number(row?.priority) || 0;
+    const cur = intentHits.get(name) || { intent: name, priority, count: 0, last_trigger: null };
+    cur.count += 1;
+    cur.last_trigger = "dtmf";
+    intentHits.set(name, cur);
+    if (!primaryIntent || priority > primaryIntent.priority) primaryIntent = { intent: name, priority };
+  }
+
+  // Keypad input has no audio turn: add it as a user text item, then ask for a response
+  function createResponseFromKeypad(note) {
+    if (responseInFlight || callEnding || callEnded) return false;
+    if (MB_HALF_DUPLEX && assistantSpeaking) return false;
+    if (!openaiWs || openaiWs.readyState !== WebSocket.OPEN || !openaiReady || !sessionConfigured) return false;
+
+    safeSend(openaiWs, {
+      type: "conversation.item.create",
+      item: { type: "message", role: "user", content: [{ type: "input_text", text: `[מקלדת הטלפון] ${note}` }] },
+    });
+    turnSeq += 1;
+    lastAsstCreateId += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "ASST_CREATE",
+      create_id: lastAsstCreateId,
+      reason: "dtmf",
+      note: clip(oneLine(note), MB_LOG_TURNS_MAX_CHARS),
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+
+    safeSend(openaiWs, { type: "response.create" });
+    lastResponseCreateAt = Date.now();
+    userFramesSinceLastCreate = 0;
+    pendingCreate = false;
+    responseInFlight = true;
+    clearedInputOnThisResponse = false;
+    if (MB_DEBUG) console.log("[TURN] response.create", { reason: "dtmf", assistantSpeaking });
+    return true;
+  }
+
   function buildBasePayload() {
     const ended = callEndedAtIso || nowIso();
     const started = callStartedAtIso;
@@ -1552,6 +3672,9 @@ wss.on("connection", (twilioWs) => {
       caller_id_e164: callerE164 || null,
       caller_id_raw: callerE164 || null,
       called: calledE164 || null,
+      tenant_id: tenantCtx.tenant.id,
+      call_direction: callMode,
+      callback_id: callbackId,
       greeting_time_bucket: greetingBucket || null,
       name: capturedName || null,
       message: capturedMessage || null,
@@ -1563,10 +3686,32 @@ wss.on("connection", (twilioWs) => {
       info_answer_text: String(infoAnswerText || "").trim() || null,
       info_topics: Array.isArray(infoTopics) && infoTopics.length ? infoTopics : null,
 
+      // Business hours at call start (SSOT HOURS / HOLIDAYS)
+      business_hours_status: hoursAtCallStart?.enabled ? hoursAtCallStart.status : null,
+      holiday_name: hoursAtCallStart?.holiday?.name_he || null,
+
+      // Intent router (SSOT INTENTS)
+      primary_intent: primaryIntent ? primaryIntent.intent : null,
+      intents_detected: intentHits.size ? getDetectedIntents() : null,
+
+      // KB retrieval: rows injected during the call
+      kb_rows_used: kbRowsUsed.size ? Array.from(kbRowsUsed.keys()) : null,
+
+      // Prompt A/B variants (PROMPTS rows KEY@VARIANT)
+      prompt_variants: promptVariants,
+
+      // Warm transfer (SETTINGS TRANSFER_*)
+      transfer: transferSummary(),
+      dtmf_digits: dtmfDigits || null,
+      hangup_by: hangupBy,
+      abandon_reason: abandonReason,
+      sms_confirmation: smsConfirmation,
+      realtime_reconnect: { ...reconnect },
+
       // internal note
       notes_internal: null,
 
-      recording_provider: "TWILIO",
+      recording_provider: MB_SERVER_RECORDING ? "SERVER" : "TWILIO",
       recording_public_url: recordingPublicUrl || null,
 
       // Additive: post-call parsing enrichment (does not affect decision)
@@ -1592,38 +3737,54 @@ wss.on("connection", (twilioWs) => {
 
   async function sendCallLogOnce() {
     if (sentCallLog) return;
-    if (!CALL_LOG_WEBHOOK_URL) return;
+    const url = tenantCtx.tenant.webhooks.call_log;
+    if (!url) return;
     if (MB_FINAL_WEBHOOK_ONLY) return;
 
     sentCallLog = true;
     const payload = { event_type: "CALL_LOG", lead_type: "CALL_LOG", ...buildBasePayload() };
     // notes_internal for call log is optional; keep null to avoid noise
-    await postJson(CALL_LOG_WEBHOOK_URL, payload, { tag: "CALL_LOG" });
+    await postJson(url, payload, { tag: "CALL_LOG" });
   }
 
   async function sendFinalOnce() {
     if (sentFinal) return;
-    if (!FINAL_WEBHOOK_URL) return;
+    const url = tenantCtx.tenant.webhooks.final;
+    if (!url) return;
     sentFinal = true;
 
     const payload = { event_type: "FINAL", lead_type: "FINAL", lead_decision: "FINAL", ...buildBasePayload() };
     payload.notes_internal = buildNotesInternalForDecision("FINAL");
-    await postJson(FINAL_WEBHOOK_URL, payload, { tag: "FINAL" });
+    await postJson(url, payload, { tag: "FINAL" });
   }
 
   async function sendPartialOnce() {
     if (sentPartial) return;
-    if (!FINAL_WEBHOOK_URL) return;
+    const url = tenantCtx.tenant.webhooks.final;
+    if (!url) return;
     sentPartial = true;
 
     const payload = { event_type: "PARTIAL", lead_type: "PARTIAL", lead_decision: "PARTIAL", ...buildBasePayload() };
     payload.notes_internal = buildNotesInternalForDecision("PARTIAL");
-    await postJson(FINAL_WEBHOOK_URL, payload, { tag: "PARTIAL" });
+    await postJson(url, payload, { tag: "PARTIAL" });
+  }
+
+  // TRANSFERRED / TRANSFER_NO_ANSWER / TRANSFER_FALLBACK_MESSAGE -> same webhook as FINAL / PARTIAL
+  async function sendTransferOnce(decision) {
+    if (sentTransfer) return;
+    const url = tenantCtx.tenant.webhooks.final;
+    if (!url) return;
+    sentTransfer = true;
+
+    const payload = { event_type: decision, lead_type: decision, lead_decision: decision, ...buildBasePayload() };
+    payload.notes_internal = buildNotesInternalForDecision(decision);
+    await postJson(url, payload, { tag: decision });
   }
 
   async function sendAbandonedOnce() {
     if (sentAbandoned) return;
-    if (!ABANDONED_WEBHOOK_URL) return;
+    const url = tenantCtx.tenant.webhooks.abandoned;
+    if (!url) return;
     sentAbandoned = true;
 
     const payload = {
@@ -1633,7 +3794,7 @@ wss.on("connection", (twilioWs) => {
       ...buildBasePayload(),
     };
     payload.notes_internal = buildNotesInternalForDecision("ABANDONED");
-    await postJson(ABANDONED_WEBHOOK_URL, payload, { tag: "ABANDONED" });
+    await postJson(url, payload, { tag: "ABANDONED" });
   }
 
   function applyLlmEnrichmentForDecision() {
@@ -1668,9 +3829,93 @@ wss.on("connection", (twilioWs) => {
     }
   }
 
+  // Post-call SMS before the lead webhook, so its outcome is in the payload (sms_confirmation)
+  async function sendSmsConfirmation(decision) {
+    const settings = tenantCtx.ssot.state.data?.settings || {};
+    const cfg = parseSmsSettings(settings);
+    if (!MB_SMS_CONFIRMATION || !cfg.template || smsConfirmation) return;
+
+    // Confirmed callback number when it is a mobile, else the caller ID
+    const callbackLocal = callbackToNumberConfirmed ? normalizePhoneLocal(callbackToNumber) : null;
+    const local = isIsraeliMobile(callbackLocal) ? callbackLocal : normalizePhoneLocal(callerE164);
+    const to = isIsraeliMobile(local) ? localPhoneToE164(local) : null;
+    const from = cfg.from || calledE164;
+
+    let skip = null;
+    if (!to) skip = "not_israeli_mobile";
+    else if (!from) skip = "no_sender";
+    else if (!twilioAuthHeader()) skip = "twilio_not_configured";
+    else {
+      // Fail closed: no text when the opt-out list cannot be read (memory DB down / query failed)
+      const optOut = await memory.getSmsOptOut(to, tenantCtx.tenant.memory_namespace);
+      if (optOut === null) skip = "opt_out_unknown";
+      else if (optOut) skip = "opted_out";
+    }
+
+    let result;
+    if (skip) {
+      smsRegistry.skipped();
+      smsConfirmation = { status: "skipped", reason: skip, to, message_sid: null };
+    } else {
+      const body = injectVars(cfg.template, {
+        ...settings,
+        CALLER_NAME: capturedName || "",
+        MESSAGE_SUMMARY: summarizeMessage(capturedMessage, cfg.summary_max_chars),
+        CALLBACK_NUMBER: callbackLocal || local,
+      });
+      const statusCallback = smsStatusCallbackUrl();
+      result = await createTwilioMessage({
+        To: to,
+        From: from,
+        Body: body,
+        ...(statusCallback ? { StatusCallback: statusCallback } : {}),
+      });
+      if (result.ok && result.sid) {
+        smsRegistry.sent(result.sid, { call_sid: callSid, tenant_id: tenantCtx.tenant.id, to });
+        smsConfirmation = { status: "queued", reason: null, to, message_sid: result.sid };
+      } else {
+        smsConfirmation = { status: "failed", reason: result.error || `http_${result.status}`, to, message_sid: null };
+      }
+    }
+
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "SMS_CONFIRMATION",
+      callSid,
+      streamSid,
+      caller: callerE164,
+      decision,
+      ...smsConfirmation,
+      http_status: result ? result.status : null,
+    });
+  }
+
   async function decideAndSendOnEnd(reason) {
     // Single decision point (prevents contradictions)
-    if (sentFinal || sentPartial || sentAbandoned) return;
+    if (sentFinal || sentPartial || sentAbandoned || sentTransfer) return;
+
+    if (audioGate && !audioGateLogged) {
+      audioGateLogged = true;
+      turnSeq += 1;
+      logTurn({
+        t: nowIso(),
+        seq: turnSeq,
+        kind: "AUDIO_GATE",
+        ...audioGate.summarize(),
+        ...(echo ? { echo: echo.summarize() } : {}),
+        callSid,
+        streamSid,
+        caller: callerE164,
+      });
+    }
+
+    // Warm transfer: the stream stops as soon as the call is redirected; wait for the Dial outcome
+    let transferEntry = null;
+    if (transferState && transferState.status === "dialing") {
+      transferEntry = await transfers.wait(callSid, MB_TRANSFER_OUTCOME_WAIT_MS);
+    }
 
     turnSeq += 1;
     logTurn({
@@ -1685,6 +3930,8 @@ wss.on("connection", (twilioWs) => {
       callback_to_number: callbackToNumber || null,
       info_requested: !!infoRequested,
       info_topics: infoTopics && infoTopics.length ? infoTopics : null,
+      primary_intent: primaryIntent ? primaryIntent.intent : null,
+      intents: intentHits.size ? getDetectedIntents().map((i) => i.intent) : null,
       llm_parsing_ok: !!parsedLeadCollection,
       enriched_from_llm: enrichedFromLlm,
     });
@@ -1708,20 +3955,30 @@ wss.on("connection", (twilioWs) => {
       callback_to_number: callbackToNumber || null,
       info_requested: !!infoRequested,
       info_topics: infoTopics && infoTopics.length ? infoTopics : null,
+      primary_intent: primaryIntent ? primaryIntent.intent : null,
+      intents: intentHits.size ? getDetectedIntents().map((i) => i.intent) : null,
       llm_parsing_ok: !!parsedLeadCollection,
       enriched_from_llm: enrichedFromLlm,
     });
 
     // Resolve recording before final/partial/abandoned (best effort)
     await ensureRecordingResolved(reason);
+    // Bot hangup result decides hangup_by (bot / error)
+    if (hangupPromise) await hangupPromise;
 
     let decision = "NONE";
+    const transferDecision = decideTransferOutcome(transferEntry);
 
-    if (isLeadComplete()) {
+    if (transferDecision) {
+      decision = transferDecision;
+      await sendTransferOnce(decision);
+    } else if (isLeadComplete()) {
       decision = "FINAL";
+      await sendSmsConfirmation(decision);
       await sendFinalOnce();
     } else if (isPartialLead()) {
       decision = "PARTIAL";
+      await sendSmsConfirmation(decision);
       await sendPartialOnce();
     } else if (!capturedName) {
       decision = "ABANDONED";
@@ -1729,9 +3986,44 @@ wss.on("connection", (twilioWs) => {
     } else {
       // fallback safety: name exists but nothing else -> PARTIAL
       decision = "PARTIAL_FALLBACK";
+      await sendSmsConfirmation(decision);
       await sendPartialOnce();
     }
 
+    // Confirmed callback request -> outbound dialer queue (tenant opt-in SETTINGS CALLBACK_DIALER)
+    const callbackE164 = callbackToNumberConfirmed ? localPhoneToE164(callbackToNumber) : null;
+    if (callbackRequested && callbackE164 && callMode !== "outbound" && decision !== "TRANSFERRED") {
+      const queued = await callbacks
+        .enqueue({
+          tenantId: tenantCtx.tenant.id,
+          toE164: callbackE164,
+          fromE164: calledE164,
+          name: capturedName,
+          callerKey: memory.callerKey(callerE164, tenantCtx.tenant.memory_namespace),
+          sourceCallSid: callSid,
+        })
+        .catch((e) => ({ queued: false, reason: e && (e.message || String(e)) }));
+      turnSeq += 1;
+      logTurn({
+        t: nowIso(),
+        seq: turnSeq,
+        kind: "CALLBACK_QUEUE",
+        callSid,
+        streamSid,
+        caller: callerE164,
+        queued: queued.queued,
+        reason: queued.reason || null,
+        callback_id: queued.entry?.id || null,
+        next_attempt_at: queued.entry?.next_attempt_at || null,
+      });
+    }
+
+    if (promptVariants) {
+      promptVariantStats
+        .record({ tenantId: tenantCtx.tenant.id, callSid, variants: promptVariants, decision })
+        .catch(() => {});
+    }
+
     if (MB_DEBUG) {
       console.log("[LEAD_DECISION]", {
         reason: reason || null,
@@ -1742,6 +4034,7 @@ wss.on("connection", (twilioWs) => {
         callback_to_number: !!callbackToNumber,
         infoRequested,
         infoProvided,
+        primary_intent: primaryIntent ? primaryIntent.intent : null,
         recording_public_url: recordingPublicUrl || null,
         llm_parsing_enabled: MB_ENABLE_LLM_PARSING,
         llm_parsing_ok: !!parsedLeadCollection,
@@ -1758,7 +4051,74 @@ wss.on("connection", (twilioWs) => {
       (typeof msg.text === "string" && msg.text) ||
       (typeof msg.transcript === "string" && msg.transcript) ||
       "";
-    if (t.trim()) lastUserUtterance = t.trim();
+    if (t.trim()) {
+      lastUserUtterance = t.trim();
+      routeIntentsForUtterance(lastUserUtterance, msg.item_id);
+      if (kbWait) finishKbWait(lastUserUtterance);
+    }
+  }
+
+  function routeIntentsForUtterance(text, itemId) {
+    // Same final line may arrive through more than one transcription event
+    const key = `${itemId || ""}|${text}`;
+    if (key === lastIntentRouteKey) return [];
+    lastIntentRouteKey = key;
+
+    const matches = tenantCtx.ssot.getIntentRouter().match(text);
+    for (const m of matches) {
+      const cur = intentHits.get(m.intent) || { intent: m.intent, priority: m.priority, count: 0, last_trigger: null };
+      cur.count += 1;
+      cur.last_trigger = m.trigger;
+      intentHits.set(m.intent, cur);
+      if (!primaryIntent || m.priority > primaryIntent.priority) {
+        primaryIntent = { intent: m.intent, priority: m.priority };
+      }
+    }
+
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "INTENT_MATCH",
+      text: clip(oneLine(text), MB_LOG_TURNS_MAX_CHARS),
+      intents: matches.length
+        ? matches.map((m) => ({
+            intent: m.intent,
+            priority: m.priority,
+            trigger_type: m.trigger_type,
+            trigger: m.trigger,
+            score: m.score,
+          }))
+        : null,
+      primary_intent: primaryIntent ? primaryIntent.intent : null,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    if (MB_DEBUG && matches.length) {
+      console.log("[INTENTS] matched", { intents: matches.map((m) => m.intent) });
+    }
+
+    if (!matches.length || matches[0].score < MB_INTENT_WEAK_SCORE) {
+      maybeRecordIntentSuggestion(text, matches[0] || null);
+    }
+    return matches;
+  }
+
+  function maybeRecordIntentSuggestion(text, weakMatch) {
+    const { intentSuggestions } = tenantCtx;
+    if (!intentSuggestions.state.enabled) return;
+    // Answers to our own questions (name, message, numbers, yes/no) are not intents
+    if (expectingName || expectingMessage) return;
+    if (expectingCallbackConfirm || expectingCallbackNumber || expectingCallbackNumberConfirm) return;
+    const t = oneLine(text);
+    if (/\d/.test(t) || isYes(t) || isNo(t)) return;
+    if (t.length > 120 || t.split(" ").length < 2) return;
+    intentSuggestions.record(t, weakMatch ? weakMatch.intent : null);
+  }
+
+  function getDetectedIntents() {
+    return Array.from(intentHits.values()).sort((a, b) => b.priority - a.priority || b.count - a.count);
   }
 
   function maybeAppendUserToConversationLog(text) {
@@ -1774,20 +4134,21 @@ wss.on("connection", (twilioWs) => {
     conversationLog.push({ from: "bot", text: t });
   }
 
-  function applyDeterministicGatesFromUserUtterance(u) {
+  // source "dtmf": keypad input (digits / כן / לא) never counts as a name
+  function applyDeterministicGatesFromUserUtterance(u, { source = "speech" } = {}) {
     const text = String(u || "").trim();
     if (!text) return;
 
     userUtteranceCount += 1;
 
-    if (expectingName && assistantAskedNameAt) {
+    if (source === "speech" && expectingName && assistantAskedNameAt) {
       if (Date.now() - assistantAskedNameAt > MB_NAME_EXPECTING_TTL_MS) {
         expectingName = false;
         assistantAskedNameAt = 0;
       }
     }
 
-    if (!capturedName) {
+    if (source === "speech" && !capturedName) {
       const introName = extractNameFromSelfIntro(text);
       if (introName) {
         const cleanedIntro = sanitizePersonName(introName);
@@ -1797,13 +4158,13 @@ wss.on("connection", (twilioWs) => {
           expectingName = false;
           assistantAskedNameAt = 0;
           if (MB_DEBUG) console.log("[NAME] captured_intro", { name: capturedName });
-          if (callerE164) memory.saveName(callerE164, capturedName, MB_DEBUG).catch(() => {});
+          if (callerE164) memory.saveName(callerE164, capturedName, tenantCtx.tenant.memory_namespace).catch(() => {});
           return;
         }
       }
     }
 
-    if (expectingName && !capturedName) {
+    if (source === "speech" && expectingName && !capturedName) {
       const cleaned = sanitizePersonName(text);
       if (cleaned && looksLikeName(cleaned)) {
         capturedName = cleaned;
@@ -1811,13 +4172,14 @@ wss.on("connection", (twilioWs) => {
         expectingName = false;
         assistantAskedNameAt = 0;
         if (MB_DEBUG) console.log("[NAME] captured", { name: capturedName });
-        if (callerE164) memory.saveName(callerE164, capturedName, MB_DEBUG).catch(() => {});
+        if (callerE164) memory.saveName(callerE164, capturedName, tenantCtx.tenant.memory_namespace).catch(() => {});
         return;
       }
       if (MB_DEBUG) console.log("[NAME] rejected", { utterance: text });
     }
 
     if (
+      source === "speech" &&
       !capturedName &&
       shouldAttemptEarlyNameCapture(capturedName, connStartedAtMs, userUtteranceCount) &&
       looksLikeName(text)
@@ -1829,7 +4191,7 @@ wss.on("connection", (twilioWs) => {
       expectingName = false;
       assistantAskedNameAt = 0;
       if (MB_DEBUG) console.log("[NAME] captured_early", { name: capturedName });
-      if (callerE164) memory.saveName(callerE164, capturedName, MB_DEBUG).catch(() => {});
+      if (callerE164) memory.saveName(callerE164, capturedName, tenantCtx.tenant.memory_namespace).catch(() => {});
       return;
     }
 
@@ -1910,6 +4272,7 @@ wss.on("connection", (twilioWs) => {
             raw_text: clip(oneLine(text), MB_LOG_TURNS_MAX_CHARS),
             digits,
             normalized,
+            source,
             callSid,
             streamSid,
             caller: callerE164,
@@ -1937,6 +4300,7 @@ wss.on("connection", (twilioWs) => {
           raw_text: clip(oneLine(text), MB_LOG_TURNS_MAX_CHARS),
           digits,
           normalized,
+          source,
           callSid,
           streamSid,
           caller: callerE164,
@@ -1951,18 +4315,31 @@ wss.on("connection", (twilioWs) => {
 
   }
 
-  const openaiWs = new WebSocket(
-    `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(OPENAI_REALTIME_MODEL)}`,
-    {
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        "OpenAI-Beta": "realtime=v1",
-      },
-    }
-  );
+  // Created on Twilio "start", once the tenant (voice / prompts / memory namespace) is known
+  let openaiWs = null;
+
+  function connectOpenAI() {
+    if (openaiWs) return;
+    const ws = new WebSocket(
+      `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(OPENAI_REALTIME_MODEL)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${OPENAI_API_KEY}`,
+          "OpenAI-Beta": "realtime=v1",
+        },
+      }
+    );
+    openaiWs = ws;
+    // After a reconnect the dropped socket's late events are ignored
+    ws.on("open", () => ws === openaiWs && onOpenAIOpen());
+    ws.on("message", (raw) => ws === openaiWs && onOpenAIMessage(raw));
+    ws.on("error", (e) => ws === openaiWs && onOpenAIError(e));
+    ws.on("close", (code, reason) => ws === openaiWs && onOpenAIClose(code, reason));
+  }
 
-  openaiWs.on("open", async () => {
+  async function onOpenAIOpen() {
     if (MB_DEBUG) console.log("[OPENAI] ws open");
+    noteRealtimeResult(true);
     openaiReady = true;
     if (callEnding || callEnded) {
       try {
@@ -1970,21 +4347,56 @@ wss.on("connection", (twilioWs) => {
       } catch {}
       return;
     }
+    if (resumeSession) {
+      resumeRealtimeSession();
+      return;
+    }
 
-    const cache = getSSOTCacheFast();
+    const cache = tenantCtx.ssot.getCacheFast();
     if (!cache.ok) {
-      await loadSSOT(true);
+      await tenantCtx.ssot.load(true);
+    }
+
+    const { settings: ssotSettings, prompts: ssotPrompts } = tenantCtx.ssot.state.data;
+    const memoryNamespace = tenantCtx.tenant.memory_namespace;
+
+    // Business hours: IS_OPEN_NOW / NEXT_OPENING / TODAY_HOURS / HOLIDAY_NAME join SETTINGS for this call
+    let hoursNow = null;
+    try {
+      hoursNow = tenantCtx.ssot.getBusinessHours().evaluate(new Date());
+    } catch (e) {
+      console.error("[HOURS] evaluate failed", e && (e.message || e));
+    }
+    hoursAtCallStart = hoursNow;
+    const hoursSettings = hoursNow && hoursNow.enabled ? { ...ssotSettings, ...hoursNow.facts } : ssotSettings;
+    if (hoursNow && hoursNow.enabled) {
+      turnSeq += 1;
+      logTurn({
+        t: nowIso(),
+        seq: turnSeq,
+        kind: "BUSINESS_HOURS",
+        callSid,
+        streamSid,
+        caller: callerE164,
+        tenant: tenantCtx.tenant.id,
+        status: hoursNow.status,
+        is_open: hoursNow.is_open,
+        local_time: hoursNow.local_time,
+        today_hours: hoursNow.today_hours,
+        next_opening: hoursNow.next_opening ? hoursNow.next_opening.at : null,
+        holiday: hoursNow.holiday ? hoursNow.holiday.name_he : null,
+      });
     }
 
-    const { settings, prompts } = ssot.data;
-    const g = getGreetingBucketAndText();
+    const g = getGreetingBucketAndText(hoursNow);
     greetingBucket = g.bucket;
 
     // Memory lookup
     let memoryRow = null;
+    let memoryUpsert = Promise.resolve();
     if (callerE164) {
       try {
-        memoryRow = await memory.lookup(callerE164);
+        memoryRow = await memory.lookup(callerE164, memoryNamespace);
       } catch (e) {
         memoryRow = null;
         if (MB_DEBUG) console.log("[MEMORY] lookup failed", { err: e && (e.message || String(e)) });
@@ -1995,61 +4407,127 @@ wss.on("connection", (twilioWs) => {
       } else {
         if (MB_DEBUG) console.log("[MEMORY] miss", { caller: callerE164 });
       }
-      memory.upsertCall(callerE164).catch(() => {});
+      memoryUpsert = memory.upsertCall(callerE164, memoryNamespace).catch(() => {});
+    }
+
+    // Prompt A/B variants: PROMPTS rows KEY@VARIANT replace MASTER_PROMPT / LEAD_CAPTURE_PROMPT / OPENING_SCRIPT ...
+    let settings = hoursSettings;
+    let prompts = ssotPrompts;
+    const experiments = tenantCtx.ssot.getPromptExperiments();
+    if (MB_PROMPT_VARIANTS_ENABLED && experiments.size) {
+      const storedVariants = MB_PROMPT_VARIANTS_STICKY ? memoryRow?.prompt_variants || null : null;
+      const assigned = experiments.assign({ callSid, sticky: storedVariants });
+      promptVariants = assigned.variants;
+      ({ settings, prompts } = experiments.apply(promptVariants, { settings, prompts }));
+
+      turnSeq += 1;
+      logTurn({
+        t: nowIso(),
+        seq: turnSeq,
+        kind: "PROMPT_VARIANTS",
+        callSid,
+        streamSid,
+        caller: callerE164,
+        tenant: tenantCtx.tenant.id,
+        variants: promptVariants,
+        sticky: assigned.sticky.length ? assigned.sticky : null,
+      });
+
+      const changed = Object.keys(promptVariants).some((k) => storedVariants?.[k] !== promptVariants[k]);
+      if (callerE164 && MB_PROMPT_VARIANTS_STICKY && changed) {
+        const variants = promptVariants;
+        memoryUpsert.then(() => memory.savePromptVariants(callerE164, variants, memoryNamespace)).catch(() => {});
+      }
     }
 
     // OPENING
     const openingTemplate = settings.OPENING_SCRIPT || "";
     const returningTemplate = settings.OPENING_SCRIPT_RETURNING || "";
+    const closedTemplate = callMode === "outbound" ? "" : pickClosedOpeningTemplate(settings, hoursNow);
+    const outboundTemplate =
+      safeStr(settings.OUTBOUND_OPENING_SCRIPT) ||
+      "{GREETING}{#if CALLER_NAME} {CALLER_NAME}{/if}, מדברת {BOT_NAME|בטי} מ{BUSINESS_NAME|המשרד}. חוזרת אליך כפי שביקשת, זה זמן נוח?";
 
     let opening = "";
     let memName = null;
     if (memoryRow && memoryRow.name) {
       memName = sanitizePersonName(memoryRow.name) || memoryRow.name;
       capturedName = memName; // returning caller prefill
+    }
+
+    // Every SETTINGS key (incl. business-hours facts) + per-call GREETING / CALLER_NAME
+    const templateVars = { ...settings, GREETING: g.text, CALLER_NAME: memName || "" };
+
+    if (callMode === "outbound") {
+      opening = injectVars(outboundTemplate, templateVars);
+    } else if (closedTemplate) {
+      opening = injectVars(closedTemplate, templateVars);
+    } else if (memName) {
       if (String(returningTemplate || "").trim()) {
-        opening = injectVars(returningTemplate, {
-          GREETING: g.text,
-          BOT_NAME: settings.BOT_NAME,
-          BUSINESS_NAME: settings.BUSINESS_NAME,
-          CALLER_NAME: memName,
-        });
+        opening = injectVars(returningTemplate, templateVars);
       } else {
         opening = `${g.text}, ${memName}, נעים לשמוע ממך שוב. איך נוכל לעזור?`;
       }
     } else {
-      opening = injectVars(openingTemplate, {
-        GREETING: g.text,
-        BOT_NAME: settings.BOT_NAME,
-        BUSINESS_NAME: settings.BUSINESS_NAME,
-      });
+      opening = injectVars(openingTemplate, templateVars);
     }
+    const openingSource =
+      callMode === "outbound" ? outboundTemplate : closedTemplate || (memName ? returningTemplate : openingTemplate);
+    notePhraseLine(opening, openingSource, templateVars);
 
     const settingsContext = buildSettingsContext(settings);
 
+    fillerCfg = parseFillerSettings(settings, { mode: MB_FILLER_MODE, after_ms: MB_FILLER_AFTER_MS });
+    const silence = silenceTimeouts(settings);
+    if (silence.reprompt_ms > 0 || silence.hangup_ms > 0) {
+      const repromptTemplate = settings.SILENCE_REPROMPT_SCRIPT || "אני עדיין כאן, אפשר להמשיך?";
+      silenceCfg = {
+        ...silence,
+        reprompt_text: injectVars(repromptTemplate, templateVars),
+        closing_text: injectVars(settings.SILENCE_CLOSING_SCRIPT || "", templateVars) || null,
+      };
+      notePhraseLine(silenceCfg.reprompt_text, repromptTemplate, templateVars);
+      notePhraseLine(silenceCfg.closing_text, settings.SILENCE_CLOSING_SCRIPT, templateVars);
+    }
+    kbActive = MB_KB_ENABLED && tenantCtx.ssot.getKnowledgeBase().size > 0;
+
     const memoryRepeatTemplate = safeStr(settings.MEMORY_REPEAT_TEMPLATE || "");
     let memoryRule = "";
     if (memName && memoryRepeatTemplate) {
-      memoryRule = injectVars(memoryRepeatTemplate, { CALLER_NAME: memName });
+      memoryRule = injectVars(memoryRepeatTemplate, templateVars);
     } else if (memName) {
       memoryRule = `שיחה חוזרת מזוהה: שם קודם="${memName}". אל תשאלי שוב לשם אלא אם הלקוח מתקן. המשיכי ישר להבנת הנושא.`;
     }
 
-    const master = injectVars(prompts.MASTER_PROMPT || "", settings);
-    const guard = injectVars(prompts.GUARDRAILS_PROMPT || "", settings);
-    const kb = injectVars(prompts.KB_PROMPT || "", settings);
-    const leadCapture = injectVars(prompts.LEAD_CAPTURE_PROMPT || "", settings);
+    const master = injectVars(prompts.MASTER_PROMPT || "", templateVars);
+    const guard = injectVars(prompts.GUARDRAILS_PROMPT || "", templateVars);
+    const kb = injectVars(prompts.KB_PROMPT || "", templateVars);
+    const leadCapture = injectVars(prompts.LEAD_CAPTURE_PROMPT || "", templateVars);
 
     const hardNoHallucinationLayer = [
       "חוק על: SETTINGS_CONTEXT הוא מקור האמת היחיד לפרטי המשרד והערכים העסקיים.",
       "אסור להשתמש בשום מידע שלא מופיע ב-SETTINGS_CONTEXT.",
       "אם נשאלת שאלה שאין לה ערך מפורש ב-SETTINGS_CONTEXT - השתמשי ב-NO_DATA_MESSAGE מתוך SETTINGS ואז חזרי לשיחה.",
       "OPENING_SCRIPT: כאשר משתמשים בו - יש לומר מילה במילה ללא שינוי.",
+      hoursNow && hoursNow.enabled
+        ? "IS_OPEN_NOW / NEXT_OPENING / TODAY_HOURS ב-SETTINGS_CONTEXT חושבו בתחילת השיחה לפי שעות הפעילות והחגים - אל תנחשי אם המשרד פתוח, עני רק לפיהם."
+        : "",
+      kbActive
+        ? "KB_CONTEXT: לפני תשובה עשויה להגיע הודעת מערכת KB_CONTEXT עם שורות ממאגר הידע - גם היא מקור אמת מותר, בנוסף ל-SETTINGS_CONTEXT."
+        : "",
       "אין לטעון שמרגריטה עזבה/אינה עובדת; מותר רק לומר שהיא לא זמינה כרגע.",
       "אם יש CALLER_NAME מזוהה מהזיכרון: אסור לשאול שוב 'מה השם' או 'איך קוראים' אלא אם הלקוח מתקן שם מפורשות.",
-    ].join(" ");
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    const outboundRule =
+      callMode === "outbound"
+        ? "שיחה יוצאת: את התקשרת ללקוח כי ביקש שיחה חוזרת. אל תשאלי למה התקשר ואל תבקשי שוב מספר לחזרה; בררי במה אפשר לעזור."
+        : "";
 
     const instructions = [
+      outboundRule,
       memoryRule,
       master,
       guard,
@@ -2064,19 +4542,26 @@ wss.on("connection", (twilioWs) => {
 
     const session = {
       modalities: ["audio", "text"],
-      voice: OPENAI_VOICE,
+      voice: tenantCtx.tenant.voice || OPENAI_VOICE,
       input_audio_format: "g711_ulaw",
       output_audio_format: "g711_ulaw",
       instructions,
       turn_detection: {
         type: "server_vad",
-        threshold: MB_VAD_THRESHOLD,
-        silence_duration_ms: MB_VAD_SILENCE_MS,
-        prefix_padding_ms: MB_VAD_PREFIX_MS,
+        // Per tenant SETTINGS VAD_* over MB_VAD_*
+        ...audioSettingsFor(settings).vad,
+        // KB turns are created by us once retrieval is injected
+        ...(kbActive ? { create_response: false } : {}),
       },
       max_response_output_tokens: "inf",
     };
 
+    // Warm transfer by the model (SETTINGS TRANSFER_NUMBER)
+    if (MB_TRANSFER_ENABLED && MB_TRANSFER_MODEL_TOOL && parseTransferSettings(settings).number) {
+      session.tools = [TRANSFER_TOOL];
+      session.tool_choice = "auto";
+    }
+
     if (MB_TRANSCRIPTION_MODEL) {
       session.input_audio_transcription = {
         model: MB_TRANSCRIPTION_MODEL,
@@ -2086,6 +4571,7 @@ wss.on("connection", (twilioWs) => {
 
     safeSend(openaiWs, { type: "session.update", session });
     sessionConfigured = true;
+    resumeSession = session;
 
     // CALL_LOG
     sendCallLogOnce().catch(() => {});
@@ -2109,31 +4595,35 @@ wss.on("connection", (twilioWs) => {
 
     if (MB_HALF_DUPLEX && assistantSpeaking) return;
 
-    safeSend(openaiWs, {
-      type: "response.create",
-      response: {
-        modalities: ["audio", "text"],
-        instructions: "דברי עכשיו את הטקסט הבא ללא תוספות לפני/אחרי, באותו ניסוח בדיוק:\n" + opening,
-      },
-    });
+    const openingCached = playCachedPhrase(openaiWs, opening, "OPENING");
+    if (!openingCached) {
+      safeSend(openaiWs, {
+        type: "response.create",
+        response: {
+          modalities: ["audio", "text"],
+          instructions: "דברי עכשיו את הטקסט הבא ללא תוספות לפני/אחרי, באותו ניסוח בדיוק:\n" + opening,
+        },
+      });
+      startPhraseCapture(opening, "OPENING");
+    }
 
     clearedInputOnThisResponse = false;
     if (MB_DEBUG) {
       const tSinceConn = Date.now() - connT0;
       const tSinceStart = twilioStartAt ? Date.now() - twilioStartAt : null;
-      console.log("[OPENING] response.create", { assistantSpeaking });
+      console.log(openingCached ? "[OPENING] phrase cache" : "[OPENING] response.create", { assistantSpeaking });
       console.log("[LATENCY] opening response.create sent", {
         ms_since_ws_connection: tSinceConn,
         ms_since_twilio_start: tSinceStart,
       });
     }
 
-    responseInFlight = true;
+    if (!openingCached) responseInFlight = true;
     flushAudioQueue(openaiWs);
     if (pendingCreate) maybeCreateResponse(openaiWs, "pending_after_open");
-  });
+  }
 
-  openaiWs.on("message", (raw) => {
+  function onOpenAIMessage(raw) {
     let msg;
     try {
       msg = JSON.parse(raw.toString());
@@ -2240,10 +4730,16 @@ wss.on("connection", (twilioWs) => {
 
     // BARGE-IN hooks
     if (msg.type === "input_audio_buffer.speech_started") {
+      resetSilence();
       if (MB_HALF_DUPLEX && (assistantSpeaking || responseInFlight)) {
         return;
       }
       onSpeechStarted(openaiWs);
+      // Caller kept talking: the next speech_stopped starts a fresh KB turn
+      if (kbWait) {
+        clearTimeout(kbWait.timer);
+        kbWait = null;
+      }
       return;
     }
     if (msg.type === "input_audio_buffer.speech_stopped") {
@@ -2251,6 +4747,7 @@ wss.on("connection", (twilioWs) => {
         return;
       }
       onSpeechStopped();
+      speechStoppedAt = Date.now();
 
       if (lastUserUtterance) {
         // Additive: keep a minimal user transcript line
@@ -2258,48 +4755,11 @@ wss.on("connection", (twilioWs) => {
         applyDeterministicGatesFromUserUtterance(lastUserUtterance);
       }
 
-      if (closingForced) {
-        beginCallEnding("closing_forced", openaiWs, twilioWs, { sendClosing: true });
-        decideAndSendOnEnd("closing_forced").catch(() => {});
-        return;
-      }
-
-      if (callbackNumberRetryPrompt) {
-        const sent = sendFixedResponse(
-          openaiWs,
-          "אוקיי, מה המספר הנכון?",
-          "callback_number_retry",
-          "CALLBACK_RETRY"
-        );
-        if (sent) {
-          callbackNumberRetryPrompt = false;
-        }
-        return;
-      }
-
-      if (callbackNumberJustCaptured && callbackNumberSpoken) {
-        const confirmText = `רק לוודא, המספר הוא: ${callbackNumberSpoken}. זה נכון?`;
-        const sent = sendFixedResponse(openaiWs, confirmText, "callback_number_confirm", "CALLBACK_CONFIRM");
-        if (sent) {
-          callbackNumberJustCaptured = false;
-          expectingCallbackNumberConfirm = true;
-          turnSeq += 1;
-          logTurn({
-            t: nowIso(),
-            seq: turnSeq,
-            kind: "CALLBACK_NUMBER_CONFIRM_PROMPT",
-            normalized: callbackToNumber,
-            spoken: callbackNumberSpoken,
-            callSid,
-            streamSid,
-            caller: callerE164,
-          });
-          return;
-        }
-        return;
-      }
+      // Announcing / dialing a transfer: the bot stays quiet until the call is redirected
+      if (transferState && transferState.status !== "unavailable") return;
+      if (lastUserUtterance && maybeTransferFromUtterance(lastUserUtterance)) return;
 
-      maybeCreateResponse(openaiWs, "speech_stopped");
+      respondAfterGates(() => createResponseWithKb(openaiWs, "speech_stopped"));
       return;
     }
 
@@ -2371,6 +4831,7 @@ wss.on("connection", (twilioWs) => {
       }
       if (line) maybeAppendBotToConversationLog(line);
       botTranscriptLineBuf = "";
+      if (phraseCapture && phraseCapture.response_id === msg.response_id) phraseCapture.transcript = line;
 
       // Stop INFO capture after the first assistant answer block ends
       if (infoAnswerCaptureActive) infoAnswerCaptureActive = false;
@@ -2390,21 +4851,30 @@ wss.on("connection", (twilioWs) => {
       if (infoAnswerCaptureActive) infoAnswerCaptureActive = false;
     }
 
-    if (msg.type === "response.audio.done" || msg.type === "response.completed") {
-      responseInFlight = false;
-      assistantSpeaking = false;
-      clearedInputOnThisResponse = false;
-      if (closingResponsePending) {
-        closingResponsePending = false;
-        finalizeCallAfterClosing("closing_audio_done", openaiWs, twilioWs);
+    if (msg.type === "response.done") {
+      if (phraseCapture) finishPhraseCapture(msg.response);
+      // No audio at all (cancelled, tool call only): nothing to measure, no cue
+      if (firstAudioWait) {
+        firstAudioWait = null;
+        stopFiller();
       }
+      const output = Array.isArray(msg.response?.output) ? msg.response.output : [];
+      const call = output.find((o) => o && o.type === "function_call" && o.name === TRANSFER_TOOL.name);
+      if (call) onTransferToolCall(call);
+      return;
+    }
+
+    if (msg.type === "response.audio.done" || msg.type === "response.completed") {
+      onAssistantAudioDone(msg.item_id);
       return;
     }
 
     // AUDIO OUT (DO NOT TOUCH) – but allow drop window after barge-in cancel
     if (msg.type === "response.audio.delta" && streamSid) {
+      if (firstAudioWait) onFirstAudio();
       if (!assistantSpeaking) {
         assistantSpeaking = true;
+        pauseSilenceTimer();
       }
       if (!clearedInputOnThisResponse) {
         clearOpenAIInputAudioBuffer(openaiWs);
@@ -2414,6 +4884,7 @@ wss.on("connection", (twilioWs) => {
       if (callEnded) return;
       if (callEnding && !closingResponsePending) return;
       if (dropAudioUntilTs && Date.now() < dropAudioUntilTs) return;
+      if (cutAudioItemId && msg.item_id === cutAudioItemId) return;
 
       try {
         twilioWs.send(
@@ -2423,21 +4894,176 @@ wss.on("connection", (twilioWs) => {
             media: { payload: msg.delta },
           })
         );
+        if (MB_PLAYBACK_MARKS) {
+          playback.onAudioSent({ itemId: msg.item_id, contentIndex: msg.content_index, payload: msg.delta });
+        }
+        noteOutboundAudio(msg.delta);
+        if (phraseCapture) {
+          phraseCapture.response_id = phraseCapture.response_id || msg.response_id || null;
+          const ours = phraseCapture.response_id === msg.response_id;
+          if (ours) phraseCapture.chunks.push(Buffer.from(msg.delta, "base64"));
+        }
       } catch (e) {
         console.error("[TWILIO] send media failed", e && (e.message || e));
       }
     }
-  });
+  }
 
-  openaiWs.on("error", (e) => {
+  function onOpenAIError(e) {
     responseInFlight = false;
+    if (!openaiReady) noteRealtimeResult(false, e);
     console.error("[OPENAI] ws error", e && (e.message || e));
-  });
+  }
 
-  openaiWs.on("close", (code, reason) => {
+  function onOpenAIClose(code, reason) {
     responseInFlight = false;
     if (MB_DEBUG) console.log("[OPENAI] ws closed", { code, reason: String(reason || "") });
-  });
+    // Only a configured session is resumed; the ending flow and our own close are left alone
+    if (!MB_OPENAI_RECONNECT || !resumeSession || streamRejected || callEnding || callEnded) return;
+    onRealtimeLost(code, reason);
+  }
+
+  /* ---- Realtime reconnect ---- */
+  // Whatever the model was saying is gone; caller audio queues up (audioQueue) until the session is back
+  function onRealtimeLost(code, reason) {
+    openaiReady = false;
+    sessionConfigured = false;
+    assistantSpeaking = false;
+    speechActive = false;
+    phraseCapture = null;
+    firstAudioWait = null;
+    stopFiller();
+    pauseSilenceTimer();
+    if (!reconnectLostAt) {
+      reconnectLostAt = Date.now();
+      reconnect.drops += 1;
+      realtimeReconnectStats.drops += 1;
+      realtimeReconnectStats.last_drop_at = nowIso();
+    }
+
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "REALTIME_RECONNECT",
+      action: reconnectTries ? "retry_failed" : "lost",
+      code: code || null,
+      reason: clip(oneLine(String(reason || "")), 200) || null,
+      tries: reconnectTries,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+
+    if (reconnectTries >= MB_OPENAI_RECONNECT_MAX) {
+      giveUpRealtime();
+      return;
+    }
+    const delay = Math.min(MB_OPENAI_RECONNECT_MAX_MS, MB_OPENAI_RECONNECT_BASE_MS * 2 ** reconnectTries);
+    reconnectTries += 1;
+    reconnect.attempts += 1;
+    realtimeReconnectStats.attempts += 1;
+    if (MB_DEBUG) console.log("[OPENAI] reconnect scheduled", { try: reconnectTries, delay_ms: delay });
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (callEnding || callEnded) return;
+      openaiWs = null;
+      connectOpenAI();
+    }, delay);
+  }
+
+  // Fresh socket: same instructions, the conversation so far as items, then an apology and carry on
+  function resumeRealtimeSession() {
+    safeSend(openaiWs, { type: "session.update", session: resumeSession });
+    sessionConfigured = true;
+
+    const turns = conversationLog.slice(-Math.max(0, MB_OPENAI_RESUME_MAX_ITEMS));
+    for (const turn of turns) {
+      const bot = turn.from === "bot";
+      safeSend(openaiWs, {
+        type: "conversation.item.create",
+        item: {
+          type: "message",
+          role: bot ? "assistant" : "user",
+          content: [{ type: bot ? "text" : "input_text", text: turn.text }],
+        },
+      });
+    }
+
+    const gapMs = reconnectLostAt ? Date.now() - reconnectLostAt : null;
+    reconnect.resumed += 1;
+    realtimeReconnectStats.resumed += 1;
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "REALTIME_RECONNECT",
+      action: "resumed",
+      tries: reconnectTries,
+      gap_ms: gapMs,
+      replayed_items: turns.length,
+      queued_frames: audioQueue.length,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    reconnectTries = 0;
+    reconnectLostAt = null;
+
+    turnSeq += 1;
+    lastAsstCreateId += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "ASST_CREATE",
+      create_id: lastAsstCreateId,
+      reason: "realtime_reconnect",
+      note: "apology_then_continue",
+      callSid,
+      streamSid,
+      caller: callerE164,
+      half_duplex: MB_HALF_DUPLEX,
+      bargein: MB_BARGEIN_ENABLED,
+    });
+    safeSend(openaiWs, {
+      type: "response.create",
+      response: {
+        modalities: ["audio", "text"],
+        instructions:
+          "היה ניתוק קצר בקו. התנצלי במשפט קצר אחד (למשל: \"סליחה, היה לנו רגע ניתוק\") והמשיכי בדיוק מהנקודה " +
+          "שבה השיחה נעצרה; אם שאלת שאלה ולא קיבלת תשובה – חזרי עליה.",
+      },
+    });
+    responseInFlight = true;
+    pendingCreate = false;
+    lastResponseCreateAt = Date.now();
+    userFramesSinceLastCreate = 0;
+    clearedInputOnThisResponse = false;
+    if (MB_DEBUG) console.log("[OPENAI] session resumed", { gap_ms: gapMs, replayed_items: turns.length });
+    flushAudioQueue(openaiWs);
+  }
+
+  // Out of tries: nobody can talk to the caller any more – end the call and decide on what was captured
+  function giveUpRealtime() {
+    reconnect.gave_up = true;
+    realtimeReconnectStats.gave_up += 1;
+    console.error("[OPENAI] reconnect failed, ending call", { callSid, tries: reconnectTries });
+    turnSeq += 1;
+    logTurn({
+      t: nowIso(),
+      seq: turnSeq,
+      kind: "REALTIME_RECONNECT",
+      action: "gave_up",
+      tries: reconnectTries,
+      gap_ms: reconnectLostAt ? Date.now() - reconnectLostAt : null,
+      callSid,
+      streamSid,
+      caller: callerE164,
+    });
+    beginCallEnding("openai_unavailable", openaiWs, twilioWs, { sendClosing: false });
+    decideAndSendOnEnd("openai_unavailable").catch(() => {});
+  }
 
   twilioWs.on("message", (raw) => {
     let msg;
@@ -2447,9 +5073,18 @@ wss.on("connection", (twilioWs) => {
       return;
     }
 
+    if (streamRejected) return;
+
     if (msg.event === "start") {
       streamSid = msg.start?.streamSid || null;
       callSid = msg.start?.callSid || null;
+
+      const streamCheck = streamAuth.verify({ callSid, token: msg.start?.customParameters?.token });
+      if (!streamCheck.ok) {
+        rejectStream("stream_auth_failed", { auth: streamCheck.reason });
+        return;
+      }
+      clearTimeout(streamStartTimer);
       twilioStartAt = Date.now();
 
       const callerRaw = msg.start?.customParameters?.caller || msg.start?.caller || null;
@@ -2457,6 +5092,19 @@ wss.on("connection", (twilioWs) => {
 
       callerE164 = memory.normalizeE164(callerRaw);
       calledE164 = memory.normalizeE164(calledRaw);
+      if (msg.start?.customParameters?.mode === "outbound") {
+        callMode = "outbound";
+        callbackId = safeStr(msg.start.customParameters.callback_id) || null;
+      }
+
+      const resolved = tenants.resolve({
+        calledE164: calledE164 || calledRaw,
+        tenantParam: msg.start?.customParameters?.tenant,
+      });
+      tenantCtx = getTenantContext(resolved.tenant.id);
+      tenantMatchedBy = resolved.matched_by;
+      audioGate = createAudioGate(audioSettingsFor(tenantCtx.ssot.state.data?.settings || {}).gate);
+      const ssot = tenantCtx.ssot.state;
 
       if (MB_DEBUG) {
         console.log("[WS] start", {
@@ -2478,24 +5126,39 @@ wss.on("connection", (twilioWs) => {
         streamSid,
         caller: callerE164,
         called: calledE164,
+        call_direction: callMode,
+        callback_id: callbackId,
         half_duplex: MB_HALF_DUPLEX,
         bargein: MB_BARGEIN_ENABLED,
+        tenant: tenantCtx.tenant.id,
+        tenant_matched_by: tenantMatchedBy,
         ssot_loaded_at: ssot.loaded_at || null,
+        ssot_version: ssot.version || null,
+        ssot_serving_from: ssot.serving_from || null,
         ssot_stale: Date.now() >= ssot._expires ? true : false,
       });
 
-      // NEW (v2 recording): start recording at call start (best effort; does not change flow)
-      if (MB_ENABLE_RECORDING && callSid) {
+      if (MB_SERVER_RECORDING && callSid) recorder = createCallRecorder({ maxSec: MB_RECORDING_MAX_SEC });
+
+      // NEW (v2 recording): start recording at call start (best effort; does not change flow).
+      // Calls answered by /twilio/voice already record from the TwiML <Start><Recording>
+      const twimlRecording = msg.start?.customParameters?.recording === "twiml";
+      if (MB_ENABLE_RECORDING && !MB_SERVER_RECORDING && !twimlRecording && callSid) {
         startRecordingIfEnabled(callSid, "RECORDING_V2_START").catch(() => {});
       }
 
+      connectOpenAI();
       return;
     }
 
     if (msg.event === "media") {
-      const payload = msg.media?.payload;
-      if (!payload) return;
+      if (!msg.media?.payload) return;
+      if (recorder) recorder.onCaller(msg.media.payload, msg.media.timestamp);
       if (callEnding || callEnded) return;
+      // Noise below the adaptive floor reaches OpenAI as silence (stats either way)
+      const payload = audioGate ? audioGate.process(msg.media.payload).payload : msg.media.payload;
+      // Echo is only classified (barge-in gate); the audio itself still reaches OpenAI untouched
+      if (echo) echo.process(msg.media.payload);
 
       // Half-duplex: drop user audio while assistant is speaking
       if (MB_HALF_DUPLEX && (assistantSpeaking || responseInFlight)) {
@@ -2515,8 +5178,20 @@ wss.on("connection", (twilioWs) => {
       return;
     }
 
+    if (msg.event === "mark") {
+      if (msg.mark?.name === TRANSFER_MARK) executeTransfer().catch(() => {});
+      else onPlaybackMark(msg.mark?.name);
+      return;
+    }
+
+    if (msg.event === "dtmf") {
+      onDtmf(msg.dtmf?.digit);
+      return;
+    }
+
     if (msg.event === "stop") {
       callEndedAtIso = nowIso();
+      streamOver("twilio_stop");
       beginCallEnding("twilio_stop", openaiWs, twilioWs, { sendClosing: false });
 
       if (MB_DEBUG) console.log("[WS] stop", { callSid: msg.stop?.callSid || callSid });
@@ -2529,15 +5204,20 @@ wss.on("connection", (twilioWs) => {
   // P0: also decide on WS close (in case stop is missed)
   twilioWs.on("close", () => {
     if (MB_DEBUG) console.log("[WS] closed");
+    clearTimeout(streamStartTimer);
+    streamOver("twilio_close");
+    if (streamRejected) return;
     if (!callEndedAtIso) {
       callEndedAtIso = nowIso();
       decideAndSendOnEnd("twilio_close").catch(() => {});
     }
+    if (recorder) saveServerRecording("twilio_close").catch(() => {});
     beginCallEnding("twilio_close", openaiWs, twilioWs, { sendClosing: false });
   });
 
   twilioWs.on("error", (e) => {
     console.error("[TWILIO] ws error", e && (e.message || e));
+    if (streamRejected) return;
     beginCallEnding("twilio_error", openaiWs, twilioWs, { sendClosing: false });
     try {
       if (openaiWs && openaiWs.readyState === WebSocket.OPEN) openaiWs.close(1011, "twilio_error");
@@ -2549,4 +5229,16 @@ server.listen(PORT, () => {
   const base = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
   console.log(`==> Service live on port ${PORT}`);
   console.log(`==> Health: ${base}/health`);
+  callbacks.start();
+});
+
+// Deploy / restart: write the pending intent suggestions before the process goes away
+process.on("SIGTERM", () => {
+  console.log("==> SIGTERM, flushing intent suggestions");
+  callbacks.stop();
+  server.close();
+  setTimeout(() => process.exit(0), 10_000).unref();
+  Promise.all(Array.from(tenantContexts.values()).map((ctx) => ctx.intentSuggestions.stop()))
+    .catch(() => {})
+    .finally(() => process.exit(0));
 });
@@ -0,0 +1,102 @@
+// smsConfirmation.js
+// Index Betty – post-call SMS confirmation
+// After a FINAL / PARTIAL lead the caller gets SETTINGS SMS_CONFIRMATION_TEMPLATE (template.js syntax; per-call
+// vars CALLER_NAME, MESSAGE_SUMMARY, CALLBACK_NUMBER) through the Twilio Messages API. Only Israeli mobile
+// numbers (05X, after normalizePhoneLocal) get one: the confirmed callback number, else the caller ID.
+// Replies STOP / הסר opt the number out (caller_memory.sms_opt_out), START / חידוש opt it back in.
+// Delivery: the Messages StatusCallback (queued -> sent -> delivered / undelivered / failed) updates the registry.
+
+const OPT_OUT_WORDS = new Set(["stop", "stopall", "unsubscribe", "cancel", "end", "quit", "הסר", "הסרה", "הפסק"]);
+const OPT_IN_WORDS = new Set(["start", "unstop", "חידוש"]);
+const FINAL_STATUSES = new Set(["delivered", "undelivered", "failed", "read"]);
+
+function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// SETTINGS -> sms config; template "" = SMS confirmation off for this tenant
+function parseSmsSettings(settings = {}) {
+  const maxChars = Number(settings.SMS_MAX_CHARS);
+  return {
+    template: safeStr(settings.SMS_CONFIRMATION_TEMPLATE),
+    from: safeStr(settings.SMS_FROM).replace(/[^\d+A-Za-z]/g, "") || null,
+    summary_max_chars: Number.isFinite(maxChars) && maxChars >= 20 ? maxChars : 80,
+    opt_out_reply: safeStr(settings.SMS_OPT_OUT_REPLY),
+  };
+}
+
+// Local number (normalizePhoneLocal output) -> true for 05X mobiles
+function isIsraeliMobile(local) {
+  return /^05\d{8}$/.test(safeStr(local));
+}
+
+// Reply text -> "out" / "in" / null (first word only, so a sentence mentioning "stop" is not an opt-out)
+function matchOptKeyword(text) {
+  const first = safeStr(text)
+    .toLowerCase()
+    .split(/[\s.,!?]+/)
+    .filter(Boolean)[0];
+  if (!first) return null;
+  if (OPT_OUT_WORDS.has(first)) return "out";
+  if (OPT_IN_WORDS.has(first)) return "in";
+  return null;
+}
+
+function summarizeMessage(text, maxChars) {
+  const t = safeStr(text).replace(/\s+/g, " ");
+  return t.length <= maxChars ? t : t.slice(0, maxChars - 1) + "…";
+}
+
+/* ================== Delivery registry ================== */
+// MessageSid -> { call_sid, tenant_id, to, status, error_code }; counts per final status for /health
+function createSmsRegistry({ ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+  const bySid = new Map();
+  const counts = { queued: 0, sent: 0, delivered: 0, undelivered: 0, failed: 0, skipped: 0 };
+
+  function prune() {
+    const cutoff = Date.now() - ttlMs;
+    for (const [k, v] of bySid) if (v.created_ms < cutoff) bySid.delete(k);
+  }
+
+  function sent(messageSid, info = {}) {
+    prune();
+    counts.queued += 1;
+    const entry = { ...info, message_sid: messageSid, status: "queued", error_code: null, created_ms: Date.now() };
+    entry.sent_at = nowIso();
+    entry.updated_at = entry.sent_at;
+    bySid.set(messageSid, entry);
+    return entry;
+  }
+
+  // -> the entry (null for messages this process did not send or already forgot)
+  function update(messageSid, status, errorCode) {
+    const entry = bySid.get(safeStr(messageSid)) || null;
+    const s = safeStr(status).toLowerCase();
+    if (!entry || !s || FINAL_STATUSES.has(entry.status)) return entry;
+    entry.status = s;
+    entry.error_code = safeStr(errorCode) || null;
+    entry.updated_at = nowIso();
+    if (s in counts) counts[s] += 1;
+    return entry;
+  }
+
+  return {
+    sent,
+    update,
+    skipped: () => (counts.skipped += 1),
+    get: (sid) => bySid.get(safeStr(sid)) || null,
+    summarize: () => ({ tracked: bySid.size, ...counts }),
+  };
+}
+
+module.exports = {
+  parseSmsSettings,
+  isIsraeliMobile,
+  matchOptKeyword,
+  summarizeMessage,
+  createSmsRegistry,
+};
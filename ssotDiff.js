@@ -0,0 +1,110 @@
+// ssotDiff.js
+// Index Betty – structured diff between two SSOT versions
+// Used by /admin/reload-sheets (incl. dry-run) and the /admin/ssot/* routes so sheet editors
+// can see exactly which SETTINGS / PROMPTS / INTENTS changed before (or after) activation.
+
+const MAX_VALUE_CHARS = 300;
+
+function clipValue(v) {
+  const s = String(v ?? "");
+  return s.length <= MAX_VALUE_CHARS ? s : s.slice(0, MAX_VALUE_CHARS) + "…";
+}
+
+function diffMap(before, after, { withValues }) {
+  const a = before || {};
+  const b = after || {};
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const k of Object.keys(b)) {
+    if (!(k in a)) added.push(k);
+    else if (String(a[k] ?? "") !== String(b[k] ?? "")) {
+      changed.push(
+        withValues
+          ? { key: k, before: clipValue(a[k]), after: clipValue(b[k]) }
+          : { key: k, before_chars: String(a[k] ?? "").length, after_chars: String(b[k] ?? "").length }
+      );
+    }
+  }
+  for (const k of Object.keys(a)) {
+    if (!(k in b)) removed.push(k);
+  }
+
+  return { added, removed, changed };
+}
+
+// INTENTS may hold several rows per intent; compare the rows grouped by intent name.
+function groupIntents(rows) {
+  const out = {};
+  for (const r of rows || []) {
+    const name = String(r?.intent || "").trim();
+    if (!name) continue;
+    (out[name] = out[name] || []).push({
+      priority: Number(r.priority) || 0,
+      trigger_type: String(r.trigger_type || ""),
+      triggers_he: Array.isArray(r.triggers_he) ? r.triggers_he.join(",") : String(r.triggers_he || ""),
+    });
+  }
+  return out;
+}
+
+function diffIntents(before, after) {
+  const a = groupIntents(before);
+  const b = groupIntents(after);
+  const added = Object.keys(b).filter((k) => !(k in a));
+  const removed = Object.keys(a).filter((k) => !(k in b));
+  const changed = Object.keys(b)
+    .filter((k) => k in a && JSON.stringify(a[k]) !== JSON.stringify(b[k]))
+    .map((k) => ({ intent: k, before: a[k], after: b[k] }));
+  return { added, removed, changed };
+}
+
+// HOURS / HOLIDAYS / KB / KEYPAD are row lists; report row counts and whether anything changed.
+function diffRows(before, after) {
+  const a = before || [];
+  const b = after || [];
+  return { before: a.length, after: b.length, changed: JSON.stringify(a) !== JSON.stringify(b) };
+}
+
+function isEmptyDiff(d) {
+  return !d.added.length && !d.removed.length && !d.changed.length;
+}
+
+function diffSsot(before, after) {
+  const settings = diffMap(before?.settings, after?.settings, { withValues: true });
+  // Prompts are long; report sizes here, full text is available per version
+  const prompts = diffMap(before?.prompts, after?.prompts, { withValues: false });
+  const promptWeights = diffMap(before?.prompt_weights, after?.prompt_weights, { withValues: true });
+  const intents = diffIntents(before?.intents, after?.intents);
+  const suggestionsBefore = (before?.intent_suggestions || []).length;
+  const suggestionsAfter = (after?.intent_suggestions || []).length;
+  const hours = diffRows(before?.hours, after?.hours);
+  const holidays = diffRows(before?.holidays, after?.holidays);
+  const kb = diffRows(before?.kb, after?.kb);
+  const keypad = diffRows(before?.keypad, after?.keypad);
+
+  return {
+    changed:
+      !isEmptyDiff(settings) ||
+      !isEmptyDiff(prompts) ||
+      !isEmptyDiff(promptWeights) ||
+      !isEmptyDiff(intents) ||
+      suggestionsBefore !== suggestionsAfter ||
+      hours.changed ||
+      holidays.changed ||
+      kb.changed ||
+      keypad.changed,
+    settings,
+    prompts,
+    prompt_weights: promptWeights,
+    intents,
+    intent_suggestions: { before: suggestionsBefore, after: suggestionsAfter },
+    hours,
+    holidays,
+    kb,
+    keypad,
+  };
+}
+
+module.exports = { diffSsot };
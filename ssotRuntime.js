@@ -0,0 +1,539 @@
+// ssotRuntime.js
+// Index Betty – live SSOT state for one tenant
+// Owns the active data (ssot.data), TTL refresh, validation, last-known-good snapshot fallback,
+// pin / rollback and the engines built from it (INTENTS router, HOURS / HOLIDAYS, KB retrieval,
+// PROMPTS A/B variants, KEYPAD menu).
+// server.js keeps one runtime per tenant.
+
+const { parseSsotTabs } = require("./ssotSource");
+const { computeSsotVersion } = require("./ssotStore");
+const { diffSsot } = require("./ssotDiff");
+const { createIntentRouter } = require("./intentRouter");
+const { isApproved } = require("./intentSuggestions");
+const { createBusinessHours, HOURS_FACT_KEYS } = require("./businessHours");
+const { createKnowledgeBase } = require("./knowledgeBase");
+const { createKeypadMenu } = require("./keypad");
+const { createPromptExperiments } = require("./promptVariants");
+const { analyzeTemplate } = require("./template");
+
+// P1: required SSOT keys (non-secret)
+const REQUIRED_SETTINGS_KEYS = [
+  "BUSINESS_NAME",
+  "BOT_NAME",
+  "DEFAULT_LANGUAGE",
+  "MAIN_PHONE",
+  "BUSINESS_EMAIL",
+  "BUSINESS_ADDRESS",
+  "WORKING_HOURS",
+  "OPENING_SCRIPT",
+  "OPENING_SCRIPT_RETURNING",
+  "NO_DATA_MESSAGE",
+  "CLOSING_SCRIPT",
+];
+
+const REQUIRED_PROMPTS = ["MASTER_PROMPT", "GUARDRAILS_PROMPT", "KB_PROMPT", "LEAD_CAPTURE_PROMPT"];
+
+// Template variables filled per call by server.js (besides SETTINGS keys)
+const TEMPLATE_CALL_VARS = ["GREETING", "CALLER_NAME"];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeStr(s) {
+  return String(s || "").trim();
+}
+
+function findMissingRequired(data) {
+  const settings = data?.settings || {};
+  const prompts = data?.prompts || {};
+  return {
+    missingSettings: REQUIRED_SETTINGS_KEYS.filter((k) => !settings[k]),
+    missingPrompts: REQUIRED_PROMPTS.filter((k) => !prompts[k]),
+  };
+}
+
+function describeMissing(missingSettings, missingPrompts) {
+  const parts = [];
+  if (missingSettings.length) parts.push(`Missing SETTINGS keys: ${missingSettings.join(", ")}`);
+  if (missingPrompts.length) parts.push(`Missing PROMPTS keys: ${missingPrompts.join(", ")}`);
+  return parts.join(" | ");
+}
+
+// Every {VAR} / {#if VAR} in SETTINGS and PROMPTS must resolve to a SETTINGS key, a per-call variable
+// or (with HOURS configured) a business-hours fact, unless it has a {VAR|default}.
+function checkTemplates(data, { hoursEnabled }) {
+  const settings = data?.settings || {};
+  const known = new Set([...Object.keys(settings), ...TEMPLATE_CALL_VARS, ...(hoursEnabled ? HOURS_FACT_KEYS : [])]);
+  const missing = [];
+  const errors = [];
+  const check = (tab, entries) => {
+    for (const [key, text] of entries) {
+      const a = analyzeTemplate(text);
+      const vars = [...a.required, ...a.conditions].filter((v, i, all) => !known.has(v) && all.indexOf(v) === i);
+      if (vars.length) missing.push({ where: `${tab}.${key}`, vars });
+      for (const error of a.errors) errors.push({ where: `${tab}.${key}`, error });
+    }
+  };
+  check("SETTINGS", Object.entries(settings));
+  check("PROMPTS", Object.entries(data?.prompts || {}));
+  return { missing, errors };
+}
+
+// Blocking problems reject a reload; warnings are reported only.
+function validateSsotData(data, { timeZone } = {}) {
+  const { missingSettings, missingPrompts } = findMissingRequired(data);
+  const errors = [];
+  const warnings = [];
+  if (missingSettings.length || missingPrompts.length) errors.push(describeMissing(missingSettings, missingPrompts));
+  for (const e of createIntentRouter(data?.intents || []).errors) warnings.push(`INTENTS ${e.intent}: ${e.error}`);
+  const hours = createBusinessHours({ hours: data?.hours, holidays: data?.holidays, settings: data?.settings, timeZone });
+  for (const e of hours.errors) warnings.push(`${e.tab} row ${e.row}: ${e.error}`);
+  const templates = checkTemplates(data, { hoursEnabled: hours.enabled });
+  for (const m of templates.missing) warnings.push(`${m.where}: unknown template variable(s) ${m.vars.join(", ")}`);
+  for (const e of templates.errors) warnings.push(`${e.where}: ${e.error}`);
+  for (const e of createKnowledgeBase(data?.kb || []).errors) warnings.push(`KB ${e.kb_id}: ${e.error}`);
+  for (const e of createKeypadMenu(data?.keypad || []).errors) warnings.push(`KEYPAD row ${e.row}: ${e.error}`);
+  for (const e of buildPromptExperiments(data).errors) warnings.push(`PROMPTS ${e.id}: ${e.error}`);
+  return {
+    ok: !errors.length,
+    errors,
+    warnings,
+    missing_settings_keys: missingSettings,
+    missing_prompt_keys: missingPrompts,
+    missing_template_vars: templates.missing,
+    template_errors: templates.errors,
+  };
+}
+
+function buildPromptExperiments(data) {
+  return createPromptExperiments({
+    prompts: data?.prompts,
+    settings: data?.settings,
+    weights: data?.prompt_weights || {},
+  });
+}
+
+// Approved INTENT_SUGGESTIONS rows become phrase triggers of their detected_intent.
+function buildApprovedSuggestionRows(intents, suggestions) {
+  const priorityOf = new Map();
+  for (const r of intents || []) {
+    const name = safeStr(r?.intent);
+    if (name && !priorityOf.has(name)) priorityOf.set(name, Number(r.priority) || 0);
+  }
+  return (suggestions || [])
+    .filter((s) => isApproved(s?.approved) && safeStr(s?.detected_intent) && safeStr(s?.phrase_he))
+    .map((s) => ({
+      intent: safeStr(s.detected_intent),
+      priority: priorityOf.get(safeStr(s.detected_intent)) || 0,
+      trigger_type: "phrase",
+      triggers_he: [safeStr(s.phrase_he)],
+      source: "INTENT_SUGGESTIONS",
+    }));
+}
+
+// onActivate({ previous, data, version, from }): called whenever different data becomes active
+function createSsotRuntime({ tenantId = "default", source, store, ttlMs = 60_000, timeZone, debug, onActivate }) {
+  const ssot = {
+    enabled: !!source,
+    source: source ? source.describe() : null,
+    version: null, // content hash of ssot.data
+    serving_from: null, // live | snapshot:pg | snapshot:disk | rollback
+    pinned_version: null, // set by /admin/ssot/pin|rollback; reloads are fetched + diffed but not activated
+    loaded_at: null,
+    error: null,
+    data: {
+      settings: {},
+      prompts: {},
+      prompt_weights: {},
+      intents: [],
+      intent_suggestions: [],
+      hours: [],
+      holidays: [],
+      kb: [],
+      keypad: [],
+    },
+    missing_settings_keys: [],
+    missing_prompt_keys: [],
+    _expires: 0,
+  };
+
+  let intentRouterCache = { key: null, router: createIntentRouter([]) };
+  let businessHoursCache = { key: null, hours: createBusinessHours({ hours: [], holidays: [], timeZone }) };
+  let knowledgeBaseCache = { key: null, kb: createKnowledgeBase([]) };
+  let keypadMenuCache = { key: null, menu: createKeypadMenu([]) };
+  let promptExperimentsCache = { key: null, experiments: buildPromptExperiments(null) };
+
+  function hasCompleteData() {
+    return (
+      !!ssot.loaded_at &&
+      Object.keys(ssot.data.settings || {}).length > 0 &&
+      !ssot.missing_settings_keys.length &&
+      !ssot.missing_prompt_keys.length
+    );
+  }
+
+  function activate(data, { version, from, loadedAt }) {
+    const { missingSettings, missingPrompts } = findMissingRequired(data);
+    const previous = ssot.data;
+    ssot.data = data;
+    ssot.version = version;
+    ssot.serving_from = from;
+    ssot.loaded_at = loadedAt || nowIso();
+    ssot.missing_settings_keys = missingSettings;
+    ssot.missing_prompt_keys = missingPrompts;
+    if (onActivate && previous !== data) {
+      try {
+        onActivate({ previous, data, version, from });
+      } catch (e) {
+        console.error("[SSOT] onActivate failed", { tenant: tenantId, err: e && (e.message || String(e)) });
+      }
+    }
+  }
+
+  // Cold start / failed reload: serve the last persisted complete load.
+  async function restoreSnapshot(reason) {
+    let snap = null;
+    try {
+      snap = await store.loadSnapshot();
+    } catch (e) {
+      console.error("[SSOT_SNAPSHOT] restore failed", { tenant: tenantId, err: e && (e.message || String(e)) });
+    }
+    if (!snap) return null;
+    if (snap.pinned && !ssot.pinned_version) ssot.pinned_version = snap.version;
+    if (snap.version === ssot.version) return snap;
+
+    store.recordVersion(snap.data, snap.version, { valid: true }).catch(() => {});
+
+    activate(snap.data, { version: snap.version, from: `snapshot:${snap.from}`, loadedAt: snap.saved_at });
+    console.log("[SSOT_SNAPSHOT] serving snapshot", {
+      tenant: tenantId,
+      reason,
+      version: snap.version,
+      from: snap.from,
+      saved_at: snap.saved_at,
+      pinned: !!snap.pinned,
+    });
+    return snap;
+  }
+
+  // Single reload path (TTL refresh, file watch, /admin/reload-sheets).
+  // dryRun: fetch + validate + diff only. force: activate even when validation fails.
+  async function reload({ dryRun = false, force = false } = {}) {
+    const result = {
+      ok: false,
+      dry_run: dryRun,
+      activated: false,
+      reason: null,
+      version: null,
+      previous_version: ssot.version,
+      pinned_version: ssot.pinned_version,
+      validation: null,
+      diff: null,
+      error: null,
+    };
+
+    let data;
+    try {
+      data = parseSsotTabs(await source.readTabs());
+    } catch (e) {
+      result.reason = "load_failed";
+      result.error = e && (e.message || String(e));
+      if (dryRun) return result;
+      ssot.error = result.error;
+      console.error("[SSOT] load failed", { tenant: tenantId, err: ssot.error });
+      if (!hasCompleteData()) await restoreSnapshot("load_failed");
+      // Serving last-known-good / a snapshot: wait out the TTL instead of hitting a failing source on every load()
+      if (hasCompleteData()) ssot._expires = Date.now() + ttlMs;
+      return result;
+    }
+
+    const version = computeSsotVersion(data);
+    const validation = validateSsotData(data, { timeZone });
+    result.version = version;
+    result.validation = validation;
+    result.diff = diffSsot(ssot.data, data);
+
+    if (dryRun) {
+      result.ok = validation.ok;
+      result.reason = validation.ok ? "dry_run" : "validation_failed";
+      return result;
+    }
+
+    store.recordVersion(data, version, { valid: validation.ok }).catch(() => {});
+
+    if (ssot.pinned_version) {
+      // Pinned: keep fetching so /admin/reload-sheets can show the diff, but never activate
+      ssot._expires = Date.now() + ttlMs;
+      result.ok = true;
+      result.reason = "pinned";
+      return result;
+    }
+
+    if (!validation.ok && !hasCompleteData()) await restoreSnapshot("incomplete_load");
+
+    if (!validation.ok && hasCompleteData() && !force) {
+      // Keep serving last-known-good rather than a sheet with MASTER_PROMPT/CLOSING_SCRIPT deleted
+      ssot.error = `${validation.errors.join(" | ")} | reload rejected, serving ${ssot.version}`;
+      ssot._expires = Date.now() + ttlMs;
+      result.reason = "validation_failed";
+      result.diff = diffSsot(ssot.data, data);
+      console.error("[SSOT] invalid load rejected", {
+        tenant: tenantId,
+        version,
+        serving: ssot.version,
+        from: ssot.serving_from,
+      });
+      return result;
+    }
+
+    const changed = version !== ssot.version;
+    activate(data, { version, from: "live" });
+    ssot.error = validation.ok ? null : validation.errors.join(" | ");
+    ssot._expires = Date.now() + ttlMs;
+
+    if (changed) store.markActivated(version).catch(() => {});
+    if (validation.ok) store.saveSnapshot(data, version).catch(() => {});
+
+    result.ok = true;
+    result.activated = changed;
+    result.reason = changed ? "activated" : "unchanged";
+
+    if (debug) {
+      console.log("[SSOT] loaded", {
+        tenant: tenantId,
+        source: source.kind,
+        version,
+        changed,
+        settings_keys: Object.keys(data.settings).length,
+        prompts_keys: Object.keys(data.prompts).length,
+        intents: data.intents.length,
+        intent_suggestions: data.intent_suggestions.length,
+        hours: data.hours.length,
+        holidays: data.holidays.length,
+        kb: data.kb.length,
+        keypad: data.keypad.length,
+        missing_settings: validation.missing_settings_keys.length,
+        missing_prompts: validation.missing_prompt_keys.length,
+      });
+    }
+    return result;
+  }
+
+  async function load(force = false) {
+    if (!ssot.enabled) return ssot;
+
+    const now = Date.now();
+    if (!force && now < ssot._expires && ssot.loaded_at) return ssot;
+
+    await reload();
+    return ssot;
+  }
+
+  // Admin: activate a stored version and (by default) pin it so TTL reloads do not replace it.
+  async function activateStoredVersion(version, { pin = true } = {}) {
+    const entry = await store.getVersion(version);
+    if (!entry) return { ok: false, error: "version_not_found" };
+
+    const previous = { version: ssot.version, data: ssot.data };
+    activate(entry.data, { version: entry.version, from: "rollback" });
+    ssot.pinned_version = pin ? entry.version : null;
+    const validation = validateSsotData(entry.data, { timeZone });
+    ssot.error = validation.ok ? null : validation.errors.join(" | ");
+
+    await store.markActivated(entry.version);
+    await store.saveSnapshot(entry.data, entry.version, { pinned: pin });
+
+    console.log("[SSOT] version activated", {
+      tenant: tenantId,
+      version: entry.version,
+      previous_version: previous.version,
+      pinned: pin,
+    });
+    return {
+      ok: true,
+      version: entry.version,
+      previous_version: previous.version,
+      pinned_version: ssot.pinned_version,
+      validation,
+      diff: diffSsot(previous.data, entry.data),
+    };
+  }
+
+  // Pin the active version so reloads stop replacing it.
+  async function pinActive() {
+    if (!ssot.version) return false;
+    ssot.pinned_version = ssot.version;
+    await store.saveSnapshot(ssot.data, ssot.version, { pinned: true });
+    return true;
+  }
+
+  async function unpin() {
+    const was = ssot.pinned_version;
+    ssot.pinned_version = null;
+    if (ssot.version) await store.saveSnapshot(ssot.data, ssot.version, { pinned: false });
+    return was;
+  }
+
+  function getCacheFast() {
+    const now = Date.now();
+    const hasData =
+      Object.keys(ssot.data.settings || {}).length > 0 &&
+      Object.keys(ssot.data.prompts || {}).length > 0;
+
+    const stale = !ssot.loaded_at || now >= ssot._expires;
+
+    if (hasData) {
+      if (stale) {
+        if (debug) console.log("[SSOT] stale cache -> background refresh", { tenant: tenantId });
+        load(true).catch(() => {});
+      }
+      return { ok: true, stale, ssot };
+    }
+    return { ok: false, stale: true, ssot };
+  }
+
+  // Rebuilt lazily whenever SSOT reloads, so sheet edits apply to the next utterance.
+  function getIntentRouter() {
+    const key = ssot.loaded_at;
+    if (intentRouterCache.key !== key) {
+      const rows = [
+        ...(ssot.data.intents || []),
+        ...buildApprovedSuggestionRows(ssot.data.intents, ssot.data.intent_suggestions),
+      ];
+      const router = createIntentRouter(rows);
+      if (router.errors.length) console.error("[INTENTS] invalid rows", { tenant: tenantId, errors: router.errors });
+      intentRouterCache = { key, router };
+    }
+    return intentRouterCache.router;
+  }
+
+  // HOURS / HOLIDAYS engine, rebuilt with the router on every reload
+  function getBusinessHours() {
+    const key = ssot.loaded_at;
+    if (businessHoursCache.key !== key) {
+      const hours = createBusinessHours({
+        hours: ssot.data.hours,
+        holidays: ssot.data.holidays,
+        settings: ssot.data.settings,
+        timeZone,
+      });
+      if (hours.errors.length) console.error("[HOURS] invalid rows", { tenant: tenantId, errors: hours.errors });
+      businessHoursCache = { key, hours };
+    }
+    return businessHoursCache.hours;
+  }
+
+  function getKnowledgeBase() {
+    const key = ssot.loaded_at;
+    if (knowledgeBaseCache.key !== key) {
+      const kb = createKnowledgeBase(ssot.data.kb || []);
+      if (kb.errors.length) console.error("[KB] invalid rows", { tenant: tenantId, errors: kb.errors });
+      knowledgeBaseCache = { key, kb };
+    }
+    return knowledgeBaseCache.kb;
+  }
+
+  // KEYPAD tab + built-in digit defaults
+  function getKeypadMenu() {
+    const key = ssot.loaded_at;
+    if (keypadMenuCache.key !== key) {
+      const menu = createKeypadMenu(ssot.data.keypad || []);
+      if (menu.errors.length) console.error("[KEYPAD] invalid rows", { tenant: tenantId, errors: menu.errors });
+      keypadMenuCache = { key, menu };
+    }
+    return keypadMenuCache.menu;
+  }
+
+  function getPromptExperiments() {
+    const key = ssot.loaded_at;
+    if (promptExperimentsCache.key !== key) {
+      const experiments = buildPromptExperiments(ssot.data);
+      if (experiments.errors.length) {
+        console.error("[PROMPT_VARIANTS] invalid rows", { tenant: tenantId, errors: experiments.errors });
+      }
+      promptExperimentsCache = { key, experiments };
+    }
+    return promptExperimentsCache.experiments;
+  }
+
+  // Prewarm (non-blocking): snapshot first so early calls have prompts, then live. File sources hot reload.
+  function start({ watch = true } = {}) {
+    if (!ssot.enabled) return;
+
+    (async () => {
+      try {
+        const t0 = Date.now();
+        await restoreSnapshot("cold_start");
+        await load(false);
+        if (debug) console.log("[SSOT] prewarm done", { tenant: tenantId, ms: Date.now() - t0 });
+      } catch (e) {
+        console.error("[SSOT] prewarm failed", { tenant: tenantId, err: e && (e.message || String(e)) });
+      }
+    })();
+
+    if (watch && source.watch) {
+      try {
+        source.watch(() => {
+          if (debug) console.log("[SSOT] file changed -> reload", { tenant: tenantId });
+          load(true).catch(() => {});
+        });
+      } catch (e) {
+        console.error("[SSOT] file watch failed", { tenant: tenantId, err: e && (e.message || String(e)) });
+      }
+    }
+  }
+
+  function summarize() {
+    return {
+      sheets_loaded_at: ssot.loaded_at,
+      version: ssot.version,
+      serving_from: ssot.serving_from,
+      pinned_version: ssot.pinned_version,
+      settings_keys: Object.keys(ssot.data.settings || {}).length,
+      prompt_ids: Object.keys(ssot.data.prompts || {}),
+      missing_settings_keys: ssot.missing_settings_keys || [],
+      missing_prompt_keys: ssot.missing_prompt_keys || [],
+      intents: ssot.data.intents?.length || 0,
+      intent_suggestions: ssot.data.intent_suggestions?.length || 0,
+      intent_errors: getIntentRouter().errors,
+      hours_rows: ssot.data.hours?.length || 0,
+      holidays: ssot.data.holidays?.length || 0,
+      hours_errors: getBusinessHours().errors,
+      kb_rows: getKnowledgeBase().size,
+      kb_errors: getKnowledgeBase().errors,
+      keypad: getKeypadMenu().summarize(),
+      keypad_errors: getKeypadMenu().errors,
+      prompt_experiments: getPromptExperiments().summarize(),
+    };
+  }
+
+  return {
+    tenantId,
+    state: ssot,
+    source,
+    store,
+    load,
+    reload,
+    restoreSnapshot,
+    activateStoredVersion,
+    pinActive,
+    unpin,
+    getCacheFast,
+    getIntentRouter,
+    getBusinessHours,
+    getKnowledgeBase,
+    getKeypadMenu,
+    getPromptExperiments,
+    hasCompleteData,
+    start,
+    summarize,
+  };
+}
+
+module.exports = {
+  createSsotRuntime,
+  validateSsotData,
+  REQUIRED_SETTINGS_KEYS,
+  REQUIRED_PROMPTS,
+};
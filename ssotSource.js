@@ -0,0 +1,280 @@
+// ssotSource.js
+// Index Betty – SSOT sources (Google Sheets / local file)
+// Every source returns the same raw tabs as row arrays (header row first):
+//   { SETTINGS, PROMPTS, INTENTS, INTENT_SUGGESTIONS, HOURS, HOLIDAYS, KB, KEYPAD }
+// Optional tabs (HOURS / HOLIDAYS / KB / KEYPAD) may be missing from older sheets and files.
+// parseSsotTabs() turns them into the shape server.js serves from (ssot.data).
+// File sources accept .json / .yaml / .yml / .xlsx (one worksheet per tab) and can hot-reload on change.
+
+const fs = require("fs");
+const path = require("path");
+const { google } = require("googleapis");
+const YAML = require("yaml");
+const ExcelJS = require("exceljs");
+
+const SSOT_TABS = [
+  { name: "SETTINGS", range: "A:B", columns: ["key", "value"] },
+  { name: "PROMPTS", range: "A:C", columns: ["prompt_id", "content", "weight"] },
+  { name: "INTENTS", range: "A:D", columns: ["intent", "priority", "trigger_type", "triggers_he"] },
+  {
+    name: "INTENT_SUGGESTIONS",
+    range: "A:F",
+    columns: ["phrase_he", "detected_intent", "occurrences", "last_seen_at", "approved", "notes"],
+  },
+  { name: "HOURS", range: "A:C", columns: ["day", "open", "close"], optional: true },
+  {
+    name: "HOLIDAYS",
+    range: "A:F",
+    columns: ["date", "name_he", "closed", "open", "close", "greeting_he"],
+    optional: true,
+  },
+  { name: "KB", range: "A:E", columns: ["kb_id", "title_he", "question_he", "answer_he", "keywords_he"], optional: true },
+  { name: "KEYPAD", range: "A:C", columns: ["digit", "action", "value"], optional: true },
+];
+
+function fileFormat(filePath) {
+  const ext = path.extname(String(filePath || "")).toLowerCase();
+  if (ext === ".json") return "json";
+  if (ext === ".yaml" || ext === ".yml") return "yaml";
+  if (ext === ".xlsx") return "xlsx";
+  return null;
+}
+
+/* ================== Parsing (shared) ================== */
+function parseSsotTabs(tabs) {
+  const settings = {};
+  (tabs.SETTINGS || []).slice(1).forEach(([k, v]) => {
+    if (k) settings[String(k).trim()] = v ?? "";
+  });
+
+  const prompts = {};
+  const prompt_weights = {}; // A/B traffic weights of PROMPTS rows (e.g. MASTER_PROMPT@B), only where set
+  (tabs.PROMPTS || []).slice(1).forEach(([id, content, weight]) => {
+    if (!id) return;
+    prompts[String(id).trim()] = content ?? "";
+    if (String(weight ?? "").trim() !== "") prompt_weights[String(id).trim()] = String(weight).trim();
+  });
+
+  const intents = (tabs.INTENTS || []).slice(1).map((r) => ({
+    intent: r[0],
+    priority: Number(r[1] || 0),
+    trigger_type: r[2],
+    triggers_he: r[3],
+  }));
+
+  const intent_suggestions = (tabs.INTENT_SUGGESTIONS || []).slice(1).map((r) => ({
+    phrase_he: r[0],
+    detected_intent: r[1],
+    occurrences: r[2],
+    last_seen_at: r[3],
+    approved: r[4],
+    notes: r[5],
+  }));
+
+  const hours = (tabs.HOURS || []).slice(1).map((r) => ({ day: r[0], open: r[1], close: r[2] }));
+
+  const holidays = (tabs.HOLIDAYS || []).slice(1).map((r) => ({
+    date: r[0],
+    name_he: r[1],
+    closed: r[2],
+    open: r[3],
+    close: r[4],
+    greeting_he: r[5],
+  }));
+
+  const kb = (tabs.KB || []).slice(1).map((r) => ({
+    kb_id: r[0],
+    title_he: r[1],
+    question_he: r[2],
+    answer_he: r[3],
+    keywords_he: r[4],
+  }));
+
+  const keypad = (tabs.KEYPAD || []).slice(1).map((r) => ({ digit: r[0], action: r[1], value: r[2] }));
+
+  return { settings, prompts, prompt_weights, intents, intent_suggestions, hours, holidays, kb, keypad };
+}
+
+// JSON/YAML tabs may be written as rows, as objects per row, or (SETTINGS/PROMPTS) as a key->value map.
+// In the PROMPTS map a value may be { content, weight } for A/B variants.
+function tabToRows(tab, value) {
+  const header = tab.columns.slice();
+  if (value === undefined || value === null) return [header];
+
+  if (Array.isArray(value)) {
+    if (!value.length) return [header];
+    if (Array.isArray(value[0])) return value.map((r) => r.map((c) => (c === null || c === undefined ? "" : c)));
+    return [header, ...value.map((o) => tab.columns.map((c) => (o?.[c] === null || o?.[c] === undefined ? "" : o[c])))];
+  }
+
+  if (typeof value === "object") {
+    return [
+      header,
+      ...Object.entries(value).map(([k, v]) => {
+        if (v && typeof v === "object" && !Array.isArray(v)) return [k, v.content ?? "", v.weight ?? ""];
+        return [k, v === null || v === undefined ? "" : v];
+      }),
+    ];
+  }
+
+  throw new Error(`SSOT file: tab ${tab.name} has an unsupported shape`);
+}
+
+// Inverse of tabToRows, used by the export command (friendly, diff-able output).
+function rowsToTab(tab, rows) {
+  const body = (rows || []).slice(1).filter((r) => r && r.some((c) => String(c ?? "").trim() !== ""));
+  if (tab.name === "SETTINGS" || tab.name === "PROMPTS") {
+    const out = {};
+    body.forEach(([k, v, w]) => {
+      if (!k) return;
+      const weighted = tab.name === "PROMPTS" && String(w ?? "").trim() !== "";
+      out[String(k).trim()] = weighted ? { content: v ?? "", weight: Number(w) } : v ?? "";
+    });
+    return out;
+  }
+  return body.map((r) => Object.fromEntries(tab.columns.map((c, i) => [c, r[i] ?? ""])));
+}
+
+/* ================== Google Sheets ================== */
+// values.get on a tab that does not exist: 400 "Unable to parse range: HOURS!A:C"
+function isMissingTabError(e) {
+  const status = Number(e?.response?.status ?? e?.code);
+  return status === 400 && /unable to parse range/i.test(String(e?.message || ""));
+}
+
+function createSheetsSsotSource({ spreadsheetId, credentialsB64 }) {
+  function createClient(scopes) {
+    const creds = JSON.parse(Buffer.from(credentialsB64, "base64").toString("utf8"));
+    const auth = new google.auth.JWT(creds.client_email, null, creds.private_key, scopes);
+    return google.sheets({ version: "v4", auth });
+  }
+
+  async function readTabs() {
+    const sheets = createClient(["https://www.googleapis.com/auth/spreadsheets.readonly"]);
+    const tabs = {};
+    for (const tab of SSOT_TABS) {
+      try {
+        const res = await sheets.spreadsheets.values.get({
+          spreadsheetId,
+          range: `${tab.name}!${tab.range}`,
+        });
+        tabs[tab.name] = res.data.values || [];
+      } catch (e) {
+        // Optional tab not created in this sheet yet. Anything else (429 / 5xx / network) fails the whole
+        // load, so last-known-good stays active instead of "no hours / no KB"
+        if (!tab.optional || !isMissingTabError(e)) throw e;
+        tabs[tab.name] = [];
+      }
+    }
+    return tabs;
+  }
+
+  return {
+    kind: "sheets",
+    describe: () => ({ kind: "sheets", spreadsheet_id: spreadsheetId }),
+    createClient,
+    readTabs,
+  };
+}
+
+/* ================== Local file ================== */
+// Worksheet -> row arrays of displayed cell text (header row first), blank rows dropped
+function worksheetRows(ws, width) {
+  const rows = [];
+  if (!ws) return rows;
+  const cols = Math.max(width, ws.columnCount);
+  for (let r = 1; r <= ws.rowCount; r += 1) {
+    const row = ws.getRow(r);
+    const cells = [];
+    for (let c = 1; c <= cols; c += 1) cells.push(row.getCell(c).text ?? "");
+    if (cells.some((v) => v !== "")) rows.push(cells);
+  }
+  return rows;
+}
+
+async function readSsotFile(filePath) {
+  const format = fileFormat(filePath);
+  if (!format) throw new Error(`SSOT file: unsupported extension (${filePath}); use .json/.yaml/.yml/.xlsx`);
+
+  if (format === "xlsx") {
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.readFile(filePath);
+    const tabs = {};
+    for (const tab of SSOT_TABS) {
+      const rows = worksheetRows(wb.getWorksheet(tab.name), tab.columns.length);
+      tabs[tab.name] = rows.length ? rows : [tab.columns.slice()];
+    }
+    return tabs;
+  }
+
+  const text = fs.readFileSync(filePath, "utf8");
+  const doc = format === "yaml" ? YAML.parse(text) : JSON.parse(text);
+  if (!doc || typeof doc !== "object") throw new Error("SSOT file: expected an object with SETTINGS/PROMPTS/INTENTS");
+
+  const tabs = {};
+  for (const tab of SSOT_TABS) tabs[tab.name] = tabToRows(tab, doc[tab.name]);
+  return tabs;
+}
+
+async function writeSsotFile(filePath, tabs) {
+  const format = fileFormat(filePath);
+  if (!format) throw new Error(`SSOT file: unsupported extension (${filePath}); use .json/.yaml/.yml/.xlsx`);
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+
+  if (format === "xlsx") {
+    const wb = new ExcelJS.Workbook();
+    for (const tab of SSOT_TABS) {
+      const rows = tabs[tab.name] && tabs[tab.name].length ? tabs[tab.name] : [tab.columns.slice()];
+      wb.addWorksheet(tab.name).addRows(rows.map((r) => r.map((v) => String(v ?? ""))));
+    }
+    await wb.xlsx.writeFile(filePath);
+    return;
+  }
+
+  const doc = {};
+  for (const tab of SSOT_TABS) doc[tab.name] = rowsToTab(tab, tabs[tab.name]);
+  const body = format === "yaml" ? YAML.stringify(doc) : JSON.stringify(doc, null, 2) + "\n";
+  fs.writeFileSync(filePath, body, "utf8");
+}
+
+function createFileSsotSource({ filePath }) {
+  const resolved = path.resolve(filePath);
+
+  async function readTabs() {
+    return readSsotFile(resolved);
+  }
+
+  // Watches the directory (not the file) so editors that save via rename still trigger.
+  function watch(onChange, { debounceMs = 300 } = {}) {
+    let timer = null;
+    const watcher = fs.watch(path.dirname(resolved), (event, name) => {
+      if (name && path.basename(String(name)) !== path.basename(resolved)) return;
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        onChange();
+      }, debounceMs);
+    });
+    watcher.on("error", (e) => console.error("[SSOT] file watch error", e && (e.message || e)));
+    return () => {
+      if (timer) clearTimeout(timer);
+      watcher.close();
+    };
+  }
+
+  return {
+    kind: "file",
+    describe: () => ({ kind: "file", path: resolved, format: fileFormat(resolved) }),
+    readTabs,
+    watch,
+  };
+}
+
+module.exports = {
+  SSOT_TABS,
+  parseSsotTabs,
+  createSheetsSsotSource,
+  createFileSsotSource,
+  readSsotFile,
+  writeSsotFile,
+};
@@ -0,0 +1,347 @@
+// ssotStore.js
+// Index Betty – last-known-good SSOT snapshot
+// Every complete SSOT load is persisted (Postgres via the memory DB pool and/or local disk)
+// so a cold start or a failed/incomplete reload can keep serving the previous version.
+// version = content hash of the parsed SSOT data (stable key order).
+// Version history (every fetched load, valid or not) backs diff / pin / rollback on the admin routes.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function computeSsotVersion(data) {
+  return crypto.createHash("sha256").update(stableStringify(data || {})).digest("hex").slice(0, 12);
+}
+
+function createSsotStore({ memory, dir, usePg = true, namespace = "default", historyLimit = 50, debug }) {
+  const pgConfigured = !!(usePg && memory);
+  const state = {
+    namespace,
+    pg: false, // Postgres connected at the last snapshot / version access (not just configured)
+    disk: !!dir,
+    last_saved_version: null,
+    last_saved_pinned: false,
+    last_saved_at: null,
+    last_error: null,
+  };
+
+  let tableReady = false;
+
+  const diskFile = dir ? path.resolve(dir, `ssot-${namespace}.json`) : null;
+  const versionsDir = dir ? path.resolve(dir, "versions", namespace) : null;
+
+  // In-process history (always on, so rollback works even without PG/disk)
+  const recent = new Map(); // version -> { version, data, valid, created_at, activated_at }
+
+  async function ensureTable() {
+    if (tableReady) return true;
+    const res = await memory.exec(`
+      CREATE TABLE IF NOT EXISTS ssot_snapshot (
+        namespace TEXT PRIMARY KEY,
+        version TEXT NOT NULL,
+        data JSONB NOT NULL,
+        saved_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    if (!res) return false;
+    await memory.exec(`ALTER TABLE ssot_snapshot ADD COLUMN IF NOT EXISTS pinned BOOLEAN DEFAULT FALSE;`);
+    await memory.exec(`
+      CREATE TABLE IF NOT EXISTS ssot_versions (
+        namespace TEXT NOT NULL,
+        version TEXT NOT NULL,
+        data JSONB NOT NULL,
+        valid BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        activated_at TIMESTAMPTZ,
+        PRIMARY KEY (namespace, version)
+      );
+    `);
+    await memory.exec(
+      `CREATE INDEX IF NOT EXISTS idx_ssot_versions_created_at ON ssot_versions (namespace, created_at);`
+    );
+    tableReady = true;
+    return tableReady;
+  }
+
+  async function pgReady() {
+    state.pg = pgConfigured && !!memory.state?.ready && (await ensureTable());
+    return state.pg;
+  }
+
+  async function savePg(snap) {
+    if (!(await pgReady())) return false;
+    await memory.exec(
+      `
+      INSERT INTO ssot_snapshot (namespace, version, data, saved_at, pinned)
+      VALUES ($1, $2, $3::jsonb, $4, $5)
+      ON CONFLICT (namespace)
+      DO UPDATE SET version = EXCLUDED.version, data = EXCLUDED.data, saved_at = EXCLUDED.saved_at,
+        pinned = EXCLUDED.pinned
+      `,
+      [namespace, snap.version, JSON.stringify(snap.data), snap.saved_at, !!snap.pinned]
+    );
+    return true;
+  }
+
+  function saveDisk(snap) {
+    if (!diskFile) return false;
+    fs.mkdirSync(path.dirname(diskFile), { recursive: true });
+    const tmp = `${diskFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(snap), "utf8");
+    fs.renameSync(tmp, diskFile);
+    return true;
+  }
+
+  async function loadPg() {
+    if (!(await pgReady())) return null;
+    const res = await memory.exec(
+      `SELECT version, data, saved_at, pinned FROM ssot_snapshot WHERE namespace = $1 LIMIT 1`,
+      [namespace]
+    );
+    const row = res?.rows?.[0];
+    if (!row) return null;
+    return { version: row.version, data: row.data, saved_at: toIso(row.saved_at), pinned: !!row.pinned, from: "pg" };
+  }
+
+  function loadDisk() {
+    if (!diskFile) return null;
+    try {
+      const snap = JSON.parse(fs.readFileSync(diskFile, "utf8"));
+      if (!snap || !snap.version || !snap.data) return null;
+      return {
+        version: snap.version,
+        data: snap.data,
+        saved_at: snap.saved_at || null,
+        pinned: !!snap.pinned,
+        from: "disk",
+      };
+    } catch (e) {
+      if (e.code !== "ENOENT") console.error("[SSOT_SNAPSHOT] disk read failed", e.message || String(e));
+      return null;
+    }
+  }
+
+  async function saveSnapshot(data, version, { pinned = false } = {}) {
+    const snap = { version: version || computeSsotVersion(data), data, saved_at: nowIso(), pinned: !!pinned };
+    if (snap.version === state.last_saved_version && snap.pinned === state.last_saved_pinned) return snap;
+
+    const saved = [];
+    try {
+      if (await savePg(snap)) saved.push("pg");
+    } catch (e) {
+      state.last_error = e && (e.message || String(e));
+      console.error("[SSOT_SNAPSHOT] pg save failed", state.last_error);
+    }
+    try {
+      if (saveDisk(snap)) saved.push("disk");
+    } catch (e) {
+      state.last_error = e && (e.message || String(e));
+      console.error("[SSOT_SNAPSHOT] disk save failed", state.last_error);
+    }
+
+    if (saved.length) {
+      state.last_saved_version = snap.version;
+      state.last_saved_pinned = snap.pinned;
+      state.last_saved_at = snap.saved_at;
+      if (debug) console.log("[SSOT_SNAPSHOT] saved", { namespace, version: snap.version, to: saved });
+    }
+    return snap;
+  }
+
+  // Newest of Postgres / disk wins (disk may be newer if the DB was down at save time).
+  async function loadSnapshot() {
+    let pgSnap = null;
+    try {
+      pgSnap = await loadPg();
+    } catch (e) {
+      state.last_error = e && (e.message || String(e));
+      console.error("[SSOT_SNAPSHOT] pg load failed", state.last_error);
+    }
+    const diskSnap = loadDisk();
+
+    if (pgSnap && diskSnap) return String(diskSnap.saved_at) > String(pgSnap.saved_at) ? diskSnap : pgSnap;
+    return pgSnap || diskSnap || null;
+  }
+
+  /* ---------- version history ---------- */
+  function rememberRecent(entry) {
+    const prev = recent.get(entry.version);
+    recent.delete(entry.version);
+    recent.set(entry.version, { ...prev, ...entry, activated_at: entry.activated_at || prev?.activated_at || null });
+    while (recent.size > historyLimit) recent.delete(recent.keys().next().value);
+  }
+
+  function versionDiskFile(version) {
+    return versionsDir ? path.join(versionsDir, `${String(version).replace(/[^a-f0-9]/gi, "")}.json`) : null;
+  }
+
+  function pruneDiskVersions() {
+    const files = fs
+      .readdirSync(versionsDir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => ({ f, t: fs.statSync(path.join(versionsDir, f)).mtimeMs }))
+      .sort((a, b) => b.t - a.t);
+    for (const { f } of files.slice(historyLimit)) fs.unlinkSync(path.join(versionsDir, f));
+  }
+
+  async function recordVersion(data, version, { valid = true, activated = false } = {}) {
+    // Periodic reloads of an unchanged sheet should not rewrite history
+    const known = recent.get(version);
+    if (known && !activated) return known;
+
+    const entry = {
+      version: version || computeSsotVersion(data),
+      data,
+      valid: !!valid,
+      created_at: recent.get(version)?.created_at || nowIso(),
+      activated_at: activated ? nowIso() : null,
+    };
+    rememberRecent(entry);
+    const merged = recent.get(entry.version);
+
+    try {
+      if (await pgReady()) {
+        await memory.exec(
+          `
+          INSERT INTO ssot_versions (namespace, version, data, valid, created_at, activated_at)
+          VALUES ($1, $2, $3::jsonb, $4, $5, $6)
+          ON CONFLICT (namespace, version)
+          DO UPDATE SET activated_at = COALESCE(EXCLUDED.activated_at, ssot_versions.activated_at)
+          `,
+          [namespace, entry.version, JSON.stringify(data), entry.valid, entry.created_at, entry.activated_at]
+        );
+        await memory.exec(
+          `
+          DELETE FROM ssot_versions
+          WHERE namespace = $1 AND version NOT IN (
+            SELECT version FROM ssot_versions WHERE namespace = $1 ORDER BY created_at DESC LIMIT $2
+          )
+          `,
+          [namespace, historyLimit]
+        );
+      }
+    } catch (e) {
+      state.last_error = e && (e.message || String(e));
+      console.error("[SSOT_VERSIONS] pg save failed", state.last_error);
+    }
+
+    try {
+      const file = versionDiskFile(entry.version);
+      if (file) {
+        fs.mkdirSync(versionsDir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(merged), "utf8");
+        pruneDiskVersions();
+      }
+    } catch (e) {
+      state.last_error = e && (e.message || String(e));
+      console.error("[SSOT_VERSIONS] disk save failed", state.last_error);
+    }
+
+    return merged;
+  }
+
+  async function markActivated(version) {
+    const cur = await getVersion(version);
+    if (!cur) return null;
+    return recordVersion(cur.data, cur.version, { valid: cur.valid, activated: true });
+  }
+
+  async function getVersion(version) {
+    const v = String(version || "").trim();
+    if (!v) return null;
+    if (recent.has(v)) return recent.get(v);
+
+    try {
+      if (await pgReady()) {
+        const res = await memory.exec(
+          `SELECT version, data, valid, created_at, activated_at FROM ssot_versions WHERE namespace = $1 AND version = $2`,
+          [namespace, v]
+        );
+        const row = res?.rows?.[0];
+        if (row) {
+          return {
+            version: row.version,
+            data: row.data,
+            valid: row.valid !== false,
+            created_at: toIso(row.created_at),
+            activated_at: row.activated_at ? toIso(row.activated_at) : null,
+          };
+        }
+      }
+    } catch (e) {
+      console.error("[SSOT_VERSIONS] pg read failed", e && (e.message || String(e)));
+    }
+
+    const file = versionDiskFile(v);
+    if (file && fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+    return null;
+  }
+
+  // Newest first, without data.
+  async function listVersions() {
+    const byVersion = new Map();
+    const add = (e) => {
+      if (!e || !e.version) return;
+      const prev = byVersion.get(e.version);
+      byVersion.set(e.version, {
+        version: e.version,
+        valid: e.valid !== false,
+        created_at: prev?.created_at || e.created_at || null,
+        activated_at: prev?.activated_at || e.activated_at || null,
+      });
+    };
+
+    try {
+      if (await pgReady()) {
+        const res = await memory.exec(
+          `
+          SELECT version, valid, created_at, activated_at FROM ssot_versions
+          WHERE namespace = $1 ORDER BY created_at DESC LIMIT $2
+          `,
+          [namespace, historyLimit]
+        );
+        (res?.rows || []).forEach((r) =>
+          add({ ...r, created_at: toIso(r.created_at), activated_at: r.activated_at ? toIso(r.activated_at) : null })
+        );
+      }
+    } catch (e) {
+      console.error("[SSOT_VERSIONS] pg list failed", e && (e.message || String(e)));
+    }
+
+    if (versionsDir && fs.existsSync(versionsDir)) {
+      for (const f of fs.readdirSync(versionsDir).filter((x) => x.endsWith(".json"))) {
+        try {
+          add(JSON.parse(fs.readFileSync(path.join(versionsDir, f), "utf8")));
+        } catch {}
+      }
+    }
+    recent.forEach(add);
+
+    return Array.from(byVersion.values()).sort((a, b) =>
+      String(b.activated_at || b.created_at).localeCompare(String(a.activated_at || a.created_at))
+    );
+  }
+
+  return { state, saveSnapshot, loadSnapshot, recordVersion, markActivated, getVersion, listVersions };
+}
+
+function toIso(v) {
+  return v instanceof Date ? v.toISOString() : String(v || "");
+}
+
+module.exports = { createSsotStore, computeSsotVersion, stableStringify };
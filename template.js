@@ -0,0 +1,218 @@
+// template.js
+// Index Betty – template language for SETTINGS / PROMPTS text
+//   {KEY}                      value (missing -> "" and reported)
+//   {KEY|לקוח יקר}             default when KEY is missing or empty
+//   {MAIN_PHONE:digits}        filters, chained left to right: digits | time | first | trim
+//   {#if CALLER_NAME}...{#else}...{/if}   also {#if !KEY} and {#if KEY=value}; may nest
+// Only UPPER_CASE names are tags, so JSON examples and other braces in prompts pass through untouched.
+// "false" / "0" / "no" / "off" / "לא" and empty values are falsy in conditions (IS_OPEN_NOW=לא).
+
+const TAG_RE = /\{(#if\s+[^{}]+|#else|\/if|[A-Z][A-Z0-9_]*(?::[a-z_]+)*(?:\|[^{}]*)?)\}/g;
+const FALSE_WORDS = new Set(["", "false", "0", "no", "off", "לא"]);
+
+const DIGIT_WORDS_HE = ["אפס", "אחת", "שתיים", "שלוש", "ארבע", "חמש", "שש", "שבע", "שמונה", "תשע"];
+const TEENS_HE = [
+  "עשר",
+  "אחת עשרה",
+  "שתים עשרה",
+  "שלוש עשרה",
+  "ארבע עשרה",
+  "חמש עשרה",
+  "שש עשרה",
+  "שבע עשרה",
+  "שמונה עשרה",
+  "תשע עשרה",
+];
+const TENS_HE = { 2: "עשרים", 3: "שלושים", 4: "ארבעים", 5: "חמישים" };
+
+function onlyDigits(s) {
+  return String(s || "").replace(/\D/g, "");
+}
+
+// "0501234567" -> "אפס חמש אפס, אחת שתיים שלוש, ארבע חמש שש שבע" (phone numbers read digit by digit)
+function formatDigitsForSpeech(digits) {
+  const d = onlyDigits(digits);
+  if (!d) return "";
+  const out = [];
+  for (let i = 0; i < d.length; i += 1) {
+    const ch = d[i];
+    out.push(DIGIT_WORDS_HE[Number(ch)]);
+    if ((i === 2 || i === 5) && i < d.length - 1) {
+      out.push(",");
+    }
+  }
+  return out.join(" ").replace(/\s+,/g, ",");
+}
+
+// Feminine counting form (שעות / דקות), 1..59
+function numberWordsHe(n) {
+  if (n < 10) return DIGIT_WORDS_HE[n];
+  if (n < 20) return TEENS_HE[n - 10];
+  const tens = TENS_HE[Math.floor(n / 10)];
+  const unit = n % 10;
+  return unit ? `${tens} ו${unit === 2 ? "שתיים" : DIGIT_WORDS_HE[unit]}` : tens;
+}
+
+function dayPartHe(h) {
+  if (h >= 5 && h < 12) return "בבוקר";
+  if (h >= 12 && h < 16) return "בצהריים";
+  if (h >= 16 && h < 19) return "אחר הצהריים";
+  if (h >= 19 && h < 22) return "בערב";
+  return "בלילה";
+}
+
+// "09:30" -> "תשע וחצי בבוקר", "16:45" -> "רבע לחמש אחר הצהריים"
+function formatTimeHe(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || "").trim());
+  if (!m) return String(hhmm || "");
+  let h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return String(hhmm);
+
+  const part = dayPartHe(h);
+  const hourWord = (x) => numberWordsHe(x % 12 === 0 ? 12 : x % 12);
+  if (min === 0) return `${hourWord(h)} ${part}`;
+  if (min === 15) return `${hourWord(h)} ורבע ${part}`;
+  if (min === 30) return `${hourWord(h)} וחצי ${part}`;
+  if (min === 45) {
+    h = (h + 1) % 24;
+    return `רבע ל${hourWord(h)} ${dayPartHe(h)}`;
+  }
+  return `${hourWord(h)} ו${numberWordsHe(min)} דקות ${part}`;
+}
+
+// Every HH:MM inside the value ("09:00-13:00, 16:00-19:00", "מחר ב-09:00")
+function formatTimesInText(s) {
+  return String(s || "")
+    .replace(/ב-(?=\d{1,2}:\d{2})/g, "ב")
+    .replace(/(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})/g, (_, a, b) => `מ${formatTimeHe(a)} עד ${formatTimeHe(b)}`)
+    .replace(/\b\d{1,2}:\d{2}\b/g, (t) => formatTimeHe(t));
+}
+
+const FILTERS = {
+  trim: (v) => String(v).trim(),
+  first: (v) => String(v).trim().split(/\s+/)[0] || "",
+  digits: formatDigitsForSpeech,
+  time: formatTimesInText,
+};
+
+// -> { nodes, errors }; nodes: { type: "text" | "var" | "if", ... }
+function parseTemplate(text) {
+  const src = String(text ?? "");
+  const errors = [];
+  const root = { children: [] };
+  const stack = [root];
+  let cur = root.children;
+  let last = 0;
+
+  for (const m of src.matchAll(TAG_RE)) {
+    if (m.index > last) cur.push({ type: "text", text: src.slice(last, m.index) });
+    last = m.index + m[0].length;
+    const body = m[1];
+
+    if (body.startsWith("#if")) {
+      const cond = body.slice(3).trim();
+      const cm = /^(!?)([A-Z][A-Z0-9_]*)(?:\s*=\s*(.*))?$/.exec(cond);
+      if (!cm) {
+        errors.push(`invalid condition "{${body}}"`);
+        continue;
+      }
+      const node = { type: "if", not: !!cm[1], name: cm[2], equals: cm[3] ?? null, then: [], else: null };
+      cur.push(node);
+      stack.push(node);
+      cur = node.then;
+    } else if (body === "#else") {
+      const top = stack[stack.length - 1];
+      if (top === root || top.else) {
+        errors.push("{#else} without {#if}");
+        continue;
+      }
+      top.else = [];
+      cur = top.else;
+    } else if (body === "/if") {
+      if (stack.length === 1) {
+        errors.push("{/if} without {#if}");
+        continue;
+      }
+      stack.pop();
+      const top = stack[stack.length - 1];
+      cur = top === root ? root.children : top.else || top.then;
+    } else {
+      const pipe = body.indexOf("|");
+      const head = pipe >= 0 ? body.slice(0, pipe) : body;
+      const [name, ...filterNames] = head.split(":");
+      for (const f of filterNames) if (!FILTERS[f]) errors.push(`unknown filter "${f}" in {${body}}`);
+      cur.push({
+        type: "var",
+        name,
+        filters: filterNames.filter((f) => FILTERS[f]),
+        fallback: pipe >= 0 ? body.slice(pipe + 1) : null,
+      });
+    }
+  }
+  if (last < src.length) cur.push({ type: "text", text: src.slice(last) });
+  if (stack.length > 1) errors.push(`{#if ${stack[stack.length - 1].name}} is not closed`);
+  return { nodes: root.children, errors };
+}
+
+function valueOf(vars, name) {
+  const v = vars?.[name];
+  return v === undefined || v === null ? "" : String(v);
+}
+
+function isTruthy(v) {
+  return !FALSE_WORDS.has(String(v).trim().toLowerCase());
+}
+
+function renderNodes(nodes, vars, missing) {
+  let out = "";
+  for (const n of nodes) {
+    if (n.type === "text") out += n.text;
+    else if (n.type === "if") {
+      const v = valueOf(vars, n.name);
+      let ok = n.equals === null ? isTruthy(v) : v.trim() === n.equals.trim();
+      if (n.not) ok = !ok;
+      out += renderNodes(ok ? n.then : n.else || [], vars, missing);
+    } else {
+      let v = valueOf(vars, n.name);
+      if (!v.trim()) {
+        if (n.fallback !== null) {
+          out += n.fallback;
+          continue;
+        }
+        if (!vars || !(n.name in vars)) missing.add(n.name);
+      }
+      for (const f of n.filters) v = String(FILTERS[f](v) ?? "");
+      out += v;
+    }
+  }
+  return out;
+}
+
+// -> { text, missing: [names used without a value or default] }
+function renderTemplate(text, vars) {
+  const missing = new Set();
+  const out = renderNodes(parseTemplate(text).nodes, vars, missing);
+  return { text: out, missing: Array.from(missing) };
+}
+
+// Static check for reload validation: names referenced without a default, and syntax errors.
+function analyzeTemplate(text) {
+  const { nodes, errors } = parseTemplate(text);
+  const required = new Set();
+  const conditions = new Set();
+  const walk = (list) => {
+    for (const n of list || []) {
+      if (n.type === "var" && n.fallback === null) required.add(n.name);
+      if (n.type === "if") {
+        conditions.add(n.name);
+        walk(n.then);
+        walk(n.else);
+      }
+    }
+  };
+  walk(nodes);
+  return { required: Array.from(required), conditions: Array.from(conditions), errors };
+}
+
+module.exports = { renderTemplate, analyzeTemplate, formatDigitsForSpeech, formatTimeHe, formatTimesInText };
@@ -0,0 +1,136 @@
+// tenants.js
+// Index Betty – tenant registry (several office lines on one service)
+// A tenant owns its SSOT source, webhook URLs, voice and caller_memory namespace.
+// Calls are resolved by Twilio customParameter "tenant" (explicit id) or by the called number.
+// The "default" tenant is always present and is built from the legacy global env
+// (GSHEET_ID / SSOT_FILE / *_WEBHOOK_URL / OPENAI_VOICE), so single-line deployments need no config.
+//
+// Config (TENANTS_FILE=.json/.yaml or TENANTS_JSON):
+//   { "fallback": "default", "tenants": [ { "id", "name", "called_numbers": [...], "ssot": {...},
+//     "webhooks": { "call_log", "final", "abandoned" }, "voice", "memory_namespace" } ] }
+// A bare array of tenants is accepted too.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TENANT_ID = "default";
+
+function safeStr(s) {
+  return String(s || "").trim();
+}
+
+function normalizeNumber(s) {
+  const t = safeStr(s).replace(/[^\d+]/g, "");
+  return t.length >= 6 ? t : null;
+}
+
+function readTenantsFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".yaml" || ext === ".yml") {
+    let YAML;
+    try {
+      YAML = require("yaml");
+    } catch {
+      throw new Error("yaml module is not available (missing dependency).");
+    }
+    return YAML.parse(text);
+  }
+  return JSON.parse(text);
+}
+
+function loadTenantConfig({ filePath, json }) {
+  let doc = null;
+  if (safeStr(filePath)) doc = readTenantsFile(path.resolve(filePath));
+  else if (safeStr(json)) doc = JSON.parse(json);
+  if (!doc) return { fallback: DEFAULT_TENANT_ID, tenants: [] };
+  if (Array.isArray(doc)) return { fallback: DEFAULT_TENANT_ID, tenants: doc };
+  return { fallback: safeStr(doc.fallback) || DEFAULT_TENANT_ID, tenants: Array.isArray(doc.tenants) ? doc.tenants : [] };
+}
+
+// Missing fields of a configured tenant fall back to the default tenant, except the memory namespace
+// (always the tenant's own, so caller_memory rows never leak between lines).
+function normalizeTenant(raw, base) {
+  const id = safeStr(raw?.id);
+  if (!id || !/^[a-z0-9_-]+$/i.test(id)) throw new Error(`tenant id "${raw?.id}" must match [a-z0-9_-]+`);
+
+  const isDefault = id === DEFAULT_TENANT_ID;
+  const ssot = raw.ssot ? { ...raw.ssot } : isDefault ? { ...base.ssot } : null;
+  if (!ssot) throw new Error(`tenant ${id}: missing ssot source`);
+
+  return {
+    id,
+    name: safeStr(raw.name) || (isDefault ? base.name : id),
+    called_numbers: (Array.isArray(raw.called_numbers) ? raw.called_numbers : safeStr(raw.called_numbers).split(","))
+      .map(normalizeNumber)
+      .filter(Boolean),
+    ssot,
+    webhooks: {
+      call_log: safeStr(raw.webhooks?.call_log) || base.webhooks.call_log,
+      final: safeStr(raw.webhooks?.final) || base.webhooks.final,
+      abandoned: safeStr(raw.webhooks?.abandoned) || base.webhooks.abandoned,
+    },
+    voice: safeStr(raw.voice) || base.voice,
+    memory_namespace: isDefault ? safeStr(raw.memory_namespace) : safeStr(raw.memory_namespace) || id,
+  };
+}
+
+function createTenantRegistry({ defaults, config }) {
+  const base = {
+    id: DEFAULT_TENANT_ID,
+    name: safeStr(defaults?.name) || DEFAULT_TENANT_ID,
+    called_numbers: [],
+    ssot: defaults?.ssot || {},
+    webhooks: {
+      call_log: safeStr(defaults?.webhooks?.call_log),
+      final: safeStr(defaults?.webhooks?.final),
+      abandoned: safeStr(defaults?.webhooks?.abandoned),
+    },
+    voice: safeStr(defaults?.voice),
+    memory_namespace: "", // legacy un-prefixed caller_memory keys
+  };
+
+  const byId = new Map([[DEFAULT_TENANT_ID, base]]);
+  for (const raw of config?.tenants || []) {
+    const t = normalizeTenant(raw, base);
+    if (byId.has(t.id) && t.id !== DEFAULT_TENANT_ID) throw new Error(`duplicate tenant id ${t.id}`);
+    byId.set(t.id, t);
+  }
+
+  const byNumber = new Map();
+  const namespaces = new Map();
+  for (const t of byId.values()) {
+    for (const n of t.called_numbers) {
+      if (byNumber.has(n)) throw new Error(`called number ${n} is mapped to ${byNumber.get(n).id} and ${t.id}`);
+      byNumber.set(n, t);
+    }
+    if (namespaces.has(t.memory_namespace)) {
+      throw new Error(`memory_namespace "${t.memory_namespace}" is shared by ${namespaces.get(t.memory_namespace)} and ${t.id}`);
+    }
+    namespaces.set(t.memory_namespace, t.id);
+  }
+
+  const fallbackId = byId.has(config?.fallback) ? config.fallback : DEFAULT_TENANT_ID;
+
+  function get(id) {
+    return byId.get(safeStr(id)) || null;
+  }
+
+  // -> { tenant, matched_by: "param" | "called" | "fallback" }
+  function resolve({ calledE164, tenantParam } = {}) {
+    const byParam = get(tenantParam);
+    if (byParam) return { tenant: byParam, matched_by: "param" };
+    const n = normalizeNumber(calledE164);
+    if (n && byNumber.has(n)) return { tenant: byNumber.get(n), matched_by: "called" };
+    return { tenant: byId.get(fallbackId), matched_by: "fallback" };
+  }
+
+  return {
+    fallbackId,
+    get,
+    resolve,
+    list: () => Array.from(byId.values()),
+  };
+}
+
+module.exports = { createTenantRegistry, loadTenantConfig, DEFAULT_TENANT_ID };
@@ -0,0 +1,171 @@
+// transfer.js
+// Index Betty – warm transfer to a human agent
+// Triggers: SETTINGS TRANSFER_KEYWORDS (comma list, caller text), TRANSFER_INTENTS (INTENTS names) or the
+// model's transfer_to_human tool. The live call is redirected through the Twilio Calls REST API to
+// <Dial><Number url=whisper>TRANSFER_NUMBER</Number></Dial>; the Dial / voicemail callbacks settle the outcome:
+//   TRANSFERRED               agent answered
+//   TRANSFER_NO_ANSWER        no answer / busy and no voicemail left
+//   TRANSFER_FALLBACK_MESSAGE no agent, but a message was left (voicemail after the Dial, or the bot took it)
+
+const TRANSFER_DECISIONS = ["TRANSFERRED", "TRANSFER_NO_ANSWER", "TRANSFER_FALLBACK_MESSAGE"];
+const ANSWERED_DIAL_STATUSES = new Set(["answered", "completed"]);
+const FALSE_WORDS = new Set(["false", "0", "no", "off", "לא"]);
+
+// Realtime session tool offered to the model when TRANSFER_NUMBER is set
+const TRANSFER_TOOL = {
+  type: "function",
+  name: "transfer_to_human",
+  description:
+    "Transfer the caller to a human representative. Call it only when the caller explicitly insists on " +
+    "speaking with a person. Do not say anything yourself; the system announces the transfer.",
+  parameters: {
+    type: "object",
+    properties: { reason: { type: "string", description: "Short reason in Hebrew" } },
+    required: [],
+  },
+};
+
+function safeStr(s) {
+  return String(s || "").trim();
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function splitList(raw) {
+  return safeStr(raw)
+    .split(/[,\n]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function isOff(v) {
+  return FALSE_WORDS.has(safeStr(v).toLowerCase());
+}
+
+function normalizeText(s) {
+  return safeStr(s)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// SETTINGS -> transfer config; number null = transfer not configured for this tenant
+function parseTransferSettings(settings = {}) {
+  const timeout = Number(settings.TRANSFER_TIMEOUT_SEC);
+  return {
+    number: safeStr(settings.TRANSFER_NUMBER).replace(/[^\d+]/g, "") || null,
+    caller_id: safeStr(settings.TRANSFER_CALLER_ID).replace(/[^\d+]/g, "") || null,
+    keywords: splitList(settings.TRANSFER_KEYWORDS).map(normalizeText).filter(Boolean),
+    intents: splitList(settings.TRANSFER_INTENTS),
+    whisper: !isOff(settings.TRANSFER_WHISPER),
+    after_hours: !!safeStr(settings.TRANSFER_AFTER_HOURS) && !isOff(settings.TRANSFER_AFTER_HOURS),
+    timeout_sec: Number.isFinite(timeout) && timeout >= 5 ? Math.min(timeout, 60) : null,
+    announcement: safeStr(settings.TRANSFER_ANNOUNCEMENT),
+    unavailable_script: safeStr(settings.TRANSFER_UNAVAILABLE_SCRIPT),
+    no_answer_script: safeStr(settings.TRANSFER_NO_ANSWER_SCRIPT),
+  };
+}
+
+// -> matched keyword or null (whole-word / phrase match on normalized text)
+function matchTransferKeyword(text, keywords) {
+  const t = ` ${normalizeText(text)} `;
+  if (!t.trim()) return null;
+  return (keywords || []).find((k) => t.includes(` ${k} `)) || null;
+}
+
+// Short spoken summary for the agent before the caller is connected
+function buildWhisperSummary({ callerName, callerE164, intent, reason, conversationLog, maxChars = 320 }) {
+  const who = safeStr(callerName) || (callerE164 ? `מספר ${callerE164}` : "מתקשר לא מזוהה");
+  const parts = [`שיחה מועברת מהבוט. ${who}.`];
+  if (intent) parts.push(`נושא: ${intent}.`);
+  if (safeStr(reason)) parts.push(`סיבה: ${safeStr(reason)}.`);
+  const said = (conversationLog || [])
+    .filter((l) => l && l.from === "user" && safeStr(l.text))
+    .slice(-2)
+    .map((l) => safeStr(l.text))
+    .join(" ... ");
+  if (said) parts.push(`הלקוח אמר: ${said}`);
+  const text = parts.join(" ");
+  return text.length <= maxChars ? text : text.slice(0, maxChars - 1) + "…";
+}
+
+/* ================== Outcome registry ================== */
+// callSid -> transfer; filled by the call when it dials, settled by the Twilio callbacks
+// (whisper URL = agent answered, Dial action = no answer, voicemail action = message left).
+function createTransferRegistry({ ttlMs = 30 * 60 * 1000 } = {}) {
+  const byCall = new Map();
+
+  function prune() {
+    const cutoff = Date.now() - ttlMs;
+    for (const [k, v] of byCall) if (v.created_ms < cutoff) byCall.delete(k);
+  }
+
+  function begin(callSid, info = {}) {
+    prune();
+    const entry = {
+      ...info,
+      call_sid: callSid,
+      status: "dialing",
+      dial_status: null,
+      decision: null,
+      voicemail_recording_sid: null,
+      created_ms: Date.now(),
+      started_at: nowIso(),
+      settled_at: null,
+      waiters: [],
+    };
+    byCall.set(callSid, entry);
+    return entry;
+  }
+
+  function get(callSid) {
+    return byCall.get(safeStr(callSid)) || null;
+  }
+
+  function update(callSid, patch) {
+    const entry = get(callSid);
+    if (entry && !entry.decision) Object.assign(entry, patch);
+    return entry;
+  }
+
+  function settle(callSid, decision, patch = {}) {
+    const entry = get(callSid);
+    if (!entry || entry.decision) return entry;
+    Object.assign(entry, patch, { decision, status: "settled", settled_at: nowIso() });
+    for (const w of entry.waiters.splice(0)) w(entry);
+    return entry;
+  }
+
+  // Resolves with the entry once settled, or unsettled after timeoutMs
+  function wait(callSid, timeoutMs) {
+    const entry = get(callSid);
+    if (!entry || entry.decision) return Promise.resolve(entry);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(entry), Math.max(0, timeoutMs));
+      entry.waiters.push((e) => {
+        clearTimeout(timer);
+        resolve(e);
+      });
+    });
+  }
+
+  return { begin, get, update, settle, wait, size: () => byCall.size };
+}
+
+// Dial action status -> decision when nothing else follows (no voicemail)
+function decisionForDialStatus(dialStatus) {
+  return ANSWERED_DIAL_STATUSES.has(safeStr(dialStatus).toLowerCase()) ? "TRANSFERRED" : "TRANSFER_NO_ANSWER";
+}
+
+module.exports = {
+  parseTransferSettings,
+  matchTransferKeyword,
+  buildWhisperSummary,
+  createTransferRegistry,
+  decisionForDialStatus,
+  TRANSFER_DECISIONS,
+  TRANSFER_TOOL,
+};
@@ -0,0 +1,42 @@
+// twilioSign.js
+// Index Betty – local Twilio signatures for testing the webhook / media stream checks
+// Usage:
+//   TWILIO_AUTH_TOKEN=... node twilioSign.js request <full url> [name=value ...]   -> X-Twilio-Signature
+//   TWILIO_AUTH_TOKEN=... node twilioSign.js stream <CallSid>                        -> "token" customParameter
+// The stream token uses the same key as the server (TWILIO_STREAM_SECRET, else derived from TWILIO_AUTH_TOKEN).
+
+const { computeTwilioSignature, createStreamAuth, hmac } = require("./security");
+
+function main() {
+  const [mode, target, ...rest] = process.argv.slice(2);
+  const authToken = (process.env.TWILIO_AUTH_TOKEN || "").trim();
+  const streamKey = (process.env.TWILIO_STREAM_SECRET || "").trim() || authToken;
+
+  if (mode === "request" && target) {
+    if (!authToken) {
+      console.error("[SIGN] Missing TWILIO_AUTH_TOKEN");
+      process.exit(2);
+    }
+    const params = {};
+    for (const kv of rest) {
+      const at = kv.indexOf("=");
+      if (at > 0) params[kv.slice(0, at)] = kv.slice(at + 1);
+    }
+    console.log(computeTwilioSignature(authToken, target, params));
+    return;
+  }
+
+  if (mode === "stream" && target) {
+    if (!streamKey) {
+      console.error("[SIGN] Missing TWILIO_STREAM_SECRET / TWILIO_AUTH_TOKEN");
+      process.exit(2);
+    }
+    console.log(createStreamAuth({ secret: hmac(streamKey, "index-betty:stream", "hex") }).tokenFor(target));
+    return;
+  }
+
+  console.error("usage: node twilioSign.js request <url> [name=value ...] | node twilioSign.js stream <CallSid>");
+  process.exit(2);
+}
+
+main();
@@ -0,0 +1,112 @@
+// twiml.js
+// Index Betty – TwiML for the Twilio voice webhook (POST /twilio/voice)
+// Realtime path: <Connect><Stream> to /twilio-media-stream with caller / called / tenant / token parameters
+// (read back from msg.start.customParameters), optionally after <Start><Recording> (MB_ENABLE_RECORDING).
+// Fallback path, when the realtime backend is unhealthy: <Say> + <Record> voicemail; the <Record> action
+// answers with a goodbye <Say> + <Hangup>.
+// Warm transfer: <Dial> to the agent with a whisper URL on the <Number> (pushed to the live call over REST).
+// Messaging webhook replies: <Message> (empty <Response/> = no reply).
+
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// { a: 1, b: null } -> ' a="1"' (null / undefined / "" are left out)
+function xmlAttrs(obj) {
+  return Object.entries(obj || {})
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => ` ${k}="${xmlEscape(v)}"`)
+    .join("");
+}
+
+function response(inner) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>${inner}</Response>`;
+}
+
+function say({ text, voice, language }) {
+  const t = String(text || "").trim();
+  return t ? `<Say${xmlAttrs({ voice, language })}>${xmlEscape(t)}</Say>` : "";
+}
+
+// parameters: { caller, called, tenant, token } -> <Parameter> per non-empty value
+// recording: { channels, recordingStatusCallback, recordingStatusCallbackMethod } -> <Start><Recording> first
+function buildStreamTwiml({ streamUrl, parameters, statusCallback, recording }) {
+  const params = Object.entries(parameters || {})
+    .filter(([, v]) => v !== undefined && v !== null && String(v) !== "")
+    .map(([name, value]) => `<Parameter${xmlAttrs({ name, value })}/>`)
+    .join("");
+  const streamAttrs = xmlAttrs({
+    url: streamUrl,
+    statusCallback,
+    statusCallbackMethod: statusCallback ? "POST" : null,
+  });
+  const recordingAttrs = recording
+    ? xmlAttrs({
+        channels: recording.channels,
+        recordingStatusCallback: recording.recordingStatusCallback,
+        recordingStatusCallbackMethod: recording.recordingStatusCallbackMethod,
+        recordingStatusCallbackEvent: recording.recordingStatusCallback ? "completed" : null,
+      })
+    : null;
+  const start = recording ? `<Start><Recording${recordingAttrs}/></Start>` : "";
+  return response(`${start}<Connect><Stream${streamAttrs}>${params}</Stream></Connect>`);
+}
+
+// record: { action, maxLength, timeout, recordingStatusCallback, recordingStatusCallbackMethod }
+function buildFallbackTwiml({ sayText, voice, language, record }) {
+  const recordAttrs = xmlAttrs({
+    action: record?.action,
+    method: record?.action ? "POST" : null,
+    maxLength: record?.maxLength,
+    timeout: record?.timeout,
+    playBeep: "true",
+    recordingStatusCallback: record?.recordingStatusCallback,
+    recordingStatusCallbackMethod: record?.recordingStatusCallbackMethod,
+    recordingStatusCallbackEvent: record?.recordingStatusCallback ? "completed" : null,
+  });
+  // No action: Twilio would re-request this document after the recording, so end the call here
+  const after = record?.action ? "" : "<Hangup/>";
+  return response(`${say({ text: sayText, voice, language })}<Record${recordAttrs}/>${after}`);
+}
+
+// dial: { number, callerId, timeout, action, whisperUrl }
+function buildTransferTwiml({ sayText, voice, language, dial }) {
+  const dialAttrs = xmlAttrs({
+    action: dial.action,
+    method: dial.action ? "POST" : null,
+    timeout: dial.timeout,
+    callerId: dial.callerId,
+    answerOnBridge: "true",
+  });
+  const numberAttrs = xmlAttrs({ url: dial.whisperUrl, method: dial.whisperUrl ? "POST" : null });
+  const number = `<Number${numberAttrs}>${xmlEscape(dial.number)}</Number>`;
+  return response(`${say({ text: sayText, voice, language })}<Dial${dialAttrs}>${number}</Dial>`);
+}
+
+function buildSayTwiml({ sayText, voice, language } = {}) {
+  return response(say({ text: sayText, voice, language }));
+}
+
+function buildHangupTwiml({ sayText, voice, language } = {}) {
+  return response(`${say({ text: sayText, voice, language })}<Hangup/>`);
+}
+
+function buildMessageTwiml({ body } = {}) {
+  const t = String(body || "").trim();
+  return response(t ? `<Message>${xmlEscape(t)}</Message>` : "");
+}
+
+module.exports = {
+  buildStreamTwiml,
+  buildFallbackTwiml,
+  buildTransferTwiml,
+  buildSayTwiml,
+  buildHangupTwiml,
+  buildMessageTwiml,
+  xmlEscape,
+};